@@ -1,19 +1,54 @@
 const {
   formatDate,
   calculateDiff,
-  getPreviousSnapshot
+  getPreviousSnapshot,
+  countMetrics
 } = require('./utils');
+const { newSessionContext, saveSession } = require('./sessions');
+const { startTracing, stopTracing, captureArtifacts } = require('./artifacts');
+const { completeEmailChallenge } = require('./email-mfa');
+const { waitForLoginResult } = require('./auth');
+const { compactSnapshots } = require('./rollups');
+const { log } = require('./logger');
+
+const DEFAULT_LOGIN_URL = 'https://www.alacrity.net/Login.aspx';
+
+// Alacrity's login and MFA pages; landing anywhere else means the login went through
+const LOGIN_PAGES = /Login\.aspx|MFAAuth\.aspx/i;
+
+// Where the login and MFA pages show a rejected password or security code
+const LOGIN_ERROR_SELECTOR = '[id$="FailureText"], [id*="ErrorLabel"], .validation-summary-errors, [role="alert"]';
 
 /**
  * Login to Alacrity portal
  * @param {import('playwright').Page} page
  * @param {Object} credentials
+ * @param {string} [credentials.loginUrl] - Login.aspx URL (defaults to www.alacrity.net)
+ * @param {string} [credentials.resumeUrl] - Page to open first when a saved session was
+ *   loaded; if it doesn't bounce to the login page the session is still valid
+ * @param {Object} [credentials.mfa] - Email MFA provider (createEmailMfaProvider) used
+ *   to answer a security code challenge
+ * @param {boolean} [credentials.interactive] - Wait for a human to complete an MFA
+ *   challenge in the browser window (defaults to HEADLESS=false)
  * @returns {Promise<boolean>}
+ * @throws {Error} When an MFA challenge appears that can't be answered by email or a human,
+ *   or 'Alacrity login failed: ...' when the portal rejects the password or security code
  */
-async function loginAlacrity(page, { startsWith, username, password }) {
-  console.log('Starting Alacrity login...');
+async function loginAlacrity(page, { loginUrl, startsWith, username, password, resumeUrl, mfa, interactive = process.env.HEADLESS === 'false' }) {
+  if (resumeUrl) {
+    await page.goto(resumeUrl);
+    await page.waitForLoadState('networkidle');
+
+    if (!LOGIN_PAGES.test(page.url())) {
+      log.info('Saved Alacrity session is still valid, skipping login');
+      return true;
+    }
+    log.info('Saved Alacrity session has expired, logging in again...');
+  }
 
-  await page.goto('https://www.alacrity.net/Login.aspx');
+  log.info('Starting Alacrity login...');
+
+  await page.goto(loginUrl || DEFAULT_LOGIN_URL);
   await page.waitForLoadState('networkidle');
 
   // Select "Start with" dropdown
@@ -23,27 +58,41 @@ async function loginAlacrity(page, { startsWith, username, password }) {
   await page.locator('#LoginRoundPanel_UserNameTextBox').fill(username);
   await page.locator('#LoginRoundPanel_PasswordTextBox').fill(password);
 
-  // Click Login
-  await page.getByRole('button', { name: 'Login' }).click();
-
-  // Wait for redirect after login (may go to Home.aspx or an MFA challenge)
-  console.log('Waiting for Alacrity dashboard...');
-  await page.waitForURL(/em\.alacrity\.net|MFAAuth\.aspx/i, { timeout: 30000 });
-
-  if (/MFAAuth\.aspx/i.test(page.url())) {
-    if (process.env.HEADLESS !== 'false') {
-      console.error('Alacrity account requires interactive MFA (security code via email/phone).');
-      console.error('Run with HEADLESS=false to complete the challenge manually, or disable MFA on the account.');
-      return false;
+  // Click Login and get past any MFA challenge. The security code email goes to a
+  // mailbox other logins may share, so they wait until this one has used its code
+  const submit = async () => {
+    const loginStarted = Date.now();
+    await page.getByRole('button', { name: 'Login' }).click();
+
+    // Wait for redirect after login (may go to Home.aspx or an MFA challenge)
+    log.info('Waiting for Alacrity dashboard...');
+    await waitForLoginResult(page,
+      () => page.waitForURL(url => !/Login\.aspx/i.test(url.pathname), { timeout: 30000 }),
+      { label: 'Alacrity', errorSelector: LOGIN_ERROR_SELECTOR });
+
+    if (/MFAAuth\.aspx/i.test(page.url())) {
+      if (mfa) {
+        log.info('MFA challenge detected — answering it with the emailed security code...');
+        if (!await completeEmailChallenge(page, mfa, { since: loginStarted })) return false;
+        await waitForLoginResult(page,
+          () => page.waitForURL(url => !LOGIN_PAGES.test(url.pathname), { timeout: 30000 }),
+          { label: 'Alacrity', errorSelector: LOGIN_ERROR_SELECTOR });
+      } else if (!interactive) {
+        // classifyError reports this as a 'session' failure, with the capture-session hint
+        throw new Error('Alacrity requires interactive MFA: the saved session is missing or expired and needs recapturing');
+      } else {
+        log.info('MFA challenge detected — complete it in the browser window (waiting up to 10 minutes)...');
+        await page.waitForURL(url => !LOGIN_PAGES.test(url.pathname), { timeout: 600000 });
+      }
     }
-    console.log('MFA challenge detected — complete it in the browser window (waiting up to 10 minutes)...');
-    await page.waitForURL(/em\.alacrity\.net/i, { timeout: 600000 });
-  }
+    return true;
+  };
+  if (!await (mfa ? mfa.exclusive(submit) : submit())) return false;
 
   await page.waitForLoadState('networkidle');
   await page.waitForTimeout(2000);
 
-  console.log('Alacrity login successful!');
+  log.info('Alacrity login successful!');
   return true;
 }
 
@@ -55,7 +104,7 @@ async function clickViewAndWait(page) {
   await page.getByRole('button', { name: 'View' }).click();
 
   // Wait for "Loading...." to appear and then disappear
-  console.log('Waiting for CIP report to load...');
+  log.info('Waiting for CIP report to load...');
   try {
     await page.locator('text=Loading').waitFor({ state: 'visible', timeout: 5000 });
   } catch (e) {
@@ -115,12 +164,12 @@ async function selectContractor(page, label) {
  *   { contractors: { [label]: dashboard } } when the login covers multiple entities
  */
 async function scrapeCIPReport(page, url) {
-  console.log('Navigating to CIP Dashboard...');
+  log.info('Navigating to CIP Dashboard...');
   await page.goto(url);
   await page.waitForLoadState('networkidle');
 
   const options = await getContractorOptions(page);
-  console.log(`Contractor options: ${options.map(o => o.label).join(' | ') || '(none found)'}`);
+  log.info(`Contractor options: ${options.map(o => o.label).join(' | ') || '(none found)'}`);
 
   if (options.length <= 1) {
     await clickViewAndWait(page);
@@ -129,7 +178,7 @@ async function scrapeCIPReport(page, url) {
 
   const contractors = {};
   for (const option of options) {
-    console.log(`\n--- Contractor: ${option.label} ---`);
+    log.info(`\n--- Contractor: ${option.label} ---`);
     await selectContractor(page, option.label);
     await clickViewAndWait(page);
     contractors[option.label] = await extractCIPData(page);
@@ -138,15 +187,11 @@ async function scrapeCIPReport(page, url) {
 }
 
 /**
- * Extract CIP data from the rendered dashboard
- * @param {import('playwright').Page} page
- * @returns {Promise<Object>}
+ * Parse CIP report metrics from the page's innerText
+ * @param {string} text - document.body.innerText of the CIP report
+ * @returns {Object} { totalCIPScore, emergency, nonEmergency }
  */
-async function extractCIPData(page) {
-  console.log('Extracting CIP data...');
-
-  const text = await page.evaluate(() => document.body.innerText);
-
+function parseCIPText(text) {
   // Helper to parse a number from text (strips operators like >, >=, <, <=)
   function parseNum(str) {
     if (!str) return null;
@@ -250,22 +295,35 @@ async function extractCIPData(page) {
   const nonEmergency = extractSection(nonEmergencyText);
   nonEmergency.cipScore = nonEmergencyScoreMatch ? parseNum(nonEmergencyScoreMatch[1]) : null;
 
-  const result = {
+  return {
     totalCIPScore: totalCIPScore,
     emergency,
     nonEmergency
   };
+}
 
-  console.log('  CIP Data extracted:');
-  console.log(`    Total CIP Score: ${result.totalCIPScore}`);
-  console.log(`    Emergency CIP Score: ${emergency.cipScore}`);
-  console.log(`    Non-Emergency CIP Score: ${nonEmergency.cipScore}`);
-  console.log(`    Emergency SLAs: ${Object.keys(emergency.slas).length} metrics`);
-  console.log(`    Emergency Survey: ${Object.keys(emergency.survey).length} metrics`);
-  console.log(`    Emergency Operational: ${Object.keys(emergency.operational).length} metrics`);
-  console.log(`    Non-Emergency SLAs: ${Object.keys(nonEmergency.slas).length} metrics`);
-  console.log(`    Non-Emergency Survey: ${Object.keys(nonEmergency.survey).length} metrics`);
-  console.log(`    Non-Emergency Operational: ${Object.keys(nonEmergency.operational).length} metrics`);
+/**
+ * Extract CIP data from the rendered dashboard
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Object>}
+ */
+async function extractCIPData(page) {
+  log.info('Extracting CIP data...');
+
+  const text = await page.evaluate(() => document.body.innerText);
+  const result = parseCIPText(text);
+  const { emergency, nonEmergency } = result;
+
+  log.info(`  CIP data extracted (total CIP score: ${result.totalCIPScore})`);
+  log.debug(`    Total CIP Score: ${result.totalCIPScore}`);
+  log.debug(`    Emergency CIP Score: ${emergency.cipScore}`);
+  log.debug(`    Non-Emergency CIP Score: ${nonEmergency.cipScore}`);
+  log.debug(`    Emergency SLAs: ${Object.keys(emergency.slas).length} metrics`);
+  log.debug(`    Emergency Survey: ${Object.keys(emergency.survey).length} metrics`);
+  log.debug(`    Emergency Operational: ${Object.keys(emergency.operational).length} metrics`);
+  log.debug(`    Non-Emergency SLAs: ${Object.keys(nonEmergency.slas).length} metrics`);
+  log.debug(`    Non-Emergency Survey: ${Object.keys(nonEmergency.survey).length} metrics`);
+  log.debug(`    Non-Emergency Operational: ${Object.keys(nonEmergency.operational).length} metrics`);
 
   return result;
 }
@@ -301,82 +359,103 @@ function flattenCIPData(dashboard) {
 /**
  * Main Alacrity scraper function
  * @param {import('playwright').Browser} browser - Playwright browser instance (reused)
- * @returns {Promise<Object|null>} Scraped data or null on failure
+ * @param {Object} account
+ * @param {string} account.url - CIP report URL
+ * @param {string} [account.loginUrl] - Login.aspx URL (defaults to www.alacrity.net)
+ * @param {string} [account.startsWith] - Login "Start with" system (defaults to EM)
+ * @param {string} account.username
+ * @param {string} account.password
+ * @param {Object} [account.mfa] - Email MFA provider for security code challenges
+ * @param {string} [account.label] - Account label for log output
+ * @param {string} [account.sessionKey] - Saved-session name; the login is reused across runs when set
+ * @param {Function} [account.onArtifacts] - Called with { reason, files } for each set of
+ *   failure artifacts saved
+ * @returns {Promise<Object|null>} Scraped data, or null when credentials are not configured.
+ *   Throws if login or extraction fails.
  */
-async function scrapeAlacrity(browser) {
-  const { AACTION_ALACRITY_URL, AACTION_ALACRITY_STARTS_WITH, AACTION_ALACRITY_USERNAME, AACTION_ALACRITY_PASSWORD } = process.env;
-
-  if (!AACTION_ALACRITY_URL || !AACTION_ALACRITY_USERNAME || !AACTION_ALACRITY_PASSWORD) {
-    console.log('Alacrity credentials not configured, skipping...');
+async function scrapeAlacrity(browser, { url, loginUrl, startsWith, username, password, mfa, label = 'Alacrity', sessionKey, onArtifacts = () => {} }) {
+  if (!url || !username || !password) {
+    log.info(`${label} credentials not configured, skipping...`);
     return null;
   }
 
-  console.log('\n========== Starting Alacrity scraper ==========');
+  log.info(`\n========== Starting ${label} scraper ==========`);
 
-  const context = await browser.newContext({
-    viewport: { width: 1280, height: 900 },
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  });
+  const { context, restored } = await newSessionContext(browser, sessionKey);
+  await startTracing(context);
 
   const page = await context.newPage();
+  const capture = async (reason) => {
+    const artifacts = await captureArtifacts(context, page, { name: sessionKey || 'alacrity', reason });
+    if (artifacts) onArtifacts(artifacts);
+  };
 
   try {
     // Login
     const loginSuccess = await loginAlacrity(page, {
-      startsWith: AACTION_ALACRITY_STARTS_WITH || 'EM',
-      username: AACTION_ALACRITY_USERNAME,
-      password: AACTION_ALACRITY_PASSWORD
+      loginUrl,
+      startsWith: startsWith || 'EM',
+      username,
+      password,
+      mfa,
+      resumeUrl: restored ? url : null
     });
 
     if (!loginSuccess) {
-      console.error('Alacrity login failed');
-      return null;
+      throw new Error(`${label} login failed`);
     }
+    await saveSession(sessionKey, context);
 
     // Navigate to CIP Dashboard and scrape every contractor in the dropdown
-    const cipData = await scrapeCIPReport(page, AACTION_ALACRITY_URL);
+    const cipData = await scrapeCIPReport(page, url);
 
     const result = {
       date: formatDate(),
       ...cipData
     };
 
-    console.log('========== Alacrity scraping complete! ==========\n');
+    if (countMetrics(result) === 0) {
+      await capture('No metrics extracted');
+    }
+
+    log.info(`========== ${label} scraping complete! ==========\n`);
     return result;
 
   } catch (error) {
-    console.error('Alacrity scraper error:', error);
-    return null;
+    log.error(`${label} scraper error:`, error);
+    await capture(error.message);
+    throw error;
 
   } finally {
+    await stopTracing(context);
     await context.close();
   }
 }
 
 /**
- * Store Alacrity snapshot in stats and calculate diff
- * @param {Object} stats - Full stats object
+ * Store an Alacrity snapshot in its stats stream and calculate diffs
+ * @param {Object} stream - Alacrity section of stats, e.g. stats.companies.aaction.alacrity (created fields if missing)
  * @param {Object} alacrityData - Scraped Alacrity data
+ * @param {string} [label] - Account label for log output
  */
-function storeAlacritySnapshot(stats, alacrityData) {
+function appendAlacritySnapshot(stream, alacrityData, label = 'Alacrity') {
   if (!alacrityData) return;
 
-  // Initialize alacrity section if needed
-  if (!stats.alacrity) {
-    stats.alacrity = { dailySnapshots: [] };
+  if (!stream.dailySnapshots) {
+    stream.dailySnapshots = [];
   }
 
   if (alacrityData.contractors) {
     // Multiple contractor entities under one login: keep a snapshot stream per contractor
-    if (!stats.alacrity.contractors) stats.alacrity.contractors = {};
-    for (const [label, dashboard] of Object.entries(alacrityData.contractors)) {
-      console.log(`\n[${label}]`);
-      const stream = stats.alacrity.contractors[label] ||
-        (stats.alacrity.contractors[label] = { dailySnapshots: [] });
-      appendCIPSnapshot(stream, { date: alacrityData.date, dashboard });
+    if (!stream.contractors) stream.contractors = {};
+    for (const [contractor, dashboard] of Object.entries(alacrityData.contractors)) {
+      log.info(`\n[${contractor}]`);
+      const contractorStream = stream.contractors[contractor] ||
+        (stream.contractors[contractor] = { dailySnapshots: [] });
+      appendCIPSnapshot(contractorStream, { date: alacrityData.date, dashboard }, label);
     }
   } else {
-    appendCIPSnapshot(stats.alacrity, alacrityData);
+    appendCIPSnapshot(stream, alacrityData, label);
   }
 }
 
@@ -384,8 +463,9 @@ function storeAlacritySnapshot(stats, alacrityData) {
  * Append (or update) a daily CIP snapshot in a snapshot stream, with diff vs previous day
  * @param {Object} stream - { dailySnapshots: [] }
  * @param {Object} data - { date, dashboard }
+ * @param {string} [label] - Account label for log output
  */
-function appendCIPSnapshot(stream, data) {
+function appendCIPSnapshot(stream, data, label = 'Alacrity') {
   const previousSnapshot = getPreviousSnapshot(stream.dailySnapshots);
   let diff = null;
 
@@ -396,13 +476,13 @@ function appendCIPSnapshot(stream, data) {
     diff = calculateDiff(current, previous);
 
     if (diff) {
-      console.log('Alacrity changes detected:');
+      log.info(`${label} changes detected:`);
       for (const [key, value] of Object.entries(diff)) {
         const sign = value.change > 0 ? '+' : '';
-        console.log(`  ${key}: ${sign}${value.change} (${value.previous} -> ${value.current})`);
+        log.info(`  ${key}: ${sign}${value.change} (${value.previous} → ${value.current})`);
       }
     } else {
-      console.log('No Alacrity changes since last snapshot.');
+      log.info(`No ${label} changes since last snapshot.`);
     }
   }
 
@@ -416,37 +496,23 @@ function appendCIPSnapshot(stream, data) {
   const todayIndex = stream.dailySnapshots.findIndex(s => s.date === formatDate());
   if (todayIndex >= 0) {
     stream.dailySnapshots[todayIndex] = snapshot;
-    console.log(`Updated existing Alacrity snapshot for ${formatDate()}`);
+    log.info(`Updated existing ${label} snapshot for ${formatDate()}`);
   } else {
     stream.dailySnapshots.push(snapshot);
-    console.log(`Alacrity snapshot saved for ${formatDate()}`);
+    log.info(`${label} snapshot saved for ${formatDate()}`);
   }
 
-  // Keep last 365 days
-  if (stream.dailySnapshots.length > 365) {
-    stream.dailySnapshots = stream.dailySnapshots.slice(-365);
-  }
+  const compacted = compactSnapshots(stream, s => flattenCIPData(s.dashboard));
+  if (compacted) log.info(`Rolled ${compacted} old ${label} snapshot(s) into weekly/monthly rollups`);
 }
 
 module.exports = {
   scrapeAlacrity,
-  storeAlacritySnapshot,
+  appendAlacritySnapshot,
   loginAlacrity,
   scrapeCIPReport,
-  extractCIPData
+  extractCIPData,
+  parseCIPText,
+  flattenCIPData
 };
 
-// Allow standalone execution for testing
-if (require.main === module) {
-  const { runStandalone } = require('./utils');
-  runStandalone('Alacrity', async (browser, stats) => {
-    const data = await scrapeAlacrity(browser);
-    if (data) {
-      console.log('\nScraped data:');
-      console.log(JSON.stringify(data, null, 2));
-      storeAlacritySnapshot(stats, data);
-    } else {
-      console.log('No data scraped.');
-    }
-  });
-}
@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { SOURCE_TYPE_LABELS } = require('./registry');
+const { latestSourceValues } = require('./sources');
+const { formatDate } = require('./utils');
+const { log } = require('./logger');
+
+const ALERTS_FILE = path.join(__dirname, '..', 'alerts.json');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Alert when `value <when> threshold`
+const COMPARISONS = {
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold
+};
+
+// Resolved alerts stay in stats.alerts this long, so recent history is visible
+const KEEP_RESOLVED_DAYS = 90;
+
+/**
+ * Load and validate the alert rules
+ * @param {string} [file] - Rules path (defaults to alerts.json at the repo root)
+ * @returns {Object[]} rules
+ */
+function loadAlertRules(file = ALERTS_FILE) {
+  const { rules } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(rules)) {
+    throw new Error(`${file}: expected a "rules" array`);
+  }
+
+  const ids = new Set();
+  for (const rule of rules) {
+    if (!rule.id || !rule.metric) {
+      throw new Error(`${file}: every rule needs an id and a metric path`);
+    }
+    if (ids.has(rule.id)) {
+      throw new Error(`${file}: duplicate rule id "${rule.id}"`);
+    }
+    ids.add(rule.id);
+
+    if (!SOURCE_TYPE_LABELS[rule.source]) {
+      throw new Error(`${file}: ${rule.id} has unknown source type "${rule.source}"`);
+    }
+    if (rule.when !== 'misses-target' && !COMPARISONS[rule.when]) {
+      throw new Error(`${file}: ${rule.id} "when" must be one of ${[...Object.keys(COMPARISONS), 'misses-target'].join(', ')}`);
+    }
+    if (rule.when !== 'misses-target' && !['number', 'string'].includes(typeof rule.threshold)) {
+      throw new Error(`${file}: ${rule.id} needs a numeric threshold or the name of a sibling metric`);
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+      throw new Error(`${file}: ${rule.id} severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Find every value matching a dotted metric path, where `*` matches any key
+ * @param {Object} values - Nested values from latestSourceValues
+ * @param {string} pattern - e.g. "poms.byType.*.pomsScore"
+ * @returns {Object[]} [{ path, value, parent }]
+ */
+function matchMetric(values, pattern) {
+  let matches = [{ path: [], value: values, parent: null }];
+  for (const segment of pattern.split('.')) {
+    matches = matches.flatMap(({ path: at, value }) => {
+      if (!value || typeof value !== 'object') return [];
+      const keys = segment === '*' ? Object.keys(value) : [segment].filter(key => key in value);
+      return keys.map(key => ({ path: [...at, key], value: value[key], parent: value }));
+    });
+  }
+  return matches.map(match => ({ ...match, path: match.path.join('.') }));
+}
+
+/**
+ * Check one matched value against a rule
+ * @param {Object} rule
+ * @param {Object} match - From matchMetric
+ * @returns {Object|null} { value, threshold, condition } if the rule fires
+ */
+function testRule(rule, { value, parent }) {
+  if (rule.when === 'misses-target') {
+    // Alacrity's { target, actual, operator } triples: the operator says what meeting the target means
+    if (typeof value?.actual !== 'number' || typeof value?.target !== 'number') return null;
+    const meets = COMPARISONS[value.operator] || COMPARISONS['>='];
+    if (meets(value.actual, value.target)) return null;
+    return { value: value.actual, threshold: value.target, condition: `target ${value.operator || '>='}${value.target}` };
+  }
+
+  const threshold = typeof rule.threshold === 'string' ? parent?.[rule.threshold] : rule.threshold;
+  if (typeof value !== 'number' || typeof threshold !== 'number') return null;
+  if (!COMPARISONS[rule.when](value, threshold)) return null;
+
+  const against = typeof rule.threshold === 'string' ? `${rule.threshold} ${threshold}` : threshold;
+  return { value, threshold, condition: `${rule.when} ${against}` };
+}
+
+/**
+ * Evaluate every rule against the latest stored data of each source entry
+ * @param {Object} stats - Full stats object
+ * @param {Object[]} entries - From getSourceEntries
+ * @param {Object[]} rules - From loadAlertRules
+ * @returns {Object[]} Firing alerts: { key, rule, company, source, scope, metric, severity, message, value, threshold }
+ */
+function findFiringAlerts(stats, entries, rules) {
+  const firing = [];
+
+  for (const entry of entries) {
+    const entryRules = rules.filter(rule => rule.source === entry.type &&
+      (!rule.company || [].concat(rule.company).includes(entry.company)));
+    if (entryRules.length === 0) continue;
+
+    for (const { scope, values } of latestSourceValues(stats, entry)) {
+      for (const rule of entryRules) {
+        for (const match of matchMetric(values, rule.metric)) {
+          const result = testRule(rule, match);
+          if (!result) continue;
+
+          const where = [entry.label, scope].filter(Boolean).join(' ');
+          firing.push({
+            key: [rule.id, entry.company, entry.source, scope || '', match.path].join('|'),
+            rule: rule.id,
+            company: entry.company,
+            source: entry.source,
+            scope: scope || null,
+            metric: match.path,
+            severity: rule.severity,
+            message: `${where} ${match.path}: ${result.value} (${result.condition})`,
+            value: result.value,
+            threshold: result.threshold
+          });
+        }
+      }
+    }
+  }
+
+  return firing;
+}
+
+/**
+ * Update stats.alerts from the current data. New alerts get a firstSeen date,
+ * ongoing ones a new lastSeen, and open alerts that no longer fire are marked
+ * resolved. Resolved alerts older than KEEP_RESOLVED_DAYS are dropped.
+ * @param {Object} stats - Full stats object
+ * @param {Object[]} entries - From getSourceEntries
+ * @param {Object[]} rules - From loadAlertRules
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD, defaults to today in Central time
+ * @returns {{ active: Object[], opened: Object[], resolved: Object[] }}
+ */
+function updateAlerts(stats, entries, rules, { today = formatDate() } = {}) {
+  if (!stats.alerts) stats.alerts = [];
+
+  const firing = findFiringAlerts(stats, entries, rules);
+  const open = new Map(stats.alerts.filter(alert => !alert.resolved).map(alert => [alert.key, alert]));
+  const opened = [];
+  const resolved = [];
+
+  for (const { key, ...current } of firing) {
+    const alert = open.get(key);
+    if (alert) {
+      Object.assign(alert, current, { lastSeen: today });
+      open.delete(key);
+    } else {
+      const created = { key, ...current, firstSeen: today, lastSeen: today, resolved: null };
+      stats.alerts.push(created);
+      opened.push(created);
+    }
+  }
+
+  // Whatever is still in `open` stopped firing (or its rule was removed)
+  for (const alert of open.values()) {
+    alert.resolved = today;
+    resolved.push(alert);
+  }
+
+  const cutoff = new Date(Date.parse(`${today}T00:00:00Z`) - KEEP_RESOLVED_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString().slice(0, 10);
+  stats.alerts = stats.alerts.filter(alert => !alert.resolved || alert.resolved >= cutoff);
+
+  return { active: stats.alerts.filter(alert => !alert.resolved), opened, resolved };
+}
+
+/**
+ * Log the outcome of updateAlerts
+ * @param {Object} result - From updateAlerts
+ */
+function logAlerts({ active, opened, resolved }) {
+  log.info(`\n========== Alerts: ${active.length} active, ${opened.length} new, ${resolved.length} resolved ==========`);
+  for (const alert of opened) log.warn(`  NEW      [${alert.severity}] ${alert.message}`);
+  for (const alert of resolved) log.info(`  RESOLVED [${alert.severity}] ${alert.message}`);
+}
+
+module.exports = {
+  ALERTS_FILE,
+  SEVERITIES,
+  loadAlertRules,
+  matchMetric,
+  findFiringAlerts,
+  updateAlerts,
+  logAlerts
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataKey, encryptText } = require('./crypto');
+const { formatDate } = require('./utils');
+const { log } = require('./logger');
+
+const ARTIFACTS_DIR = path.join(__dirname, '..', 'data', 'artifacts');
+
+// Artifact folders older than this are deleted when new ones are written
+const KEEP_DAYS = 14;
+
+// Binary artifacts are base64-encoded before encryption (see scripts/decrypt-artifacts.js)
+const BINARY_EXTENSIONS = ['.png', '.zip'];
+
+// Contexts with a trace chunk currently recording
+const tracing = new WeakSet();
+
+/**
+ * Check whether failure artifacts are enabled (SCRAPE_ARTIFACTS=false turns them off)
+ * @returns {boolean}
+ */
+function artifactsEnabled() {
+  return process.env.SCRAPE_ARTIFACTS !== 'false';
+}
+
+/**
+ * Start recording a Playwright trace for a source context. Traces are recorded
+ * in chunks so a capture can save what happened so far and keep recording.
+ * @param {import('playwright').BrowserContext} context
+ */
+async function startTracing(context) {
+  if (!artifactsEnabled()) return;
+  try {
+    await context.tracing.start({ screenshots: true, snapshots: true });
+    await context.tracing.startChunk();
+    tracing.add(context);
+  } catch (error) {
+    log.warn(`Could not start trace: ${error.message}`);
+  }
+}
+
+/**
+ * Stop recording and discard the trace (call before closing the context)
+ * @param {import('playwright').BrowserContext} context
+ */
+async function stopTracing(context) {
+  if (!tracing.has(context)) return;
+  tracing.delete(context);
+  await context.tracing.stop().catch(() => {});
+}
+
+/**
+ * Delete artifact folders from before the retention window
+ */
+function pruneArtifacts() {
+  if (!fs.existsSync(ARTIFACTS_DIR)) return;
+  const cutoff = formatDate(new Date(Date.now() - KEEP_DAYS * 24 * 60 * 60 * 1000));
+  for (const day of fs.readdirSync(ARTIFACTS_DIR)) {
+    if (day < cutoff) fs.rmSync(path.join(ARTIFACTS_DIR, day), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Save what a page looked like when a scrape went wrong: a screenshot, the page
+ * HTML and innerText, and the trace recorded so far. Files are encrypted with the
+ * stats password and written to data/artifacts/<date>/<name>-<time>/.
+ * Each capture is best effort; a page that has already crashed still gets whatever
+ * can be saved.
+ * @param {import('playwright').BrowserContext} context
+ * @param {import('playwright').Page} page
+ * @param {Object} options
+ * @param {string} options.name - Source name for the folder, e.g. "moyers-sedgwick"
+ * @param {string} options.reason - Why the artifacts were captured
+ * @returns {Promise<Object|null>} { reason, files } with repo-relative paths, or null
+ *   when artifacts are off or no password is configured
+ */
+async function captureArtifacts(context, page, { name, reason }) {
+  if (!artifactsEnabled()) return null;
+
+  const key = await getDataKey();
+  if (!key) {
+    log.warn('STATICRYPT_PASSWORD not set, not saving failure artifacts');
+    return null;
+  }
+
+  pruneArtifacts();
+
+  const time = new Date().toTimeString().slice(0, 8).replace(/:/g, '');
+  let dir = path.join(ARTIFACTS_DIR, formatDate(), `${name}-${time}`);
+  for (let n = 2; fs.existsSync(dir); n++) {
+    dir = path.join(ARTIFACTS_DIR, formatDate(), `${name}-${time}-${n}`);
+  }
+  fs.mkdirSync(dir, { recursive: true });
+
+  const files = [];
+  async function save(fileName, getContent) {
+    try {
+      const content = await getContent();
+      const text = BINARY_EXTENSIONS.includes(path.extname(fileName))
+        ? content.toString('base64')
+        : String(content);
+      const file = path.join(dir, `${fileName}.enc`);
+      fs.writeFileSync(file, await encryptText(text, key));
+      files.push(path.relative(path.join(__dirname, '..'), file));
+    } catch (error) {
+      log.warn(`Could not save ${fileName}: ${error.message}`);
+    }
+  }
+
+  await save('reason.txt', () => `${new Date().toISOString()} ${page.url()}\n${reason}\n`);
+  await save('page.png', () => page.screenshot({ fullPage: true, timeout: 10000 }));
+  await save('page.html', () => page.content());
+  await save('page.txt', () => page.evaluate(() => document.body?.innerText || ''));
+
+  if (tracing.has(context)) {
+    const tracePath = path.join(dir, 'trace.zip');
+    await save('trace.zip', async () => {
+      try {
+        await context.tracing.stopChunk({ path: tracePath });
+        return fs.readFileSync(tracePath);
+      } finally {
+        // Never leave the unencrypted trace behind; keep recording for later captures
+        fs.rmSync(tracePath, { force: true });
+        await context.tracing.startChunk().catch(() => tracing.delete(context));
+      }
+    });
+  }
+
+  log.info(`  Saved ${files.length} failure artifact(s) to ${path.relative(path.join(__dirname, '..'), dir)}`);
+  return { reason, files };
+}
+
+module.exports = {
+  ARTIFACTS_DIR,
+  BINARY_EXTENSIONS,
+  startTracing,
+  stopTracing,
+  captureArtifacts
+};
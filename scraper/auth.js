@@ -1,4 +1,33 @@
 const { generateSync } = require('otplib');
+const { log, addSecret } = require('./logger');
+const { classifyError } = require('./retry');
+
+// Where the Auth0 login pages show a rejected username, password or code
+const AUTH0_ERROR_SELECTOR = '[id^="error-element-"], [role="alert"]';
+
+/**
+ * Wait for a portal to move on once credentials (or an MFA code) were submitted.
+ * A rejected password leaves the login page up, which Playwright reports as a
+ * timeout; retrying that would submit the password again and can lock the
+ * account, so a timeout here fails the login instead (never retried by default).
+ * @param {import('playwright').Page} page
+ * @param {Function} wait - async () => result, e.g. a waitForURL call
+ * @param {Object} options
+ * @param {string} options.label - Portal name for the error message
+ * @param {string} options.errorSelector - Where the portal shows why it rejected the login
+ * @returns {Promise<*>} wait's result
+ * @throws {Error} '<label> login failed: <reason>' when the wait times out
+ */
+async function waitForLoginResult(page, wait, { label, errorSelector }) {
+  try {
+    return await wait();
+  } catch (error) {
+    if (classifyError(error) !== 'timeout') throw error;
+    const shown = await page.locator(errorSelector).first().innerText({ timeout: 1000 }).catch(() => '');
+    const reason = shown.trim() || `still on ${new URL(page.url()).pathname} after signing in`;
+    throw new Error(`${label} login failed: ${reason}`, { cause: error });
+  }
+}
 
 /**
  * Authenticate to ContractorConnection via Auth0
@@ -9,9 +38,10 @@ const { generateSync } = require('otplib');
  * @param {string} credentials.totpSecret - Base32 TOTP secret
  * @param {string} credentials.baseUrl
  * @returns {Promise<boolean>} - True if login successful
+ * @throws {Error} 'ContractorConnection login failed: ...' when Auth0 rejects the password or code
  */
 async function login(page, { username, password, totpSecret, baseUrl }) {
-  console.log('Starting login process...');
+  log.info('Starting login process...');
 
   // Navigate to dashboard - will redirect to Auth0 login
   await page.goto(baseUrl);
@@ -19,16 +49,17 @@ async function login(page, { username, password, totpSecret, baseUrl }) {
 
   // Check if already logged in
   if (page.url().includes('ContractorDashboard')) {
-    console.log('Already logged in!');
+    log.info('Already logged in!');
     return true;
   }
 
-  // Wait for Auth0 login page
-  console.log('Waiting for Auth0 login page...');
-  await page.waitForURL(/auth0\.com/, { timeout: 30000 });
+  // Wait for Auth0 login page (the tenant domain, or Universal Login's /u/login
+  // path on a custom domain such as the local mock portal)
+  log.info('Waiting for Auth0 login page...');
+  await page.waitForURL(/auth0\.com|\/u\/login/, { timeout: 30000 });
 
   // Step 1: Enter username
-  console.log('Entering username...');
+  log.info('Entering username...');
   await page.getByRole('textbox', { name: /username|email/i }).fill(username);
 
   // Click the visible Continue button
@@ -36,7 +67,7 @@ async function login(page, { username, password, totpSecret, baseUrl }) {
   await page.waitForLoadState('networkidle');
 
   // Step 2: Enter password
-  console.log('Entering password...');
+  log.info('Entering password...');
   await page.getByRole('textbox', { name: /password/i }).fill(password);
 
   // Click Continue
@@ -44,12 +75,15 @@ async function login(page, { username, password, totpSecret, baseUrl }) {
   await page.waitForLoadState('networkidle');
 
   // Step 3: Handle 2FA
-  console.log('Handling 2FA...');
-  await page.waitForSelector('input[inputmode="numeric"], input[name="code"]', { timeout: 10000 });
+  log.info('Handling 2FA...');
+  await waitForLoginResult(page,
+    () => page.waitForSelector('input[inputmode="numeric"], input[name="code"]', { timeout: 10000 }),
+    { label: 'ContractorConnection', errorSelector: AUTH0_ERROR_SELECTOR });
 
   // Generate TOTP code
   const token = generateSync({ secret: totpSecret });
-  console.log(`Generated TOTP code: ${token}`);
+  addSecret(token);
+  log.debug('Generated TOTP code');
 
   // Enter the code
   await page.getByRole('textbox', { name: /code/i }).fill(token);
@@ -58,10 +92,12 @@ async function login(page, { username, password, totpSecret, baseUrl }) {
   await page.getByRole('button', { name: 'Continue' }).click();
 
   // Wait for redirect to dashboard
-  console.log('Waiting for dashboard redirect...');
-  await page.waitForURL(/ContractorDashboard/, { timeout: 30000 });
+  log.info('Waiting for dashboard redirect...');
+  await waitForLoginResult(page,
+    () => page.waitForURL(/ContractorDashboard/, { timeout: 30000 }),
+    { label: 'ContractorConnection', errorSelector: AUTH0_ERROR_SELECTOR });
 
-  console.log('Login successful!');
+  log.info('Login successful!');
   return true;
 }
 
@@ -71,7 +107,7 @@ async function login(page, { username, password, totpSecret, baseUrl }) {
  * @param {string} baseUrl
  */
 async function navigateToScorecard(page, baseUrl) {
-  console.log('Navigating to Scorecard...');
+  log.info('Navigating to Scorecard...');
 
   // The baseUrl should already point to the summary page
   if (!page.url().includes('Summary')) {
@@ -79,10 +115,11 @@ async function navigateToScorecard(page, baseUrl) {
     await page.waitForLoadState('networkidle');
   }
 
-  console.log('At Scorecard page:', page.url());
+  log.info('At Scorecard page:', page.url());
 }
 
 module.exports = {
   login,
-  navigateToScorecard
+  navigateToScorecard,
+  waitForLoginResult
 };
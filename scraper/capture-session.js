@@ -0,0 +1,97 @@
+require('dotenv').config();
+const { chromium } = require('playwright');
+const { selectSources } = require('./index');
+const { SOURCE_TYPES, sessionKeyFor } = require('./sources');
+const { loginAlacrity } = require('./alacrity');
+const { CONTEXT_OPTIONS, sessionEnvVar, saveSession } = require('./sessions');
+const { getDataKey } = require('./crypto');
+const { log } = require('./logger');
+
+/**
+ * Log in to one Alacrity account in a headed browser, let a human complete the
+ * MFA challenge, and save the session for headless runs to reuse.
+ * @param {string} selector - One registry source, e.g. "moyers:alacrity"
+ * @returns {Promise<{file: string, sessionKey: string}>} Where the session was saved
+ */
+async function captureSession(selector) {
+  const entries = selectSources({ only: selector });
+  if (entries.length !== 1) {
+    throw new Error(`"${selector}" matches ${entries.length} sources; name exactly one, e.g. moyers:alacrity`);
+  }
+  const [entry] = entries;
+  if (entry.type !== 'alacrity') {
+    throw new Error(`${entry.label} is a ${entry.type} source; only Alacrity logins need a captured session`);
+  }
+
+  const { url, loginUrl, startsWith, username, password } = SOURCE_TYPES.alacrity.account(entry);
+  if (!url || !username || !password) {
+    throw new Error(`${entry.label} credentials are not configured in .env`);
+  }
+  if (!await getDataKey()) {
+    throw new Error('STATICRYPT_PASSWORD must be set to encrypt the captured session');
+  }
+
+  log.info(`Capturing a session for ${entry.label}...`);
+  log.info('A browser window will open. Complete the MFA challenge there when prompted.');
+
+  const browser = await chromium.launch({ headless: false, slowMo: 50 });
+
+  try {
+    // Always start from a clean context so an expired session can't leak in
+    const context = await browser.newContext(CONTEXT_OPTIONS);
+    const page = await context.newPage();
+
+    const loginSuccess = await loginAlacrity(page, {
+      loginUrl,
+      startsWith: startsWith || 'EM',
+      username,
+      password,
+      interactive: true
+    });
+    if (!loginSuccess) {
+      throw new Error(`${entry.label} login failed`);
+    }
+
+    // Make sure the report page opens with this session before saving it
+    await page.goto(url);
+    await page.waitForLoadState('networkidle');
+    if (/Login\.aspx|MFAAuth\.aspx/i.test(page.url())) {
+      throw new Error(`${entry.label} report page still redirects to login; session not saved`);
+    }
+
+    const sessionKey = sessionKeyFor(entry);
+    const file = await saveSession(sessionKey, context);
+    if (!file) {
+      throw new Error('Session not saved (is SCRAPE_SESSIONS=false?)');
+    }
+    return { file, sessionKey };
+
+  } finally {
+    await browser.close();
+  }
+}
+
+module.exports = { captureSession };
+
+// Parse command line arguments when run directly
+if (require.main === module) {
+  const selector = process.argv[2];
+
+  if (!selector) {
+    console.log('Usage:');
+    console.log('  npm run capture-session -- <company:source>   e.g. npm run capture-session -- moyers:alacrity');
+    process.exit(1);
+  }
+
+  captureSession(selector)
+    .then(({ file, sessionKey }) => {
+      log.info(`\nSession saved to ${file}`);
+      log.info('Local runs will reuse it. For GitHub Actions, store it as a repository secret:');
+      log.info(`  gh secret set ${sessionEnvVar(sessionKey)} < ${file}`);
+      process.exit(0);
+    })
+    .catch(error => {
+      log.error('Capture failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -1,4 +1,6 @@
 const { login } = require('./auth');
+const { newSessionContext, saveSession } = require('./sessions');
+const { startTracing, stopTracing, captureArtifacts } = require('./artifacts');
 const {
   ASSIGNMENT_TYPES,
   INITIAL_YEARS,
@@ -6,101 +8,158 @@ const {
   formatDate,
   calculateDiff,
   getPreviousSnapshot,
-  calculateSummaryTotals
+  calculateSummaryTotals,
+  countMetrics
 } = require('./utils');
+const { compactSnapshots } = require('./rollups');
+const { log } = require('./logger');
 
 // Tab names to iterate through
 const TABS = ['ASSIGNMENTS', 'AVG TIP', 'POMS', 'REINSPECTIONS', 'SURVEYS', 'QA FEEDBACK'];
 
+// Year-to-date counts and totals as <tab>.<metric>, from the tables and the summary
+// cards. Early in January they can grow many times over from one day to the next.
+const CUMULATIVE_METRICS = new Set([
+  'assignments.assignmentsReceived',
+  'assignments.estimatesReceived',
+  'assignments.totalEstimateReceived',
+  'assignments.jobsSold',
+  'assignments.totalAmountJobsSold',
+  'assignments.jobsNotSold',
+  'assignments.jobsComplete',
+  'assignments.pomsExceptionRequests',
+  'assignments.complete',
+  'reinspections.numberCompleted',
+  'reinspections.numberWithLeakage',
+  'reinspections.totalAmountReinspected',
+  'reinspections.dollarAmount',
+  'reinspections.leakage',
+  'reinspections.complete',
+  'surveys.numberCompleted',
+  'surveys.completed',
+  'qafeedback.coachingTotal',
+  'qafeedback.slfTotal',
+  'qafeedback.assignTimelines',
+  'qafeedback.generalAssignmentManagement',
+  'qafeedback.estimatesReview',
+  'qafeedback.missingDocumentation',
+  'qafeedback.coaching',
+  'qafeedback.slf'
+]);
+
+/**
+ * Whether a flattened CC year metric is a year-to-date count or total
+ * @param {string} metric - e.g. 'assignments.byType.Water.jobsSold'
+ * @returns {boolean}
+ */
+function isCumulativeMetric(metric) {
+  const parts = metric.split('.');
+  return CUMULATIVE_METRICS.has(`${parts[0]}.${parts.at(-1)}`);
+}
+
+/**
+ * Parse the summary cards from the dashboard page's innerText
+ * @param {string} text - document.body.innerText of the dashboard
+ * @returns {Object}
+ */
+function parseSummaryText(text) {
+  // Parse summary cards using regex
+  // Format: "Assignments {pending} - Pending {complete} - Complete {nonCompliant} - Non-Compliant"
+  const assignMatch = text.match(/Assignments\s*(\d+)\s*-\s*Pending\s*(\d+)\s*-\s*Complete\s*(\d+)\s*-\s*Non-Compliant/i);
+  // Format: "Avg TIP {upload} - Upload {review} - Review {total} - Total"
+  const tipMatch = text.match(/Avg TIP\s*([\d.]+)\s*-\s*Upload\s*([\d.-]+)\s*-\s*Review\s*([\d.]+)\s*-\s*Total/i);
+  // Format: "POMS {yourScore} - Your Score {state} - State {national} - National"
+  const pomsMatch = text.match(/POMS\s*([\d.]+)\s*-\s*Your Score\s*([\d.]+)\s*-\s*State\s*([\d.]+)\s*-\s*National/i);
+  // Format: "Reinspections {leakage} - Leakage {complete} - Complete"
+  const reinspMatch = text.match(/Reinspections\s*(\d+)\s*-\s*Leakage\s*(\d+)\s*-\s*Complete/i);
+  // Format: "Surveys {completed} - Completed {avgScore} - Avg Score"
+  const surveyMatch = text.match(/Surveys\s*(\d+)\s*-\s*Completed\s*([\d.]+)\s*-\s*Avg Score/i);
+  // Format: "QA Feedback {coaching} - Coaching {slf} - SLF"
+  const qaMatch = text.match(/QA Feedback\s*(\d+)\s*-\s*Coaching\s*(\d+)\s*-\s*SLF/i);
+
+  return {
+    assignments: {
+      summary: assignMatch ? {
+        pending: +assignMatch[1],
+        complete: +assignMatch[2],
+        nonCompliant: +assignMatch[3]
+      } : null
+    },
+    avgtip: {
+      summary: tipMatch ? {
+        upload: +tipMatch[1],
+        review: +tipMatch[2],
+        total: +tipMatch[3]
+      } : null
+    },
+    poms: {
+      summary: pomsMatch ? {
+        yourScore: +pomsMatch[1],
+        state: +pomsMatch[2],
+        national: +pomsMatch[3]
+      } : null
+    },
+    reinspections: {
+      summary: reinspMatch ? {
+        leakage: +reinspMatch[1],
+        complete: +reinspMatch[2]
+      } : null
+    },
+    surveys: {
+      summary: surveyMatch ? {
+        completed: +surveyMatch[1],
+        avgScore: +surveyMatch[2]
+      } : null
+    },
+    qafeedback: {
+      summary: qaMatch ? {
+        coaching: +qaMatch[1],
+        slf: +qaMatch[2]
+      } : null
+    }
+  };
+}
+
 /**
  * Extract summary data from the dashboard page
  * @param {import('playwright').Page} page
  * @returns {Promise<Object>}
  */
 async function extractSummaryData(page) {
-  return await page.evaluate(() => {
-    const text = document.body.innerText;
-
-    // Parse summary cards using regex
-    // Format: "Assignments {pending} - Pending {complete} - Complete {nonCompliant} - Non-Compliant"
-    const assignMatch = text.match(/Assignments\s*(\d+)\s*-\s*Pending\s*(\d+)\s*-\s*Complete\s*(\d+)\s*-\s*Non-Compliant/i);
-    // Format: "Avg TIP {upload} - Upload {review} - Review {total} - Total"
-    const tipMatch = text.match(/Avg TIP\s*([\d.]+)\s*-\s*Upload\s*([\d.-]+)\s*-\s*Review\s*([\d.]+)\s*-\s*Total/i);
-    // Format: "POMS {yourScore} - Your Score {state} - State {national} - National"
-    const pomsMatch = text.match(/POMS\s*([\d.]+)\s*-\s*Your Score\s*([\d.]+)\s*-\s*State\s*([\d.]+)\s*-\s*National/i);
-    // Format: "Reinspections {leakage} - Leakage {complete} - Complete"
-    const reinspMatch = text.match(/Reinspections\s*(\d+)\s*-\s*Leakage\s*(\d+)\s*-\s*Complete/i);
-    // Format: "Surveys {completed} - Completed {avgScore} - Avg Score"
-    const surveyMatch = text.match(/Surveys\s*(\d+)\s*-\s*Completed\s*([\d.]+)\s*-\s*Avg Score/i);
-    // Format: "QA Feedback {coaching} - Coaching {slf} - SLF"
-    const qaMatch = text.match(/QA Feedback\s*(\d+)\s*-\s*Coaching\s*(\d+)\s*-\s*SLF/i);
-
-    return {
-      assignments: {
-        summary: assignMatch ? {
-          pending: +assignMatch[1],
-          complete: +assignMatch[2],
-          nonCompliant: +assignMatch[3]
-        } : null
-      },
-      avgtip: {
-        summary: tipMatch ? {
-          upload: +tipMatch[1],
-          review: +tipMatch[2],
-          total: +tipMatch[3]
-        } : null
-      },
-      poms: {
-        summary: pomsMatch ? {
-          yourScore: +pomsMatch[1],
-          state: +pomsMatch[2],
-          national: +pomsMatch[3]
-        } : null
-      },
-      reinspections: {
-        summary: reinspMatch ? {
-          leakage: +reinspMatch[1],
-          complete: +reinspMatch[2]
-        } : null
-      },
-      surveys: {
-        summary: surveyMatch ? {
-          completed: +surveyMatch[1],
-          avgScore: +surveyMatch[2]
-        } : null
-      },
-      qafeedback: {
-        summary: qaMatch ? {
-          coaching: +qaMatch[1],
-          slf: +qaMatch[2]
-        } : null
-      }
-    };
-  });
+  const text = await page.evaluate(() => document.body.innerText);
+  return parseSummaryText(text);
 }
 
 /**
- * Generic function to extract table data using provided patterns
+ * Match extraction patterns against a tab's innerText
  * Captures the LAST number in each row (YTD/total value)
+ * @param {string} text - document.body.innerText of the dashboard tab
+ * @param {Object} patterns - Object mapping metric names to regex patterns
+ * @returns {Object}
+ */
+function parseTableText(text, patterns) {
+  const metrics = {};
+
+  for (const [key, patternStr] of Object.entries(patterns)) {
+    const pattern = new RegExp(patternStr, 'im');
+    const match = text.match(pattern);
+    if (match) {
+      metrics[key] = parseFloat(match[1].replace(/,/g, ''));
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Generic function to extract table data using provided patterns
  * @param {import('playwright').Page} page
  * @param {Object} patterns - Object mapping metric names to regex patterns
  * @returns {Promise<Object>}
  */
 async function extractTableDataWithPatterns(page, patterns) {
-  return await page.evaluate((patternsObj) => {
-    const text = document.body.innerText;
-    const metrics = {};
-
-    for (const [key, patternStr] of Object.entries(patternsObj)) {
-      const pattern = new RegExp(patternStr, 'im');
-      const match = text.match(pattern);
-      if (match) {
-        metrics[key] = parseFloat(match[1].replace(/,/g, ''));
-      }
-    }
-
-    return metrics;
-  }, patterns);
+  const text = await page.evaluate(() => document.body.innerText);
+  return parseTableText(text, patterns);
 }
 
 // Tab-specific extraction patterns
@@ -178,7 +237,7 @@ const EXTRACTION_PATTERNS = {
 async function extractTableData(page, tabKey) {
   const patterns = EXTRACTION_PATTERNS[tabKey];
   if (!patterns) {
-    console.log(`  WARNING: No extraction patterns defined for tab: ${tabKey}`);
+    log.warn(`No extraction patterns defined for tab: ${tabKey}`);
     return {};
   }
   return await extractTableDataWithPatterns(page, patterns);
@@ -190,7 +249,7 @@ async function extractTableData(page, tabKey) {
  * @param {number} year
  */
 async function selectYear(page, year) {
-  console.log(`Selecting year: ${year}`);
+  log.info(`Selecting year: ${year}`);
 
   try {
     // The year dropdown is inside #Medallion-Section
@@ -198,10 +257,10 @@ async function selectYear(page, year) {
     await yearDropdown.selectOption(year.toString());
     await page.waitForLoadState('networkidle');
     await page.waitForTimeout(2000);
-    console.log(`Successfully selected year ${year}`);
+    log.info(`Successfully selected year ${year}`);
     return true;
   } catch (e) {
-    console.log(`Could not select year ${year}: ${e.message}`);
+    log.warn(`Could not select year ${year}: ${e.message}`);
     return false;
   }
 }
@@ -212,7 +271,7 @@ async function selectYear(page, year) {
  * @param {string} tabName - e.g., 'ASSIGNMENTS', 'AVG TIP', 'POMS'
  */
 async function clickTab(page, tabName) {
-  console.log(`  Clicking tab: ${tabName}`);
+  log.debug(`  Clicking tab: ${tabName}`);
 
   // The tabs are yellow medallion cards that are clickable
   const tabSelectors = [
@@ -233,7 +292,7 @@ async function clickTab(page, tabName) {
         await tab.click();
         await page.waitForLoadState('networkidle');
         await page.waitForTimeout(2000);
-        console.log(`    ✓ Clicked tab: ${tabName}`);
+        log.info(`  Clicked tab: ${tabName}`);
         return true;
       }
     } catch (e) {
@@ -241,7 +300,7 @@ async function clickTab(page, tabName) {
     }
   }
 
-  console.log(`    ✗ Could not click tab: ${tabName}`);
+  log.warn(`Could not click tab: ${tabName}`);
   return false;
 }
 
@@ -279,7 +338,7 @@ async function waitForLoadingComplete(page) {
     // Wait for "Loading..." text to disappear
     const loadingIndicator = page.locator('text=/Loading/i');
     if (await loadingIndicator.isVisible({ timeout: 500 }).catch(() => false)) {
-      console.log(`    Waiting for loading to complete...`);
+      log.debug('    Waiting for loading to complete...');
       await loadingIndicator.waitFor({ state: 'hidden', timeout: 10000 });
       await page.waitForTimeout(500); // Small additional wait after loading completes
     }
@@ -314,7 +373,7 @@ async function selectAssignmentType(page, type) {
           await page.waitForLoadState('networkidle');
           await page.waitForTimeout(1000);
           await waitForLoadingComplete(page);
-          console.log(`  Selected assignment type: ${type} (using ${selector})`);
+          log.debug(`  Selected assignment type: ${type} (using ${selector})`);
           return true;
         }
       } catch (e) {
@@ -337,7 +396,7 @@ async function selectAssignmentType(page, type) {
           await page.waitForLoadState('networkidle');
           await page.waitForTimeout(1000);
           await waitForLoadingComplete(page);
-          console.log(`  Selected assignment type: ${type} (using text proximity)`);
+          log.debug(`  Selected assignment type: ${type} (using text proximity)`);
           return true;
         }
       } catch (e) {
@@ -351,71 +410,77 @@ async function selectAssignmentType(page, type) {
       await assignmentDropdown.selectOption(type);
       await page.waitForLoadState('networkidle');
       await page.waitForTimeout(2000);
-      console.log(`  Selected assignment type: ${type} (using parent selector)`);
+      log.debug(`  Selected assignment type: ${type} (using parent selector)`);
       return true;
     } catch (e) {
       // Continue to failure message
     }
 
-    console.log(`  Could not find assignment type dropdown for: ${type}`);
+    log.warn(`Could not find assignment type dropdown for: ${type}`);
     return false;
   } catch (e) {
-    console.log(`  Error selecting assignment type ${type}: ${e.message}`);
+    log.warn(`Error selecting assignment type ${type}: ${e.message}`);
     return false;
   }
 }
 
 /**
- * Scrape a ContractorConnection dashboard into a stats container.
- * Works for any company account — credentials and target container are parameters.
+ * Scrape a ContractorConnection dashboard.
+ * Works for any company account — credentials are parameters. Nothing is
+ * written to stats here; pass the result to storeContractorConnection.
  *
  * @param {import('playwright').Browser} browser
- * @param {Object} root - Container that owns `years` and `dailySnapshots`
- *   (the stats root for A-Action, `stats.moyers` for Moyer's)
  * @param {Object} options
  * @param {boolean} options.initial - Scrape all years 2020-2025
- * @param {boolean} options.daily - Scrape current year and store a daily snapshot
  * @param {number[]} [options.years] - Explicit year list (overrides initial/daily year selection)
  * @param {string} options.username
  * @param {string} options.password
  * @param {string} options.totpSecret
  * @param {string} [options.baseUrl]
  * @param {string} [options.label] - Company label for log output
- * @param {Function} [options.save] - Called to persist stats after each year/snapshot
+ * @param {string} [options.sessionKey] - Saved-session name; the login is reused across runs when set
+ * @param {Function} [options.onArtifacts] - Called with { reason, files } for each set of
+ *   failure artifacts saved
+ * @returns {Promise<Object|null>} { [year]: yearData } for the scraped years, where each
+ *   tab holds `data` or `byType` plus its card's `summary`, or null when credentials
+ *   are not configured. Throws if login or scraping fails.
  */
-async function scrapeContractorConnection(browser, root, {
+async function scrapeContractorConnection(browser, {
   initial,
-  daily,
   years,
   username,
   password,
   totpSecret,
   baseUrl,
   label = 'ContractorConnection',
-  save = () => {}
+  sessionKey,
+  onArtifacts = () => {}
 }) {
   if (!username || !password || !totpSecret) {
-    console.log(`${label} credentials not configured, skipping CC scrape...`);
-    return;
+    log.info(`${label} credentials not configured, skipping CC scrape...`);
+    return null;
   }
 
-  if (!root.years) root.years = {};
-  if (!root.dailySnapshots) root.dailySnapshots = [];
-
   const url = baseUrl || 'https://www.contractorconnection.com/ContractorDashboard/Summary';
 
-  console.log(`Starting ${label} scraper...`);
-  console.log(`Mode: ${initial ? 'Initial (all years)' : 'Daily update'}`);
+  log.info(`Starting ${label} scraper...`);
+  log.info(`Mode: ${initial ? 'Initial (all years)' : 'Daily update'}`);
 
   const yearsToScrape = years || (initial ? INITIAL_YEARS : [getCurrentYear()]);
-  console.log(`Years to scrape: ${yearsToScrape.join(', ')}`);
+  log.info(`Years to scrape: ${yearsToScrape.join(', ')}`);
 
-  const context = await browser.newContext({
-    viewport: { width: 1280, height: 900 },
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  });
+  const scraped = {};
+  const missedTabs = new Set();
+
+  // login() notices a still-valid restored session and skips the Auth0 flow
+  const { context } = await newSessionContext(browser, sessionKey);
+  await startTracing(context);
 
   const page = await context.newPage();
+  const capture = async (reason) => {
+    const artifacts = await captureArtifacts(context, page, { name: sessionKey || 'cc', reason });
+    if (artifacts) onArtifacts(artifacts);
+  };
 
   try {
     const loginSuccess = await login(page, {
@@ -426,14 +491,14 @@ async function scrapeContractorConnection(browser, root, {
     });
 
     if (!loginSuccess) {
-      console.error(`${label} login failed, skipping CC scrape`);
-      return;
+      throw new Error(`${label} login failed`);
     }
+    await saveSession(sessionKey, context);
 
     await page.waitForTimeout(3000);
 
     for (const year of yearsToScrape) {
-      console.log(`\n========== Scraping year: ${year} ==========`);
+      log.info(`\n========== Scraping year: ${year} ==========`);
 
       await page.goto(url);
       await page.waitForLoadState('networkidle');
@@ -442,28 +507,37 @@ async function scrapeContractorConnection(browser, root, {
       await selectYear(page, year);
       await page.waitForTimeout(3000);
 
-      root.years[year] = {};
+      scraped[year] = {};
+
+      // The medallion cards' headline numbers (e.g. POMS your score, state and
+      // national), read before any tab is opened
+      const cards = await extractSummaryData(page);
 
       for (const tabName of TABS) {
-        console.log(`\n--- Tab: ${tabName} ---`);
+        log.info(`\n--- Tab: ${tabName} ---`);
 
         const clicked = await clickTab(page, tabName);
         if (!clicked) {
-          console.log(`  Skipping tab ${tabName} - could not click`);
+          log.info(`  Skipping tab ${tabName}`);
+          // One capture per tab is enough evidence; initial runs would otherwise repeat it for every year
+          if (!missedTabs.has(tabName)) {
+            missedTabs.add(tabName);
+            await capture(`${year}: could not click tab ${tabName}`);
+          }
           continue;
         }
 
         await page.waitForTimeout(2000);
 
         const tabKey = tabName.toLowerCase().replace(/\s+/g, '');
-        root.years[year][tabKey] = { byType: {} };
+        scraped[year][tabKey] = { byType: {} };
 
         const hasDropdown = await checkForTypeDropdown(page);
-        console.log(`  Has type dropdown: ${hasDropdown}`);
+        log.debug(`  Has type dropdown: ${hasDropdown}`);
 
         if (hasDropdown) {
           for (const assignmentType of ASSIGNMENT_TYPES) {
-            console.log(`    Processing type: ${assignmentType}`);
+            log.info(`    Processing type: ${assignmentType}`);
             const selected = await selectAssignmentType(page, assignmentType);
 
             if (selected) {
@@ -471,80 +545,115 @@ async function scrapeContractorConnection(browser, root, {
               const metricCount = Object.keys(tableData).length;
 
               if (metricCount > 0) {
-                root.years[year][tabKey].byType[assignmentType] = tableData;
-                console.log(`      Extracted ${metricCount} metrics`);
+                scraped[year][tabKey].byType[assignmentType] = tableData;
+                log.info(`      Extracted ${metricCount} metrics`);
               } else {
-                console.log(`      No data for this type`);
+                log.info(`      No data for this type`);
               }
             }
           }
           await selectAssignmentType(page, 'ALL');
         } else {
           const tableData = await extractTableData(page, tabKey);
-          root.years[year][tabKey].data = tableData;
-          console.log(`  Extracted ${Object.keys(tableData).length} metrics`);
-        }
-      }
-
-      save();
-      console.log(`\nYear ${year} data saved.`);
-    }
-
-    if (daily) {
-      const currentYear = getCurrentYear();
-      const todayData = root.years[currentYear];
-      const todaySummary = calculateSummaryTotals(todayData);
-
-      const previousSnapshot = getPreviousSnapshot(root.dailySnapshots);
-      let diff = null;
-
-      if (previousSnapshot) {
-        const previousSummary = calculateSummaryTotals(previousSnapshot.data);
-        diff = calculateDiff(todaySummary, previousSummary);
-        console.log(`\nCalculating diff from ${previousSnapshot.date}...`);
-        if (diff) {
-          console.log('Changes detected:');
-          for (const [key, value] of Object.entries(diff)) {
-            const sign = value.change > 0 ? '+' : '';
-            console.log(`  ${key}: ${sign}${value.change} (${value.previous} → ${value.current})`);
-          }
-        } else {
-          console.log('No changes detected since last snapshot.');
+          scraped[year][tabKey].data = tableData;
+          log.info(`  Extracted ${Object.keys(tableData).length} metrics`);
         }
       }
 
-      const snapshot = {
-        date: formatDate(),
-        year: currentYear,
-        data: todayData,
-        summary: todaySummary,
-        diff: diff,
-        previousDate: previousSnapshot?.date || null
-      };
-
-      const todayIndex = root.dailySnapshots.findIndex(s => s.date === formatDate());
-      if (todayIndex >= 0) {
-        root.dailySnapshots[todayIndex] = snapshot;
-        console.log(`\nUpdated existing snapshot for ${formatDate()}`);
-      } else {
-        root.dailySnapshots.push(snapshot);
-        console.log(`\nDaily snapshot saved for ${formatDate()}`);
+      for (const [tabKey, { summary }] of Object.entries(cards)) {
+        if (summary) scraped[year][tabKey] = { ...scraped[year][tabKey], summary };
       }
 
-      if (root.dailySnapshots.length > 365) {
-        root.dailySnapshots = root.dailySnapshots.slice(-365);
-      }
+      log.info(`\nYear ${year} scraped.`);
+    }
 
-      save();
+    if (countMetrics(scraped) === 0) {
+      await capture('No metrics extracted');
     }
 
-    console.log(`\n========== ${label} scraping complete! ==========`);
+    log.info(`\n========== ${label} scraping complete! ==========`);
+    return scraped;
 
   } catch (error) {
-    console.error(`${label} scraper error:`, error);
+    log.error(`${label} scraper error:`, error);
+    await capture(error.message);
+    throw error;
   } finally {
+    await stopTracing(context);
     await context.close();
   }
 }
 
-module.exports = { scrapeContractorConnection };
+/**
+ * Store scraped ContractorConnection years in a stats container and, in daily
+ * mode, record today's snapshot with a diff against the previous one.
+ *
+ * @param {Object} root - Container that owns `years` and `dailySnapshots`
+ *   (the company's entry in stats, e.g. `stats.companies.moyers`)
+ * @param {Object} scraped - { [year]: yearData } from scrapeContractorConnection
+ * @param {Object} options
+ * @param {boolean} options.daily - Store a daily snapshot for the current year
+ * @param {string} [options.label] - Company label for log output
+ */
+function storeContractorConnection(root, scraped, { daily, label = 'ContractorConnection' }) {
+  if (!root.years) root.years = {};
+  if (!root.dailySnapshots) root.dailySnapshots = [];
+
+  for (const [year, yearData] of Object.entries(scraped)) {
+    root.years[year] = yearData;
+  }
+
+  if (daily) {
+    const currentYear = getCurrentYear();
+    const todayData = root.years[currentYear];
+    const todaySummary = calculateSummaryTotals(todayData);
+
+    const previousSnapshot = getPreviousSnapshot(root.dailySnapshots);
+    let diff = null;
+
+    if (previousSnapshot) {
+      const previousSummary = calculateSummaryTotals(previousSnapshot.data);
+      diff = calculateDiff(todaySummary, previousSummary);
+      log.info(`\nCalculating ${label} diff from ${previousSnapshot.date}...`);
+      if (diff) {
+        log.info('Changes detected:');
+        for (const [key, value] of Object.entries(diff)) {
+          const sign = value.change > 0 ? '+' : '';
+          log.info(`  ${key}: ${sign}${value.change} (${value.previous} → ${value.current})`);
+        }
+      } else {
+        log.info('No changes detected since last snapshot.');
+      }
+    }
+
+    const snapshot = {
+      date: formatDate(),
+      year: currentYear,
+      data: todayData,
+      summary: todaySummary,
+      diff: diff,
+      previousDate: previousSnapshot?.date || null
+    };
+
+    const todayIndex = root.dailySnapshots.findIndex(s => s.date === formatDate());
+    if (todayIndex >= 0) {
+      root.dailySnapshots[todayIndex] = snapshot;
+      log.info(`\nUpdated existing ${label} snapshot for ${formatDate()}`);
+    } else {
+      root.dailySnapshots.push(snapshot);
+      log.info(`\n${label} daily snapshot saved for ${formatDate()}`);
+    }
+
+    const compacted = compactSnapshots(root, s => calculateSummaryTotals(s.data));
+    if (compacted) log.info(`Rolled ${compacted} old ${label} snapshot(s) into weekly/monthly rollups`);
+  }
+}
+
+module.exports = {
+  EXTRACTION_PATTERNS,
+  isCumulativeMetric,
+  parseSummaryText,
+  parseTableText,
+  scrapeContractorConnection,
+  storeContractorConnection
+};
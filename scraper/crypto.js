@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto').webcrypto;
+
+const CONFIG_PATH = path.join(__dirname, '..', '.staticrypt.json');
+
+// Crypto constants (matching StatiCrypt). scripts/ encrypts and decrypts the
+// stats through this module too, so every file uses the same format
+const IV_BITS = 16 * 8;
+const HEX_BITS = 4;
+const ENCRYPTION_ALGO = 'AES-CBC';
+
+// Hex encoder utilities
+const HexEncoder = {
+  parse(hexString) {
+    if (hexString.length % 2 !== 0) throw new Error('Invalid hexString');
+    const arrayBuffer = new Uint8Array(hexString.length / 2);
+    for (let i = 0; i < hexString.length; i += 2) {
+      const byteValue = parseInt(hexString.substring(i, i + 2), 16);
+      if (isNaN(byteValue)) throw new Error('Invalid hexString');
+      arrayBuffer[i / 2] = byteValue;
+    }
+    return arrayBuffer;
+  },
+  stringify(bytes) {
+    const hexBytes = [];
+    for (let i = 0; i < bytes.length; ++i) {
+      let byteString = bytes[i].toString(16);
+      if (byteString.length < 2) byteString = '0' + byteString;
+      hexBytes.push(byteString);
+    }
+    return hexBytes.join('');
+  }
+};
+
+const UTF8Encoder = {
+  parse(str) { return new TextEncoder().encode(str); },
+  stringify(bytes) { return new TextDecoder().decode(bytes); }
+};
+
+// PBKDF2 hashing (matching StatiCrypt's 600k iterations)
+async function pbkdf2(password, salt, iterations, hashAlgorithm) {
+  const key = await crypto.subtle.importKey('raw', UTF8Encoder.parse(password), 'PBKDF2', false, ['deriveBits']);
+  const keyBytes = await crypto.subtle.deriveBits({
+    name: 'PBKDF2',
+    hash: hashAlgorithm,
+    iterations,
+    salt: UTF8Encoder.parse(salt)
+  }, key, 256);
+  return HexEncoder.stringify(new Uint8Array(keyBytes));
+}
+
+/**
+ * Hash a password the way StatiCrypt does, giving the key the dashboard
+ * decrypts the data with
+ * @param {string} password
+ * @param {string} salt - From .staticrypt.json
+ * @returns {Promise<string>} Hex key
+ */
+async function hashPassword(password, salt) {
+  // 1000 iterations with SHA-1, then 14000 and 585000 with SHA-256
+  let hashedPassword = await pbkdf2(password, salt, 1000, 'SHA-1');
+  hashedPassword = await pbkdf2(hashedPassword, salt, 14000, 'SHA-256');
+  return pbkdf2(hashedPassword, salt, 585000, 'SHA-256');
+}
+
+/**
+ * A new random salt for .staticrypt.json
+ * @returns {string} Hex salt
+ */
+function generateSalt() {
+  return HexEncoder.stringify(crypto.getRandomValues(new Uint8Array(128 / 8)));
+}
+
+let dataKeyPromise = null;
+
+/**
+ * Derive the data key from STATICRYPT_PASSWORD and the .staticrypt.json salt.
+ * The 600k-iteration hash is computed once per process.
+ * @returns {Promise<string|null>} Hex key, or null when no password/salt is configured
+ */
+function getDataKey() {
+  if (!dataKeyPromise) {
+    dataKeyPromise = (async () => {
+      const password = process.env.STATICRYPT_PASSWORD;
+      if (!password || !fs.existsSync(CONFIG_PATH)) return null;
+      const { salt } = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+      return hashPassword(password, salt);
+    })();
+  }
+  return dataKeyPromise;
+}
+
+/**
+ * Encrypt text in the same IV+ciphertext hex format as data/stats.json.enc
+ * @param {string} msg
+ * @param {string} hashedPassword - From getDataKey
+ * @returns {Promise<string>}
+ */
+async function encryptText(msg, hashedPassword) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BITS / 8));
+  const key = await crypto.subtle.importKey('raw', HexEncoder.parse(hashedPassword), ENCRYPTION_ALGO, false, ['encrypt']);
+  const encrypted = await crypto.subtle.encrypt({ name: ENCRYPTION_ALGO, iv }, key, UTF8Encoder.parse(msg));
+  return HexEncoder.stringify(iv) + HexEncoder.stringify(new Uint8Array(encrypted));
+}
+
+/**
+ * Decrypt text produced by encryptText
+ * @param {string} encryptedMsg
+ * @param {string} hashedPassword - From getDataKey
+ * @returns {Promise<string>}
+ */
+async function decryptText(encryptedMsg, hashedPassword) {
+  const ivLength = IV_BITS / HEX_BITS;
+  const iv = HexEncoder.parse(encryptedMsg.substring(0, ivLength));
+  const encrypted = encryptedMsg.substring(ivLength);
+  const key = await crypto.subtle.importKey('raw', HexEncoder.parse(hashedPassword), ENCRYPTION_ALGO, false, ['decrypt']);
+  const outBuffer = await crypto.subtle.decrypt({ name: ENCRYPTION_ALGO, iv }, key, HexEncoder.parse(encrypted));
+  return UTF8Encoder.stringify(new Uint8Array(outBuffer));
+}
+
+module.exports = {
+  CONFIG_PATH,
+  hashPassword,
+  generateSalt,
+  getDataKey,
+  encryptText,
+  decryptText
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { encryptText } = require('./crypto');
+const { writeFileAtomic } = require('./utils');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// The dashboard's lazily loaded copy of stats.json.enc. Only an index.html
+// rebuilt by `npm run encrypt` reads it (see isDashboardDataInUse)
+const DASHBOARD_DATA_DIR = path.join(ROOT_DIR, 'data', 'dashboard');
+const MANIFEST_FILE = path.join(DASHBOARD_DATA_DIR, 'manifest.json.enc');
+
+// A company node's own fields that make up its ContractorConnection stream;
+// every other field (sedgwick, alacrity, locations) is a part of its own
+const CC_KEYS = ['years', 'dailySnapshots', 'rollups'];
+
+/**
+ * Whether a part holds anything to show: CC years or a daily snapshot in any
+ * stream under it (Alacrity contractors, Sedgwick locations)
+ * @param {Object} data
+ * @returns {boolean}
+ */
+function hasData(data) {
+  if (!data || typeof data !== 'object') return false;
+  if (data.years && Object.keys(data.years).length > 0) return true;
+  if (data.dailySnapshots?.length > 0) return true;
+  return Object.entries(data).some(([key, value]) => !CC_KEYS.includes(key) && hasData(value));
+}
+
+/**
+ * Split stats into a manifest and one part per company stream. Each part is
+ * the slice of the company node it came from (e.g. { sedgwick: {...} }), so
+ * Object.assign-ing the parts back into the node rebuilds it.
+ * @param {Object} stats - Stats at schema v2 or later (companies under stats.companies)
+ * @returns {Object} { manifest, parts } where manifest is { schemaVersion,
+ *   lastUpdated, runs, alerts, companies: { [key]: { [part]: { file, hasData } } } }
+ *   with only the latest run and the active alerts, and parts lists { file, data }
+ *   with file relative to the repo root
+ */
+function splitStats(stats) {
+  const manifest = {
+    schemaVersion: stats.schemaVersion,
+    lastUpdated: stats.lastUpdated,
+    // Only what the first paint needs; the full run history and resolved
+    // alerts stay in stats.json.enc
+    runs: (stats.runs || []).slice(-1),
+    alerts: (stats.alerts || []).filter(alert => !alert.resolved),
+    companies: {}
+  };
+  const parts = [];
+
+  for (const [company, node] of Object.entries(stats.companies || {})) {
+    const slices = {};
+    const cc = Object.fromEntries(CC_KEYS.filter(key => node[key] !== undefined).map(key => [key, node[key]]));
+    if (Object.keys(cc).length > 0) slices.cc = cc;
+    for (const [key, value] of Object.entries(node)) {
+      if (!CC_KEYS.includes(key)) slices[key] = { [key]: value };
+    }
+
+    manifest.companies[company] = {};
+    for (const [part, data] of Object.entries(slices)) {
+      const file = path.posix.join('data', 'dashboard', company, `${part}.json.enc`);
+      manifest.companies[company][part] = { file, hasData: hasData(data) };
+      parts.push({ file, data });
+    }
+  }
+
+  return { manifest, parts };
+}
+
+/**
+ * Whether the deployed dashboard loads data/dashboard/. The lazy loader only
+ * gets into index.html through `npm run encrypt` (from the plaintext
+ * index.html.bak), which also writes the first manifest. Until that has been
+ * run and committed the dashboard reads stats.json.enc alone, so the daily
+ * encrypt:data leaves data/dashboard/ unwritten.
+ * @returns {boolean}
+ */
+function isDashboardDataInUse() {
+  return fs.existsSync(MANIFEST_FILE);
+}
+
+/**
+ * Encrypt the manifest and every part into data/dashboard, removing part files
+ * the new manifest no longer lists
+ * @param {Object} stats - Stats at schema v2 or later
+ * @param {string} hashedPassword - From getDataKey or hashPassword
+ * @returns {Promise<number>} Parts written
+ */
+async function writeDashboardData(stats, hashedPassword) {
+  const { manifest, parts } = splitStats(stats);
+  // Stats with no companies have no parts to create it
+  fs.mkdirSync(DASHBOARD_DATA_DIR, { recursive: true });
+
+  // Parts first, so a manifest never lists a file that isn't there yet
+  for (const { file, data } of parts) {
+    const target = path.join(ROOT_DIR, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    writeFileAtomic(target, await encryptText(JSON.stringify(data), hashedPassword));
+  }
+  writeFileAtomic(MANIFEST_FILE, await encryptText(JSON.stringify(manifest), hashedPassword));
+
+  const keep = new Set([MANIFEST_FILE, ...parts.map(({ file }) => path.join(ROOT_DIR, file))]);
+  for (const entry of fs.readdirSync(DASHBOARD_DATA_DIR, { recursive: true })) {
+    const file = path.join(DASHBOARD_DATA_DIR, entry);
+    if (file.endsWith('.json.enc') && !keep.has(file)) fs.rmSync(file);
+  }
+
+  return parts.length;
+}
+
+module.exports = {
+  DASHBOARD_DATA_DIR,
+  MANIFEST_FILE,
+  isDashboardDataInUse,
+  splitStats,
+  writeDashboardData
+};
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const { loadRegistry, getSourceEntries, findStatsPath, resolveStatsPath } = require('./registry');
+const { SOURCE_TYPES } = require('./sources');
+const { flattenNumbers } = require('./rollups');
+const { createStats, parseStats } = require('./utils');
+const { log } = require('./logger');
+
+// Plaintext like stats.json (gitignored). Setting STATS_DB also makes each
+// scrape write to it; the npm run db commands default to data/stats.db.
+const DB_FILE = process.env.STATS_DB
+  ? path.resolve(process.env.STATS_DB)
+  : path.join(__dirname, '..', 'data', 'stats.db');
+
+// Top-level stats.json fields kept as JSON in the meta table
+const META_KEYS = ['schemaVersion', 'lastUpdated', 'runs', 'quarantine', 'alerts'];
+
+// Stream fields other than snapshots (label, CC years, rollups), kept as JSON in streams
+const STREAM_KEYS = ['label', 'years', 'rollups'];
+
+/**
+ * Tables: companies and sources mirror companies.json; snapshots holds every
+ * daily snapshot ever stored (compacted = 1 once stats.json has rolled it into
+ * rollups), with each of its numbers in metric_values by alerts.json metric
+ * path. streams and meta hold the rest of stats.json, so it can be rebuilt.
+ */
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS companies (
+    key TEXT PRIMARY KEY,
+    label TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS sources (
+    id INTEGER PRIMARY KEY,
+    company TEXT NOT NULL REFERENCES companies (key),
+    source TEXT NOT NULL,
+    type TEXT NOT NULL,
+    label TEXT NOT NULL,
+    stats_path TEXT NOT NULL,
+    UNIQUE (company, source)
+  );
+  CREATE TABLE IF NOT EXISTS streams (
+    source_id INTEGER NOT NULL REFERENCES sources (id),
+    scope TEXT NOT NULL DEFAULT '',
+    data TEXT NOT NULL,
+    PRIMARY KEY (source_id, scope)
+  );
+  CREATE TABLE IF NOT EXISTS snapshots (
+    id INTEGER PRIMARY KEY,
+    source_id INTEGER NOT NULL REFERENCES sources (id),
+    scope TEXT NOT NULL DEFAULT '',
+    date TEXT NOT NULL,
+    compacted INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    UNIQUE (source_id, scope, date)
+  );
+  CREATE TABLE IF NOT EXISTS metric_values (
+    snapshot_id INTEGER NOT NULL REFERENCES snapshots (id) ON DELETE CASCADE,
+    path TEXT NOT NULL,
+    value REAL NOT NULL,
+    PRIMARY KEY (snapshot_id, path)
+  );
+  CREATE INDEX IF NOT EXISTS metric_values_path ON metric_values (path);
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+/**
+ * Whether scrapes should also write the database (STATS_DB is set)
+ * @returns {boolean}
+ */
+function isDatabaseEnabled() {
+  return Boolean(process.env.STATS_DB);
+}
+
+/**
+ * Open the database, creating the file and tables if needed
+ * @param {string} [file] - Defaults to STATS_DB or data/stats.db
+ * @param {Object} [options]
+ * @param {boolean} [options.readonly]
+ * @returns {import('better-sqlite3').Database}
+ */
+function openDatabase(file = DB_FILE, { readonly = false } = {}) {
+  const Database = require('better-sqlite3');
+  if (readonly && !fs.existsSync(file)) throw new Error(`${file} not found (npm run db -- import creates it)`);
+  if (!readonly) fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const db = new Database(file, { readonly });
+  if (!readonly) {
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+  }
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+/**
+ * A stream's scopes: itself, then one per Alacrity contractor
+ * @param {Object} stream
+ * @returns {Array<[string, Object]>} [[scope, stream]] with '' for the stream itself
+ */
+function scopesOf(stream) {
+  return [['', stream], ...Object.entries(stream.contractors || {})];
+}
+
+/**
+ * Write one source entry's stream: its snapshots with their metric values, and
+ * its other fields. Snapshots no longer in the stream are kept and marked
+ * compacted, so the database keeps the full daily history.
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} stats - Full stats object
+ * @param {Object} entry - From getSourceEntries
+ */
+function writeSource(db, stats, entry) {
+  const stream = findStatsPath(stats, entry.stats);
+  if (!stream) return;
+
+  const { id: sourceId } = db.prepare(`
+    INSERT INTO sources (company, source, type, label, stats_path) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (company, source) DO UPDATE SET type = excluded.type, label = excluded.label, stats_path = excluded.stats_path
+    RETURNING id
+  `).get(entry.company, entry.source, entry.type, entry.label, entry.stats);
+
+  const writeStream = db.prepare(`
+    INSERT INTO streams (source_id, scope, data) VALUES (?, ?, ?)
+    ON CONFLICT (source_id, scope) DO UPDATE SET data = excluded.data
+  `);
+  const writeSnapshot = db.prepare(`
+    INSERT INTO snapshots (source_id, scope, date, compacted, data) VALUES (?, ?, ?, 0, ?)
+    ON CONFLICT (source_id, scope, date) DO UPDATE SET compacted = 0, data = excluded.data
+    RETURNING id
+  `);
+  const clearMetrics = db.prepare('DELETE FROM metric_values WHERE snapshot_id = ?');
+  const writeMetric = db.prepare('INSERT INTO metric_values (snapshot_id, path, value) VALUES (?, ?, ?)');
+  const markCompacted = db.prepare(`
+    UPDATE snapshots SET compacted = 1
+    WHERE source_id = ? AND scope = ? AND compacted = 0 AND date NOT IN (SELECT value FROM json_each(?))
+  `);
+
+  for (const [scope, s] of scopesOf(stream)) {
+    const rest = Object.fromEntries(STREAM_KEYS.filter(key => s[key] !== undefined).map(key => [key, s[key]]));
+    writeStream.run(sourceId, scope, JSON.stringify(rest));
+
+    const snapshots = s.dailySnapshots || [];
+    for (const snapshot of snapshots) {
+      const { id } = writeSnapshot.get(sourceId, scope, snapshot.date, JSON.stringify(snapshot));
+      clearMetrics.run(id);
+      const values = flattenNumbers(SOURCE_TYPES[entry.type].values(snapshot));
+      for (const [metric, value] of Object.entries(values)) writeMetric.run(id, metric, value);
+    }
+    markCompacted.run(sourceId, scope, JSON.stringify(snapshots.map(snapshot => snapshot.date)));
+  }
+}
+
+/**
+ * Write stats to the database in one transaction: the given source entries'
+ * streams, the companies and the top-level fields (runs, alerts, ...)
+ * @param {import('better-sqlite3').Database} db
+ * @param {Object} stats - Full stats object
+ * @param {Object} [options]
+ * @param {Object[]} [options.entries] - Sources to write (defaults to all)
+ * @param {Object[]} [options.companies] - From loadRegistry
+ */
+function writeStats(db, stats, { companies = loadRegistry(), entries = getSourceEntries(companies) } = {}) {
+  const writeCompany = db.prepare(`
+    INSERT INTO companies (key, label) VALUES (?, ?)
+    ON CONFLICT (key) DO UPDATE SET label = excluded.label
+  `);
+  const writeMeta = db.prepare(`
+    INSERT INTO meta (key, value) VALUES (?, ?)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value
+  `);
+
+  db.transaction(() => {
+    for (const company of companies) writeCompany.run(company.key, company.label);
+    for (const entry of entries) writeSource(db, stats, entry);
+    for (const key of META_KEYS) {
+      if (stats[key] !== undefined) writeMeta.run(key, JSON.stringify(stats[key]));
+    }
+  })();
+}
+
+/**
+ * Rebuild stats.json from the database: every stream's current (not compacted)
+ * snapshots plus its other fields, and the top-level fields. The result is
+ * migrated and validated like a loaded stats.json.
+ * @param {import('better-sqlite3').Database} db
+ * @param {string} [source] - Database path, for error messages
+ * @returns {Object} Stats data
+ */
+function readStats(db, source = DB_FILE) {
+  const stats = createStats();
+  for (const { key, value } of db.prepare('SELECT key, value FROM meta').all()) {
+    stats[key] = JSON.parse(value);
+  }
+
+  const snapshots = db.prepare('SELECT data FROM snapshots WHERE source_id = ? AND scope = ? AND compacted = 0 ORDER BY date');
+  for (const { id, stats_path: statsPath } of db.prepare('SELECT id, stats_path FROM sources ORDER BY id').all()) {
+    const stream = resolveStatsPath(stats, statsPath);
+    for (const { scope, data } of db.prepare('SELECT scope, data FROM streams WHERE source_id = ? ORDER BY rowid').all(id)) {
+      let target = stream;
+      if (scope) {
+        if (!stream.contractors) stream.contractors = {};
+        target = stream.contractors[scope] = {};
+      }
+      Object.assign(target, JSON.parse(data));
+      target.dailySnapshots = snapshots.all(id, scope).map(row => JSON.parse(row.data));
+    }
+  }
+
+  return parseStats(JSON.stringify(stats), source);
+}
+
+/**
+ * After a scrape: write the sources just stored and the run's top-level fields.
+ * Each write covers a stream's whole daily window, so a missed run catches up on the next.
+ * @param {Object} stats - Full stats object, as saved
+ * @param {Object[]} entries - Source entries stored this run
+ * @param {string} [file]
+ */
+function syncDatabase(stats, entries, file = DB_FILE) {
+  const db = openDatabase(file);
+  try {
+    writeStats(db, stats, { entries });
+    log.info(`Database updated: ${file}`);
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  DB_FILE,
+  isDatabaseEnabled,
+  openDatabase,
+  writeStats,
+  readStats,
+  syncDatabase
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { DATA_FILE, loadStats, loadEncryptedStats, saveStats, saveEncryptedStats } = require('./utils');
+  const [command, ...args] = process.argv.slice(2);
+
+  const commands = {
+    // stats.json (or stats.json.enc decrypted in memory) → database
+    import: async () => {
+      const stats = fs.existsSync(DATA_FILE) ? loadStats() : await loadEncryptedStats();
+      const db = openDatabase();
+      try {
+        writeStats(db, stats);
+        const { count } = db.prepare('SELECT COUNT(*) AS count FROM snapshots').get();
+        log.info(`Imported stats into ${DB_FILE} (${count} snapshot(s))`);
+      } finally {
+        db.close();
+      }
+    },
+
+    // database → stats.json, or straight to stats.json.enc with --encrypt
+    export: async () => {
+      const db = openDatabase(DB_FILE, { readonly: true });
+      let stats;
+      try {
+        stats = readStats(db);
+      } finally {
+        db.close();
+      }
+      if (args.includes('--encrypt')) {
+        await saveEncryptedStats(stats);
+      } else {
+        saveStats(stats, { force: args.includes('--force') });
+      }
+    },
+
+    // Ad hoc read-only SQL
+    query: async () => {
+      if (!args[0]) throw new Error('Usage: npm run db -- query "<sql>"');
+      const db = openDatabase(DB_FILE, { readonly: true });
+      try {
+        console.table(db.prepare(args[0]).all());
+      } finally {
+        db.close();
+      }
+    }
+  };
+
+  if (!commands[command]) {
+    console.log('Usage:');
+    console.log('  npm run db -- import              Load stats.json (or stats.json.enc) into the database');
+    console.log('  npm run db -- export [--force]    Rebuild data/stats.json from the database');
+    console.log('  npm run db -- export --encrypt    Rebuild data/stats.json.enc directly, no plaintext copy');
+    console.log('  npm run db -- query "<sql>"       Run a read-only query, e.g.');
+    console.log('    "SELECT s.company, n.date, m.value FROM metric_values m JOIN snapshots n ON n.id = m.snapshot_id');
+    console.log('     JOIN sources s ON s.id = n.source_id WHERE m.path = \'dashboard.openJobsTotal\' ORDER BY n.date"');
+    console.log(`Database: ${DB_FILE} (STATS_DB to change; setting it also makes each scrape write to it)`);
+    process.exit(command ? 1 : 0);
+  }
+
+  commands[command]()
+    .then(() => process.exit(0))
+    .catch(error => {
+      log.error(`db ${command} failed:`, error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,292 @@
+const { ImapFlow } = require('imapflow');
+const { readEnv } = require('./registry');
+const { log, addSecret } = require('./logger');
+
+// Which emails carry each portal's security code. Override per source with
+// <PREFIX>_MFA_FROM / _MFA_SUBJECT / _MFA_CODE_PATTERN (case-insensitive regexes),
+// and set <PREFIX>_MFA_TO when each account's codes go to its own address.
+const EMAIL_MFA_DEFAULTS = {
+  alacrity: { from: 'alacrity', subject: 'code' },
+  sedgwick: { from: 'salesforce|sedgwick', subject: 'verif' }
+};
+const DEFAULT_CODE_PATTERN = '\\b(\\d{6})\\b';
+
+// Mail server and portal clocks disagree a little; accept slightly older messages
+const SINCE_SKEW_MS = 60000;
+
+// Per mailbox: the logins waiting to use it and the code emails already used
+const MAILBOXES = new Map();
+
+/**
+ * Read the shared MFA mailbox settings (MFA_IMAP_*)
+ * @returns {Object|null} ImapFlow options plus `mailbox`, or null when not configured
+ */
+function getImapConfig() {
+  const host = process.env.MFA_IMAP_HOST;
+  if (!host) return null;
+
+  const secure = process.env.MFA_IMAP_SECURE !== 'false';
+  return {
+    host,
+    port: parseInt(process.env.MFA_IMAP_PORT, 10) || (secure ? 993 : 143),
+    secure,
+    auth: { user: process.env.MFA_IMAP_USER, pass: process.env.MFA_IMAP_PASSWORD },
+    mailbox: process.env.MFA_IMAP_MAILBOX || 'INBOX'
+  };
+}
+
+/**
+ * Collect a message's text: the first text/plain part, else text/html with tags stripped
+ * @param {ImapFlow} client
+ * @param {number} uid
+ * @param {Object} bodyStructure
+ * @returns {Promise<string>}
+ */
+async function downloadText(client, uid, bodyStructure) {
+  const parts = [];
+  (function walk(node) {
+    if (node.childNodes) node.childNodes.forEach(walk);
+    else if (/^text\/(plain|html)$/i.test(node.type)) parts.push(node);
+  })(bodyStructure);
+
+  const part = parts.find(p => /plain/i.test(p.type)) || parts[0];
+  if (!part) return '';
+
+  // A single-part message's body is part "1"
+  const { content } = await client.download(String(uid), part.part || '1', { uid: true });
+  const chunks = [];
+  for await (const chunk of content) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString('utf8');
+
+  return /html/i.test(part.type) ? text.replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ') : text;
+}
+
+/**
+ * Find the code in the newest matching email received since a point in time
+ * @param {ImapFlow} client - Connected client
+ * @param {Object} query
+ * @param {string} query.mailbox
+ * @param {RegExp} query.from - Matched against "Name <address>"
+ * @param {RegExp} query.subject
+ * @param {RegExp} [query.to] - Matched against the recipients' addresses
+ * @param {RegExp} query.codePattern - First capture group is the code
+ * @param {number} query.since - Epoch ms; older messages are ignored
+ * @param {Set<number>} [query.used] - UIDs of emails whose code was already used
+ * @returns {Promise<Object|null>} { uid, code }
+ */
+async function findEmailCode(client, { mailbox, from, subject, to, codePattern, since, used = new Set() }) {
+  const lock = await client.getMailboxLock(mailbox);
+  try {
+    // IMAP SINCE only has day granularity; the exact cut-off is applied below
+    const uids = await client.search({ since: new Date(since - 24 * 60 * 60 * 1000) }, { uid: true });
+    if (!uids || uids.length === 0) return null;
+
+    let newest = null;
+    for await (const msg of client.fetch(uids, { envelope: true, internalDate: true, bodyStructure: true }, { uid: true })) {
+      const received = new Date(msg.internalDate || msg.envelope.date).getTime();
+      if (received < since || used.has(msg.uid)) continue;
+
+      const sender = (msg.envelope.from || []).map(a => `${a.name || ''} <${a.address}>`).join(', ');
+      if (!from.test(sender) || !subject.test(msg.envelope.subject || '')) continue;
+      if (to && !(msg.envelope.to || []).some(a => to.test(a.address || ''))) continue;
+
+      if (!newest || received > newest.received) {
+        newest = { uid: msg.uid, received, subject: msg.envelope.subject || '', bodyStructure: msg.bodyStructure };
+      }
+    }
+    if (!newest) return null;
+
+    // Some portals put the code in the subject line
+    const match = newest.subject.match(codePattern) ||
+      (await downloadText(client, newest.uid, newest.bodyStructure)).match(codePattern);
+    return match ? { uid: newest.uid, code: match[1] } : null;
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * Poll the mailbox until an email with a code arrives
+ * @param {Object} imap - From getImapConfig
+ * @param {Object} query - See findEmailCode; the email found is added to `used`
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Give up after this long (default 3 minutes)
+ * @param {number} [options.pollMs] - Delay between mailbox checks (default 5 seconds)
+ * @returns {Promise<string>}
+ */
+async function waitForEmailCode(imap, query, { timeoutMs = 180000, pollMs = 5000 } = {}) {
+  const { mailbox, ...connection } = imap;
+  const client = new ImapFlow({ ...connection, logger: false });
+  await client.connect();
+
+  try {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const found = await findEmailCode(client, { mailbox, ...query });
+      if (found) {
+        query.used?.add(found.uid);
+        addSecret(found.code);
+        return found.code;
+      }
+
+      if (Date.now() + pollMs > deadline) {
+        throw new Error(`No MFA code email matching from /${query.from.source}/ and subject /${query.subject.source}/ arrived within ${Math.round(timeoutMs / 1000)}s`);
+      }
+      await new Promise(r => setTimeout(r, pollMs));
+    }
+  } finally {
+    await client.logout().catch(() => {});
+  }
+}
+
+/**
+ * The shared state of one mailbox, created on first use
+ * @param {Object} imap - From getImapConfig
+ * @returns {Object} { used: Set of UIDs, exclusive(fn) } where exclusive runs
+ *   fn once every earlier exclusive call on this mailbox has finished
+ */
+function mailboxFor(imap) {
+  const key = `${imap.auth.user}@${imap.host}:${imap.port}/${imap.mailbox}`;
+  if (!MAILBOXES.has(key)) {
+    let tail = Promise.resolve();
+    MAILBOXES.set(key, {
+      used: new Set(),
+      exclusive: (fn) => {
+        const run = tail.then(fn);
+        tail = run.catch(() => {});
+        return run;
+      }
+    });
+  }
+  return MAILBOXES.get(key);
+}
+
+/**
+ * Build an email MFA provider for a registry source entry.
+ * Sources scraped concurrently can share the mailbox and the sender, so without
+ * <PREFIX>_MFA_TO one login could read another's code. The login wraps the step
+ * that sends the code and enters it in `exclusive`; then only one such step per
+ * mailbox runs at a time, and each email's code is used only once.
+ * @param {Object} entry - From getSourceEntries
+ * @returns {Object|null} { label, getCode({ since }), exclusive(fn) }, or null when
+ *   MFA_IMAP_HOST is not set or the source type has no emailed codes
+ */
+function createEmailMfaProvider(entry) {
+  const imap = getImapConfig();
+  const defaults = EMAIL_MFA_DEFAULTS[entry.type];
+  if (!imap || !defaults) return null;
+
+  const to = readEnv(entry, 'MFA_TO');
+  const mailbox = mailboxFor(imap);
+  const query = {
+    from: new RegExp(readEnv(entry, 'MFA_FROM') || defaults.from, 'i'),
+    subject: new RegExp(readEnv(entry, 'MFA_SUBJECT') || defaults.subject, 'i'),
+    to: to ? new RegExp(to, 'i') : null,
+    codePattern: new RegExp(readEnv(entry, 'MFA_CODE_PATTERN') || DEFAULT_CODE_PATTERN, 'i'),
+    used: mailbox.used
+  };
+
+  return {
+    label: `${imap.auth.user}@${imap.host}`,
+    getCode: ({ since = Date.now() } = {}) =>
+      waitForEmailCode(imap, { ...query, since: since - SINCE_SKEW_MS }),
+    // Codes addressed to this account alone can't be mixed up, so its logins needn't wait
+    exclusive: fn => (to ? fn() : mailbox.exclusive(fn))
+  };
+}
+
+/**
+ * Answer an emailed-code challenge: ask for the code by email if the page offers
+ * a choice, wait for it to arrive, then type it in and submit
+ * @param {import('playwright').Page} page - Showing the challenge
+ * @param {Object} provider - From createEmailMfaProvider
+ * @param {Object} [options]
+ * @param {number} [options.since] - When the code may have been sent (epoch ms)
+ * @returns {Promise<boolean>}
+ */
+async function completeEmailChallenge(page, provider, { since = Date.now() } = {}) {
+  log.info(`Waiting for the security code email (${provider.label})...`);
+
+  // Some challenges ask how to deliver the code before sending it
+  const emailOption = page.getByRole('radio', { name: /e-?mail/i }).first();
+  if (await emailOption.isVisible({ timeout: 2000 }).catch(() => false)) {
+    await emailOption.check();
+  }
+  const sendButton = page.getByRole('button', { name: /^send/i }).first();
+  if (await sendButton.isVisible({ timeout: 2000 }).catch(() => false)) {
+    since = Date.now();
+    await sendButton.click();
+  }
+
+  const code = await provider.getCode({ since });
+  log.info('  Security code received');
+
+  // Try multiple selector strategies for the code field
+  const codeSelectors = [
+    () => page.getByRole('textbox', { name: /code/i }),
+    () => page.getByLabel(/code/i),
+    () => page.locator('input[name*="code" i], input[id*="code" i]'),
+    () => page.locator('input#emc'),
+    () => page.locator('input[type="tel"], input[type="number"], input[type="text"]'),
+  ];
+
+  let codeField = null;
+  for (const sel of codeSelectors) {
+    const el = sel().first();
+    if (await el.isVisible({ timeout: 2000 }).catch(() => false)) {
+      codeField = el;
+      break;
+    }
+  }
+
+  if (!codeField) {
+    log.error('Could not find the security code field');
+    return false;
+  }
+  await codeField.fill(code);
+
+  const submitButton = page.getByRole('button', { name: /verify|submit|continue|confirm/i }).first();
+  if (await submitButton.isVisible({ timeout: 2000 }).catch(() => false)) {
+    await submitButton.click();
+  } else {
+    await codeField.press('Enter');
+  }
+  return true;
+}
+
+module.exports = {
+  EMAIL_MFA_DEFAULTS,
+  getImapConfig,
+  findEmailCode,
+  waitForEmailCode,
+  createEmailMfaProvider,
+  completeEmailChallenge
+};
+
+// Check the mailbox settings for one source: prints the newest code it would use
+if (require.main === module) {
+  require('dotenv').config();
+  const { selectSources } = require('./index');
+  const [selector, minutes = '60'] = process.argv.slice(2);
+
+  if (!selector) {
+    console.log('Usage:');
+    console.log('  npm run mfa:check -- <company:source> [minutes]   e.g. npm run mfa:check -- moyers:alacrity 10');
+    process.exit(1);
+  }
+
+  (async () => {
+    const [entry] = selectSources({ only: selector });
+    const provider = createEmailMfaProvider(entry);
+    if (!provider) {
+      throw new Error(`No email MFA for ${entry.label} (set MFA_IMAP_HOST; only Alacrity and Sedgwick sources are supported)`);
+    }
+    const code = await provider.getCode({ since: Date.now() - parseFloat(minutes) * 60000 });
+    log.info(`Found a ${entry.label} code email (code ends in ${code.slice(-2)})`);
+  })()
+    .then(() => process.exit(0))
+    .catch(error => {
+      log.error('MFA check failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { loadRegistry, getSourceEntries, findStatsPath } = require('./registry');
+const { calculateSummaryTotals, formatDate } = require('./utils');
+const { log } = require('./logger');
+
+const CIP_SECTIONS = { emergency: 'Emergency', nonEmergency: 'Non-Emergency' };
+const CIP_CATEGORIES = { slas: 'SLA', survey: 'Survey', operational: 'Operational' };
+
+/**
+ * Read the SMTP settings (SMTP_*)
+ * @returns {Object|null} nodemailer transport options, or null when not configured
+ */
+function getSmtpConfig() {
+  const host = process.env.SMTP_HOST;
+  if (!host) return null;
+
+  const secure = process.env.SMTP_SECURE === 'true';
+  return {
+    host,
+    port: parseInt(process.env.SMTP_PORT, 10) || (secure ? 465 : 587),
+    secure,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+  };
+}
+
+/**
+ * Who gets a company's report, from <COMPANY KEY>_REPORT_TO (comma-separated),
+ * e.g. MOYERS_REPORT_TO
+ * @param {string} companyKey
+ * @returns {string[]}
+ */
+function getRecipients(companyKey) {
+  return (process.env[`${companyKey.toUpperCase()}_REPORT_TO`] || '')
+    .split(',').map(address => address.trim()).filter(Boolean);
+}
+
+/**
+ * "totalJobsSold" → "Total jobs sold"
+ * @param {string} key
+ * @returns {string}
+ */
+function humanize(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/_/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * One report row
+ * @param {string} label
+ * @param {number|null} value
+ * @param {Object} [change] - The snapshot's diff entry for this metric
+ * @param {string} [note] - e.g. a target or state average
+ * @returns {Object} { label, value, change, note }
+ */
+function row(label, value, change = null, note = null) {
+  return { label, value, change: change || null, note };
+}
+
+function latestSnapshot(stream) {
+  const snapshots = stream?.dailySnapshots || [];
+  return snapshots[snapshots.length - 1] || null;
+}
+
+// Tables for the latest snapshot of each source type, as [{ heading, date, rows }]
+const REPORT_TABLES = {
+  cc: (stream) => {
+    const snapshot = latestSnapshot(stream);
+    if (!snapshot) return [];
+    const summary = calculateSummaryTotals(snapshot.data);
+    return [{
+      heading: `${snapshot.year} year to date`,
+      date: snapshot.date,
+      rows: Object.entries(summary).map(([key, value]) => row(humanize(key), value, snapshot.diff?.[key]))
+    }];
+  },
+
+  sedgwick: (stream) => {
+    const snapshot = latestSnapshot(stream);
+    if (!snapshot) return [];
+    const tables = [{
+      heading: 'Dashboard',
+      date: snapshot.date,
+      rows: Object.entries(snapshot.dashboard || {}).map(([key, value]) => row(humanize(key), value, snapshot.diff?.[key]))
+    }];
+    if (snapshot.currentScores?.length) {
+      tables.push({
+        heading: 'Current scores',
+        date: snapshot.date,
+        // Score diffs are keyed the way flattenSedgwickData names them
+        rows: snapshot.currentScores.map(s =>
+          row(s.workType, s.myScore, snapshot.diff?.[`score_${s.workType}_myScore`], `state avg ${s.stateAvg}`))
+      });
+    }
+    return tables;
+  },
+
+  // The top-level stream (single-entity) and then each contractor's
+  alacrity: (stream) => (stream ? [[null, stream], ...Object.entries(stream.contractors || {})] : [])
+    .flatMap(([contractor, contractorStream]) => {
+      const snapshot = latestSnapshot(contractorStream);
+      if (!snapshot?.dashboard) return [];
+      const { dashboard, diff } = snapshot;
+
+      const tables = [{
+        heading: contractor || 'Dashboard',
+        date: snapshot.date,
+        rows: [row('Total CIP score', dashboard.totalCIPScore, diff?.totalCIPScore)]
+      }];
+      for (const [section, sectionLabel] of Object.entries(CIP_SECTIONS)) {
+        if (!dashboard[section]) continue;
+        const rows = [row('CIP score', dashboard[section].cipScore, diff?.[`${section}_cipScore`])];
+        for (const [category, categoryLabel] of Object.entries(CIP_CATEGORIES)) {
+          for (const [key, metric] of Object.entries(dashboard[section][category] || {})) {
+            const operator = metric.operator || '>=';
+            rows.push(row(`${categoryLabel}: ${humanize(key)}`, metric.actual,
+              diff?.[`${section}_${category}_${key}_actual`], `target ${operator}${metric.target}`));
+          }
+        }
+        tables.push({ heading: contractor ? `${contractor} – ${sectionLabel}` : sectionLabel, date: snapshot.date, rows });
+      }
+      return tables;
+    })
+};
+
+/**
+ * Gather the latest stored data for one company's report
+ * @param {Object} stats - Full stats object
+ * @param {Object} company - From loadRegistry
+ * @param {Object[]} entries - From getSourceEntries
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD, defaults to today in Central time
+ * @returns {Object} { company, label, date, sections: [{ title, tables }] }
+ */
+function buildEmailReport(stats, company, entries, { today = formatDate() } = {}) {
+  const sections = entries
+    .filter(entry => entry.company === company.key)
+    .map(entry => ({ title: entry.label, tables: REPORT_TABLES[entry.type](findStatsPath(stats, entry.stats)) }))
+    .filter(section => section.tables.length);
+
+  return { company: company.key, label: company.label, date: today, sections };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function formatValue(label, value) {
+  if (value == null) return '–';
+  if (typeof value !== 'number') return String(value);
+  const number = value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+  return /revenue|amount/i.test(label) ? `$${number}` : number;
+}
+
+/**
+ * Up/down indicator for a diff entry, e.g. "▲ +12 (+30.00%)"
+ * @param {Object|null} change
+ * @returns {string} Empty when the metric didn't change
+ */
+function formatIndicator(change) {
+  if (!change?.change) return '';
+  const up = change.change > 0;
+  const amount = Math.round(change.change * 100) / 100;
+  const percent = change.percentChange != null ? ` (${up ? '+' : ''}${change.percentChange}%)` : '';
+  return `${up ? '▲' : '▼'} ${up ? '+' : ''}${amount.toLocaleString('en-US')}${percent}`;
+}
+
+/**
+ * Render a report as an HTML email. Styles are inline because most mail
+ * clients drop <style> blocks.
+ * @param {Object} report - From buildEmailReport
+ * @returns {string}
+ */
+function renderEmailHtml(report) {
+  const cell = 'padding:4px 8px;border-bottom:1px solid #e5e5e5;';
+  const tables = section => section.tables.map(table => {
+    const stale = table.date !== report.date ? ` <span style="color:#b35900;">(as of ${escapeHtml(table.date)})</span>` : '';
+    // Arrows aren't coloured: for some metrics (leakage, open jobs) down is good
+    const rows = table.rows.map(r => `<tr>
+          <td style="${cell}">${escapeHtml(r.label)}</td>
+          <td style="${cell}text-align:right;font-weight:bold;">${escapeHtml(formatValue(r.label, r.value))}</td>
+          <td style="${cell}color:#555;white-space:nowrap;">${escapeHtml(formatIndicator(r.change))}</td>
+          <td style="${cell}color:#666;">${escapeHtml(r.note || '')}</td>
+        </tr>`).join('\n        ');
+    return `<h3 style="margin:16px 0 4px;font-size:14px;">${escapeHtml(table.heading)}${stale}</h3>
+      <table style="border-collapse:collapse;font-size:13px;min-width:480px;">
+        ${rows}
+      </table>`;
+  }).join('\n      ');
+
+  const body = report.sections.length
+    ? report.sections.map(section => `<h2 style="margin:24px 0 0;font-size:16px;border-bottom:2px solid #333;">${escapeHtml(section.title)}</h2>
+      ${tables(section)}`).join('\n    ')
+    : '<p>No data has been stored for this company yet.</p>';
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,Helvetica,sans-serif;color:#222;">
+    <h1 style="font-size:20px;">${escapeHtml(report.label)} daily report – ${escapeHtml(report.date)}</h1>
+    <p style="color:#666;font-size:12px;">▲/▼ show the change since the previous snapshot.</p>
+    ${body}
+  </body>
+</html>
+`;
+}
+
+/**
+ * Plain-text alternative for mail clients that don't show HTML
+ * @param {Object} report - From buildEmailReport
+ * @returns {string}
+ */
+function renderEmailText(report) {
+  const lines = [`${report.label} daily report – ${report.date}`];
+  for (const section of report.sections) {
+    lines.push('', section.title.toUpperCase());
+    for (const table of section.tables) {
+      lines.push(`${table.heading}${table.date !== report.date ? ` (as of ${table.date})` : ''}`);
+      for (const r of table.rows) {
+        const extras = [formatIndicator(r.change), r.note].filter(Boolean).join(', ');
+        lines.push(`  ${r.label}: ${formatValue(r.label, r.value)}${extras ? `  ${extras}` : ''}`);
+      }
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Email each company's report to its recipients. Companies without
+ * recipients or stored data are skipped. Failures are logged, not thrown.
+ * @param {Object} stats - Full stats object
+ * @param {Object} [options]
+ * @param {string[]} [options.companies] - Company keys (defaults to all)
+ * @param {Object} [options.transport] - nodemailer transport (defaults to one from getSmtpConfig)
+ * @returns {Promise<number>} How many emails failed to send
+ */
+async function sendEmailReports(stats, { companies, transport } = {}) {
+  if (!transport) {
+    const config = getSmtpConfig();
+    if (!config) {
+      log.info('SMTP_HOST not set, no email reports sent');
+      return 0;
+    }
+    transport = nodemailer.createTransport(config);
+  }
+
+  const from = process.env.REPORT_FROM || process.env.SMTP_USER;
+  const entries = getSourceEntries();
+  let failures = 0;
+
+  for (const company of loadRegistry().filter(c => !companies || companies.includes(c.key))) {
+    const to = getRecipients(company.key);
+    if (to.length === 0) {
+      log.debug(`No ${company.key.toUpperCase()}_REPORT_TO recipients, skipping ${company.label} report`);
+      continue;
+    }
+
+    const report = buildEmailReport(stats, company, entries);
+    if (report.sections.length === 0) {
+      log.warn(`No stored data for ${company.label}, report not sent`);
+      continue;
+    }
+
+    try {
+      await transport.sendMail({
+        from,
+        to,
+        subject: `${report.label} daily report – ${report.date}`,
+        html: renderEmailHtml(report),
+        text: renderEmailText(report)
+      });
+      log.info(`Sent ${company.label} report to ${to.length} recipient(s)`);
+    } catch (error) {
+      failures++;
+      log.error(`Failed to send ${company.label} report: ${error.message}`);
+    }
+  }
+
+  return failures;
+}
+
+module.exports = {
+  getSmtpConfig,
+  getRecipients,
+  humanize,
+  escapeHtml,
+  formatValue,
+  buildEmailReport,
+  renderEmailHtml,
+  renderEmailText,
+  sendEmailReports
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { loadStats, decryptIfNeeded } = require('./utils');
+  const args = process.argv.slice(2);
+  const valueOf = name => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+
+  if (args.includes('--help')) {
+    console.log('Usage:');
+    console.log('  npm run report:email                              Email every company with <COMPANY>_REPORT_TO set');
+    console.log('  npm run report:email -- --company moyers          Just one company');
+    console.log('  npm run report:email -- --preview tmp/reports     Write the HTML to files instead of sending');
+    process.exit(0);
+  }
+
+  (async () => {
+    decryptIfNeeded();
+    const stats = loadStats();
+    const companies = valueOf('--company')?.split(',');
+    const previewDir = valueOf('--preview');
+
+    if (previewDir) {
+      fs.mkdirSync(previewDir, { recursive: true });
+      const entries = getSourceEntries();
+      for (const company of loadRegistry().filter(c => !companies || companies.includes(c.key))) {
+        const file = path.join(previewDir, `${company.key}.html`);
+        fs.writeFileSync(file, renderEmailHtml(buildEmailReport(stats, company, entries)));
+        log.info(`Wrote ${file}`);
+      }
+      return 0;
+    }
+
+    return (await sendEmailReports(stats, { companies })) ? 1 : 0;
+  })()
+    .then(code => process.exit(code))
+    .catch(error => {
+      log.error('Email report failed:', error.message);
+      process.exit(1);
+    });
+}
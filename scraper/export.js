@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const { getSourceEntries, findStatsPath } = require('./registry');
+const { calculateSummaryTotals, formatDate } = require('./utils');
+const { flattenNumbers } = require('./rollups');
+const { flattenCIPData } = require('./alacrity');
+const { log } = require('./logger');
+
+// Plaintext exports land here (gitignored)
+const EXPORTS_DIR = path.join(__dirname, '..', 'exports');
+
+const COLUMNS = ['dataset', 'date', 'company', 'source', 'scope', 'metric', 'value'];
+
+// Datasets in output order, with the XLSX sheet name for each
+const DATASETS = {
+  cc_years: 'CC years',
+  cc_daily: 'CC daily',
+  sedgwick: 'Sedgwick',
+  alacrity: 'Alacrity',
+  rollups: 'Rollups'
+};
+
+/**
+ * Tidy rows for every number in a flat-able object
+ * @param {Object} base - { dataset, date, company, source, scope }
+ * @param {Object} data - Nested or flat values
+ * @param {string} [prefix] - Metric path prefix
+ * @returns {Object[]}
+ */
+function toRows(base, data, prefix = '') {
+  return Object.entries(flattenNumbers(data, prefix)).map(([metric, value]) => ({ ...base, metric, value }));
+}
+
+/**
+ * Rows for a stream's weekly and monthly rollups: one per metric statistic,
+ * dated at the end of the period, e.g. metric "monthly.totalJobsSold.last"
+ * @param {Object} stream - { rollups }
+ * @param {Object} base - { company, source, scope }
+ * @returns {Object[]}
+ */
+function rollupRows(stream, base) {
+  return ['weekly', 'monthly'].flatMap(kind => (stream?.rollups?.[kind] || []).flatMap(rollup =>
+    Object.entries(rollup.metrics).flatMap(([metric, stat]) =>
+      ['last', 'min', 'max', 'mean'].map(name => ({
+        ...base,
+        dataset: 'rollups',
+        date: rollup.end,
+        metric: `${kind}.${metric}.${name}`,
+        value: stat[name]
+      })))));
+}
+
+// Rows for each source type's stored data, from its stats stream
+const EXPORTERS = {
+  cc: (stream, base) => [
+    // Year-to-date totals per tab and assignment type; dated by year
+    ...Object.entries(stream?.years || {}).flatMap(([year, yearData]) =>
+      toRows({ ...base, dataset: 'cc_years', date: year }, yearData)),
+    ...(stream?.dailySnapshots || []).flatMap(s =>
+      toRows({ ...base, dataset: 'cc_daily', date: s.date }, s.summary || calculateSummaryTotals(s.data))),
+    ...rollupRows(stream, base)
+  ],
+
+  sedgwick: (stream, base) => [
+    ...(stream?.dailySnapshots || []).flatMap(s => [
+      ...toRows({ ...base, dataset: 'sedgwick', date: s.date }, s.dashboard, 'dashboard'),
+      ...(s.currentScores || []).flatMap(score =>
+        toRows({ ...base, dataset: 'sedgwick', date: s.date },
+          { myScore: score.myScore, stateAvg: score.stateAvg }, `currentScores.${score.workType}`))
+    ]),
+    ...rollupRows(stream, base)
+  ],
+
+  // A single-entity stream holds its own snapshots; each contractor's are
+  // scoped to the contractor name
+  alacrity: (stream, base) => (stream ? [[null, stream], ...Object.entries(stream.contractors || {})] : [])
+    .flatMap(([contractor, contractorStream]) => {
+      const scoped = contractor ? { ...base, scope: contractor } : base;
+      return [
+        ...(contractorStream.dailySnapshots || []).filter(s => s.dashboard).flatMap(s =>
+          toRows({ ...scoped, dataset: 'alacrity', date: s.date }, flattenCIPData(s.dashboard))),
+        ...rollupRows(contractorStream, scoped)
+      ];
+    })
+};
+
+/**
+ * Flatten stored stats into tidy rows
+ * @param {Object} stats - Full stats object
+ * @param {Object} [options]
+ * @param {string[]} [options.companies] - Company keys (defaults to all)
+ * @param {string} [options.from] - YYYY-MM-DD, inclusive
+ * @param {string} [options.to] - YYYY-MM-DD, inclusive
+ * @param {Object[]} [options.entries] - From getSourceEntries
+ * @returns {Object[]} [{ dataset, date, company, source, scope, metric, value }],
+ *   sorted by dataset, then date
+ */
+function exportRows(stats, { companies, from, to, entries = getSourceEntries() } = {}) {
+  const inRange = date => {
+    // CC years rows are dated by year, so they match any range overlapping it
+    if (/^\d{4}$/.test(date)) {
+      return (!from || date >= from.slice(0, 4)) && (!to || date <= to.slice(0, 4));
+    }
+    return (!from || date >= from) && (!to || date <= to);
+  };
+
+  const rows = entries
+    .filter(entry => !companies || companies.includes(entry.company))
+    .flatMap(entry => EXPORTERS[entry.type](findStatsPath(stats, entry.stats), {
+      company: entry.company,
+      source: entry.type,
+      scope: entry.location?.label || ''
+    }))
+    .filter(row => inRange(row.date));
+
+  const order = Object.keys(DATASETS);
+  return rows.sort((a, b) => order.indexOf(a.dataset) - order.indexOf(b.dataset) || a.date.localeCompare(b.date));
+}
+
+/**
+ * Quote a CSV field when it needs it
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line
+ * @param {Object[]} rows - From exportRows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const lines = [COLUMNS.join(','), ...rows.map(row => COLUMNS.map(column => csvField(row[column])).join(','))];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Write rows as an XLSX workbook with one sheet per dataset
+ * @param {Object[]} rows - From exportRows
+ * @param {string} file
+ */
+async function writeXlsx(rows, file) {
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+
+  for (const [dataset, sheetName] of Object.entries(DATASETS)) {
+    const sheetRows = rows.filter(row => row.dataset === dataset);
+    if (sheetRows.length === 0) continue;
+
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+    // The dataset column is the sheet itself
+    sheet.columns = COLUMNS.filter(column => column !== 'dataset')
+      .map(column => ({ header: column, key: column, width: column === 'metric' ? 48 : 16 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(sheetRows);
+    sheet.autoFilter = { from: 'A1', to: `F${sheetRows.length + 1}` };
+  }
+
+  await workbook.xlsx.writeFile(file);
+}
+
+/**
+ * Export stats to a CSV or XLSX file
+ * @param {Object} stats - Full stats object
+ * @param {Object} options - exportRows options, plus:
+ * @param {string} options.format - 'csv' or 'xlsx'
+ * @param {string} options.file - Output path
+ * @returns {Promise<number>} Rows written
+ */
+async function exportStats(stats, { format, file, ...filters }) {
+  const rows = exportRows(stats, filters);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  if (format === 'xlsx') {
+    await writeXlsx(rows, file);
+  } else {
+    fs.writeFileSync(file, toCsv(rows));
+  }
+  return rows.length;
+}
+
+module.exports = {
+  EXPORTS_DIR,
+  COLUMNS,
+  exportRows,
+  toCsv,
+  writeXlsx,
+  exportStats
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { DATA_FILE, loadStats, loadEncryptedStats } = require('./utils');
+  const args = process.argv.slice(2);
+  const valueOf = name => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+
+  if (args.includes('--help')) {
+    console.log('Usage:');
+    console.log('  npm run export                                   CSV of everything in exports/');
+    console.log('  npm run export -- --format xlsx                  One sheet per dataset');
+    console.log('  npm run export -- --company moyers,icon          Only these companies');
+    console.log('  npm run export -- --from 2025-01-01 --to 2025-06-30');
+    console.log('  npm run export -- --out <file>');
+    console.log('Reads data/stats.json if present, otherwise decrypts data/stats.json.enc in memory.');
+    process.exit(0);
+  }
+
+  const format = valueOf('--format') || 'csv';
+  const from = valueOf('--from');
+  const to = valueOf('--to');
+
+  (async () => {
+    if (!['csv', 'xlsx'].includes(format)) throw new Error(`--format must be csv or xlsx, got "${format}"`);
+    for (const date of [from, to].filter(Boolean)) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error(`Dates must be YYYY-MM-DD, got "${date}"`);
+    }
+
+    // Never write a plaintext stats.json just to export from it
+    const stats = fs.existsSync(DATA_FILE) ? loadStats() : await loadEncryptedStats();
+    const file = valueOf('--out') || path.join(EXPORTS_DIR, `stats-${formatDate()}.${format}`);
+    const count = await exportStats(stats, {
+      format,
+      file,
+      companies: valueOf('--company')?.split(','),
+      from,
+      to
+    });
+    log.info(`Wrote ${count} row(s) to ${file}`);
+  })()
+    .then(() => process.exit(0))
+    .catch(error => {
+      log.error('Export failed:', error.message);
+      process.exit(1);
+    });
+}
@@ -1,102 +1,286 @@
 require('dotenv').config();
 const { chromium } = require('playwright');
-const { loadStats, saveStats } = require('./utils');
-const { scrapeContractorConnection } = require('./contractor-connection');
-const { scrapeSedgwick, storeSedgwickSnapshot } = require('./sedgwick');
-const { scrapeAlacrity, storeAlacritySnapshot } = require('./alacrity');
-const { scrapeIconSedgwick, storeIconSedgwickSnapshot } = require('./icon-sedgwick');
-const { scrapeMoyers, storeMoyersSnapshot } = require('./moyers');
+const { loadStats, saveStats, mapWithConcurrency, decryptIfNeeded } = require('./utils');
+const { getSourceEntries } = require('./registry');
+const { scrapeSource, storeSource, compareSource } = require('./sources');
+const { RELEASE_AFTER, checkComparisons, formatIssue, isSettledChange, quarantineResult } = require('./sanity');
+const { loadAlertRules, updateAlerts, logAlerts } = require('./alerts');
+const { buildDigests, sendDigests } = require('./notify');
+const { loadSinks, snapshotRecords, publishSnapshots } = require('./sinks');
+const { isDatabaseEnabled, syncDatabase } = require('./database');
+const { withRetry } = require('./retry');
+const {
+  EXIT_CODES,
+  createRunReport,
+  recordSkipped,
+  recordSource,
+  markSourceFailed,
+  markSourceQuarantined,
+  finishRunReport,
+  printRunReport,
+  storeRunReport
+} = require('./run-report');
+const { log, withLogContext } = require('./logger');
+
+// Every source the daily run covers, in companies.json order. Selectors passed
+// to --only/--skip/--company match against `company` and `source` (or `type`).
+const SOURCES = getSourceEntries();
+
+// How many sources to scrape at once (each in its own browser context)
+const DEFAULT_CONCURRENCY = 3;
 
 /**
- * Scrape A-Action's ContractorConnection dashboard into the stats root
- * @param {import('playwright').Browser} browser
- * @param {Object} stats - Full stats object (A-Action CC lives at the root)
- * @param {Object} options - { initial, daily }
+ * Parse a comma-separated selector list such as "moyers:alacrity,icon:lansing".
+ * A selector without a source ("moyers") matches every source of that company.
+ * @param {string} value
+ * @returns {Array<{company: string, source: string|null}>}
  */
-async function scrapeAactionCC(browser, stats, { initial, daily }) {
-  const {
-    AACTION_CC_USERNAME,
-    AACTION_CC_PASSWORD,
-    AACTION_CC_2FA_SECRET,
-    AACTION_CC_BASE_URL
-  } = process.env;
-
-  await scrapeContractorConnection(browser, stats, {
-    initial,
-    daily,
-    username: AACTION_CC_USERNAME,
-    password: AACTION_CC_PASSWORD,
-    totpSecret: AACTION_CC_2FA_SECRET,
-    baseUrl: AACTION_CC_BASE_URL,
-    label: 'A-Action ContractorConnection',
-    save: () => saveStats(stats)
-  });
+function parseSelectors(value) {
+  return value
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [company, source] = part.toLowerCase().split(':');
+      return { company, source: source || null };
+    });
 }
 
-async function runScraper({ initial = false, daily = false }) {
-  const stats = loadStats();
+/**
+ * Check whether a source entry matches a selector. The selector's source part
+ * may name the entry's source ("icon:lansing") or its type ("icon:sedgwick").
+ * @param {Object} entry - { company, source, type }
+ * @param {Object} selector - { company, source }
+ * @returns {boolean}
+ */
+function matchesSelector(entry, selector) {
+  if (entry.company.toLowerCase() !== selector.company) return false;
+  return !selector.source ||
+    entry.source.toLowerCase() === selector.source ||
+    entry.type === selector.source;
+}
 
-  const headless = process.env.HEADLESS !== 'false';
-  const browser = await chromium.launch({
-    headless,
-    slowMo: headless ? 0 : 50
-  });
+/**
+ * Filter SOURCES down to the ones selected by --only/--skip/--company
+ * @param {Object} [filters]
+ * @param {string} [filters.only] - Selector list; when set, only matching sources run
+ * @param {string} [filters.skip] - Selector list; matching sources never run
+ * @param {string} [filters.company] - Comma-separated company keys to restrict the run to
+ * @returns {Array<{company: string, source: string}>}
+ */
+function selectSources({ only, skip, company } = {}) {
+  const onlySelectors = only ? parseSelectors(only) : null;
+  const skipSelectors = skip ? parseSelectors(skip) : [];
+  const companySelectors = company
+    ? parseSelectors(company).map(sel => ({ company: sel.company, source: null }))
+    : null;
 
-  try {
-    // Scrape ContractorConnection
-    await scrapeAactionCC(browser, stats, { initial, daily });
-
-    // Scrape Sedgwick
-    const sedgwickData = await scrapeSedgwick(browser);
-    if (sedgwickData) {
-      storeSedgwickSnapshot(stats, sedgwickData);
-      saveStats(stats);
+  // Reject typos up front rather than silently running nothing
+  for (const selector of [...(onlySelectors || []), ...skipSelectors, ...(companySelectors || [])]) {
+    if (!SOURCES.some(entry => matchesSelector(entry, selector))) {
+      const name = selector.source ? `${selector.company}:${selector.source}` : selector.company;
+      const known = SOURCES.map(entry => `${entry.company}:${entry.source}`).join(', ');
+      throw new Error(`Unknown source selector "${name}". Known sources: ${known}`);
     }
+  }
+
+  return SOURCES.filter(entry =>
+    (!onlySelectors || onlySelectors.some(sel => matchesSelector(entry, sel))) &&
+    (!companySelectors || companySelectors.some(sel => matchesSelector(entry, sel))) &&
+    !skipSelectors.some(sel => matchesSelector(entry, sel))
+  );
+}
+
+/**
+ * Run every selected source and record the outcome of each in a run report.
+ * Sources are scraped concurrently (up to `concurrency` browser contexts), then
+ * stored in registry order and saved once, so the result does not depend on
+ * which portal answered first.
+ * @param {Object} options - { initial, daily, only, skip, company, concurrency, force, checks }
+ *   (`force` saves stats even if they came out much smaller than the saved file;
+ *   `checks: false` stores results without the sanity checks)
+ * @returns {Promise<number>} Process exit code (see EXIT_CODES)
+ */
+async function runScraper({ initial = false, daily = false, only, skip, company, concurrency = DEFAULT_CONCURRENCY, force = false, checks = true }) {
+  const selected = selectSources({ only, skip, company });
+  const report = createRunReport({ mode: initial ? 'initial' : 'daily' });
+
+  if (selected.length === 0) {
+    log.info('No sources selected, nothing to scrape.');
+    return EXIT_CODES.OK;
+  }
+  if (selected.length < SOURCES.length) {
+    log.info(`Selected sources: ${selected.map(entry => `${entry.company}:${entry.source}`).join(', ')}`);
+  }
+
+  let stats = null;
+  const stored = [];
+  let browser = null;
+  let runnerError = null;
+  let alerts = null;
+
+  try {
+    decryptIfNeeded();
+    stats = loadStats();
+
+    const headless = process.env.HEADLESS !== 'false';
+    browser = await chromium.launch({
+      headless,
+      slowMo: headless ? 0 : 50
+    });
 
-    // Scrape Alacrity
-    const alacrityData = await scrapeAlacrity(browser);
-    if (alacrityData) {
-      storeAlacritySnapshot(stats, alacrityData);
-      saveStats(stats);
+    const options = { initial, daily };
+    log.info(`Scraping ${selected.length} source(s), ${concurrency} at a time`);
+
+    const results = await mapWithConcurrency(SOURCES, concurrency, async (entry) => {
+      if (!selected.includes(entry)) {
+        recordSkipped(report, entry, 'not selected');
+        return null;
+      }
+      // Every attempt goes through scrapeSource again, which opens a fresh browser context
+      // Failure artifacts from every attempt are listed in the source's report entry
+      return withLogContext(`${entry.company}:${entry.source}`, () => recordSource(report, entry, (result) => withRetry(
+        () => scrapeSource(browser, entry, {
+          ...options,
+          onArtifacts: (artifacts) => { result.artifacts.push(artifacts); }
+        }),
+        entry.retry,
+        { label: entry.label, onAttempt: (attempt) => { result.attempts = attempt; } }
+      )));
+    });
+
+    log.info('\n========== All scraping complete! ==========');
+
+    SOURCES.forEach((entry, i) => {
+      if (!results[i]) return;
+      withLogContext(`${entry.company}:${entry.source}`, () => {
+        try {
+          // Suspicious results (metrics gone, zeroed or wildly off) are held back so the
+          // previous data survives a portal layout change
+          const issues = checks ? checkComparisons(compareSource(stats, entry, results[i]), entry.checks) : [];
+          if (issues.length) {
+            // ...unless the same data keeps coming back, in which case the portal really changed
+            if (!isSettledChange(stats, entry, results[i], data => compareSource(stats, entry, data))) {
+              quarantineResult(stats, entry, results[i], issues);
+              markSourceQuarantined(report, entry, issues.map(formatIssue));
+              return;
+            }
+            log.warn(`Same data for ${RELEASE_AFTER} runs in a row, storing it despite ${issues.length} issue(s), e.g. ${formatIssue(issues[0])}`);
+          }
+          storeSource(stats, entry, results[i], options);
+          stored.push(entry);
+        } catch (error) {
+          log.error(`Failed to store ${entry.label}:`, error);
+          markSourceFailed(report, entry, error);
+        }
+      });
+    });
+
+    // Rules run over everything stored, including sources not scraped this time
+    alerts = updateAlerts(stats, SOURCES, loadAlertRules());
+    logAlerts(alerts);
+    report.alerts = { active: alerts.active.length, opened: alerts.opened.length, resolved: alerts.resolved.length };
+
+    // The snapshots just stored also go to every sink in sinks.json (HTTP, NDJSON file, S3)
+    const sinks = loadSinks();
+    if (sinks.length) {
+      report.sinks = await publishSnapshots(stored.flatMap(entry => snapshotRecords(stats, entry)), sinks);
     }
+  } catch (error) {
+    log.error('Scraper error:', error);
+    runnerError = error;
+  } finally {
+    if (browser) await browser.close();
+  }
+
+  finishRunReport(report, runnerError);
+  printRunReport(report);
 
-    // Scrape Icon Sedgwick (multi-location)
-    const iconData = await scrapeIconSedgwick(browser);
-    if (iconData) {
-      storeIconSedgwickSnapshot(stats, iconData);
-      saveStats(stats);
+  let exitCode = report.exitCode;
+  if (stats) {
+    storeRunReport(stats, report);
+    let saved = false;
+    try {
+      saveStats(stats, { force });
+      saved = true;
+    } catch (error) {
+      log.error('Stats not saved:', error.message);
+      exitCode = EXIT_CODES.RUNNER_ERROR;
     }
 
-    // Scrape Moyer's (CC + Sedgwick + Alacrity)
-    const moyersData = await scrapeMoyers(browser, stats, { initial, daily });
-    if (moyersData) {
-      storeMoyersSnapshot(stats, moyersData);
-      saveStats(stats);
+    // Optional SQLite copy (STATS_DB) of what was just saved; stats.json stays the source of truth
+    if (saved && isDatabaseEnabled()) {
+      try {
+        syncDatabase(stats, stored);
+      } catch (error) {
+        log.error('Database not updated:', error.message);
+      }
     }
 
-    console.log('\n========== All scraping complete! ==========');
-  } catch (error) {
-    console.error('Scraper error:', error);
-  } finally {
-    await browser.close();
+    // Per-company digest of changes, new alerts and failures (NOTIFY_*_WEBHOOKS)
+    await sendDigests(buildDigests(stats, report, alerts, { entries: SOURCES }));
   }
+
+  return exitCode;
+}
+
+/**
+ * Read the value of a "--name value" or "--name=value" argument
+ * @param {string[]} args
+ * @param {string} name - Flag name including the leading dashes
+ * @returns {string|undefined}
+ */
+function getArgValue(args, name) {
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
 }
 
-module.exports = { scrapeAactionCC };
+module.exports = { SOURCES, selectSources, runScraper };
 
 // Parse command line arguments when run directly
 if (require.main === module) {
   const args = process.argv.slice(2);
   const initial = args.includes('--initial');
   const daily = args.includes('--daily');
+  const filters = {
+    only: getArgValue(args, '--only'),
+    skip: getArgValue(args, '--skip'),
+    company: getArgValue(args, '--company')
+  };
+  const concurrency = parseInt(getArgValue(args, '--concurrency') || process.env.SCRAPE_CONCURRENCY, 10) ||
+    DEFAULT_CONCURRENCY;
+  const force = args.includes('--force');
+  const checks = !args.includes('--skip-checks');
+
+  try {
+    selectSources(filters);
+  } catch (error) {
+    log.error(error.message);
+    process.exit(EXIT_CODES.RUNNER_ERROR);
+  }
 
   if (!initial && !daily) {
     console.log('Usage:');
     console.log('  npm run scrape:initial  - Scrape all years (2020-2025)');
     console.log('  npm run scrape:daily    - Scrape current year only');
-    console.log('\nDefaulting to daily mode...');
-    runScraper({ daily: true });
-  } else {
-    runScraper({ initial, daily });
+    console.log('');
+    console.log('Source selection (combine with either mode, e.g. npm run scrape:daily -- --only moyers:alacrity):');
+    console.log('  --only <selectors>      - Run only these sources, e.g. moyers:alacrity,icon:lansing');
+    console.log('  --skip <selectors>      - Run everything except these sources');
+    console.log(`  --company <keys>        - Run only these companies (${[...new Set(SOURCES.map(entry => entry.company))].join(', ')})`);
+    console.log(`  --concurrency <n>       - Portals to scrape at once (default ${DEFAULT_CONCURRENCY}, or SCRAPE_CONCURRENCY)`);
+    console.log('  --force                 - Save stats even if they shrank a lot (lost companies or snapshots)');
+    console.log('  --skip-checks           - Store results even if they look broken (normally quarantined)');
+    log.info('\nDefaulting to daily mode...');
   }
+
+  // Exit codes: 0 = all ok, 1 = runner error, 2 = some sources failed, 3 = every source failed
+  runScraper(initial || daily ? { initial, daily, concurrency, force, checks, ...filters } : { daily: true, concurrency, force, checks, ...filters })
+    .then(code => process.exit(code))
+    .catch(error => {
+      log.error('Scraper error:', error);
+      process.exit(EXIT_CODES.RUNNER_ERROR);
+    });
 }
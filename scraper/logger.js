@@ -0,0 +1,119 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Environment variables whose values must never appear in output
+const SECRET_ENV_NAMES = /PASSWORD|SECRET|TOKEN|API_KEY|USERNAME|_USER$|^SESSION_/i;
+
+// Shorter values (e.g. "EM") would redact ordinary words
+const MIN_SECRET_LENGTH = 4;
+
+const REDACTED = '[REDACTED]';
+
+// Things that look like credentials even when we don't know the value
+const SECRET_PATTERNS = [
+  // password=..., "token": "...", secret: ...
+  [/\b(password|passwd|pwd|secret|token|api[_-]?key|authorization)(["']?\s*[:=]\s*["']?)[^\s"',;&]+/gi, `$1$2${REDACTED}`],
+  [/\bBearer\s+[A-Za-z0-9._~+/-]+=*/g, `Bearer ${REDACTED}`],
+  // One-time codes: "TOTP code: 123456", "security code is 123456"
+  [/\b(code|otp|totp|passcode)\b([^0-9\n]{0,20})\d{4,8}\b/gi, `$1$2${REDACTED}`],
+  // Derived keys and encrypted blobs (sessions, stats)
+  [/\b[0-9a-f]{64,}\b/gi, REDACTED]
+];
+
+// Values registered at runtime, e.g. a freshly generated TOTP code
+const runtimeSecrets = new Set();
+
+// Carries the current source prefix through async calls (see withLogContext)
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Never log this value (e.g. a generated TOTP code or emailed security code)
+ * @param {string} value
+ */
+function addSecret(value) {
+  if (value && String(value).length >= MIN_SECRET_LENGTH) runtimeSecrets.add(String(value));
+}
+
+/**
+ * Mask credentials, one-time codes and env secrets in a string
+ * @param {string} text
+ * @returns {string}
+ */
+function redact(text) {
+  let result = String(text);
+
+  const secrets = [...runtimeSecrets];
+  for (const [name, value] of Object.entries(process.env)) {
+    if (value && value.length >= MIN_SECRET_LENGTH && SECRET_ENV_NAMES.test(name)) secrets.push(value);
+  }
+  // Longest first so a secret containing another is masked whole
+  for (const secret of secrets.sort((a, b) => b.length - a.length)) {
+    result = result.split(secret).join(REDACTED);
+  }
+
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+/**
+ * Run fn with a log prefix (e.g. "moyers:sedgwick") applied to everything it logs,
+ * including from concurrently running sources
+ * @param {string} prefix
+ * @param {Function} fn
+ * @returns {*} fn's result
+ */
+function withLogContext(prefix, fn) {
+  return logContext.run({ prefix }, fn);
+}
+
+function minLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+function write(level, args) {
+  if (LEVELS[level] < minLevel()) return;
+
+  const prefix = logContext.getStore()?.prefix || null;
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (process.env.LOG_FORMAT === 'json') {
+    const error = args.find(arg => arg instanceof Error);
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      source: prefix,
+      msg: redact(util.format(...args.filter(arg => arg !== error)).trim())
+    };
+    if (error) entry.error = { name: error.name, message: redact(error.message), stack: redact(error.stack || '') };
+    stream.write(JSON.stringify(entry) + '\n');
+    return;
+  }
+
+  const tag = level === 'warn' || level === 'error' ? `${level.toUpperCase()} ` : '';
+  const text = redact(util.format(...args));
+  // Prefix every line so multi-line messages stay attributable when sources interleave
+  const lines = text.split('\n').map(line => line ? `${tag}${prefix ? `[${prefix}] ` : ''}${line}` : line);
+  stream.write(lines.join('\n') + '\n');
+}
+
+/**
+ * Shared scraper logger. Levels: debug, info, warn, error (LOG_LEVEL, default info).
+ * LOG_FORMAT=json writes one JSON object per line for CI.
+ */
+const log = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args)
+};
+
+module.exports = {
+  log,
+  addSecret,
+  redact,
+  withLogContext
+};
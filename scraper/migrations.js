@@ -0,0 +1,102 @@
+const { SCHEMA_VERSION } = require('./schema');
+
+// Files written before schemaVersion existed
+const LEGACY_VERSION = 1;
+
+// Root keys of a v1 file that aren't A-Action's own streams. v1 is also the
+// layout stats.json.enc and Pulsecheck are still given (see toLegacyLayout),
+// which adds the stats-level keys written since and a `companies` object for
+// companies beyond A-Action, Icon and Moyer's.
+const LEGACY_ROOT_KEYS = ['schemaVersion', 'lastUpdated', 'runs', 'quarantine', 'alerts', 'companies', 'icon', 'moyers'];
+
+/**
+ * Ordered upgrades for stats.json. Each `up` takes stats at `version - 1` and
+ * returns it at `version`. Migrations run against old files long after they
+ * are written, so they must not depend on the registry or other code that
+ * changes over time. Never edit one that has shipped; add the next version
+ * here and bump schemaVersion in stats.schema.json. New optional properties
+ * don't need a version: older files are still valid without them.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Move every company under companies.<key> (A-Action off the root, stats.moyers and stats.icon down a level)',
+    up(stats) {
+      const { lastUpdated = null, runs, quarantine, alerts, companies: others, icon, moyers } = stats;
+
+      const companies = {};
+      const aaction = Object.fromEntries(
+        Object.entries(stats).filter(([key, value]) => !LEGACY_ROOT_KEYS.includes(key) && value !== undefined)
+      );
+      if (Object.keys(aaction).length) companies.aaction = aaction;
+      if (icon) companies.icon = icon;
+      if (moyers) companies.moyers = moyers;
+      Object.assign(companies, others);
+
+      return {
+        schemaVersion: 2,
+        lastUpdated,
+        companies,
+        ...(runs && { runs }),
+        ...(quarantine && { quarantine }),
+        ...(alerts && { alerts })
+      };
+    }
+  }
+];
+
+/**
+ * Convert stats back to the v1 layout (A-Action at the root, then stats.icon
+ * and stats.moyers), the reverse of migration 2. The committed dashboard and
+ * the Pulsecheck ingest endpoint still read that layout, so it is what
+ * stats.json.enc and the Pulsecheck payload carry until both are migrated;
+ * loadStats upgrades it again on the way in.
+ * @param {Object} stats - Stats at the current schema version
+ * @returns {Object} Stats without a schemaVersion, in the v1 layout
+ */
+function toLegacyLayout(stats) {
+  const { schemaVersion, companies = {}, ...rest } = stats;
+  const { aaction, icon, moyers, ...others } = companies;
+  return {
+    ...rest,
+    ...aaction,
+    ...(icon && { icon }),
+    ...(moyers && { moyers }),
+    ...(Object.keys(others).length && { companies: others })
+  };
+}
+
+/**
+ * Upgrade a parsed stats object to SCHEMA_VERSION by running every migration
+ * newer than its schemaVersion, in order
+ * @param {Object} stats - Parsed stats.json (any version)
+ * @returns {{ stats: Object, applied: Object[] }} Upgraded stats and the migrations that ran
+ */
+function migrateStats(stats) {
+  const from = stats.schemaVersion ?? LEGACY_VERSION;
+
+  if (!Number.isInteger(from) || from < LEGACY_VERSION) {
+    throw new Error(`Invalid stats schemaVersion: ${JSON.stringify(stats.schemaVersion)}`);
+  }
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`stats schemaVersion ${from} is newer than this scraper supports (${SCHEMA_VERSION}); update the scraper`);
+  }
+
+  const applied = [];
+  let upgraded = stats;
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from || migration.version > SCHEMA_VERSION) continue;
+    upgraded = migration.up(upgraded);
+    upgraded.schemaVersion = migration.version;
+    applied.push(migration);
+  }
+
+  return { stats: upgraded, applied };
+}
+
+module.exports = {
+  LEGACY_VERSION,
+  MIGRATIONS,
+  migrateStats,
+  toLegacyLayout
+};
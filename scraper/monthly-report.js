@@ -0,0 +1,482 @@
+const fs = require('fs');
+const path = require('path');
+const { loadRegistry, getSourceEntries, findStatsPath } = require('./registry');
+const { calculateSummaryTotals, formatDate } = require('./utils');
+const { flattenNumbers } = require('./rollups');
+const { flattenSedgwickData } = require('./sedgwick');
+const { flattenCIPData } = require('./alacrity');
+const { humanize, escapeHtml, formatValue } = require('./email-report');
+const { log } = require('./logger');
+
+// Plaintext reports land here (gitignored)
+const REPORTS_DIR = path.join(__dirname, '..', 'reports');
+
+const CIP_LABELS = {
+  emergency: 'Emergency',
+  nonEmergency: 'Non-Emergency',
+  slas: 'SLA',
+  survey: 'Survey',
+  operational: 'Operational'
+};
+
+// Per source type: the numbers compared month to month (the same values the
+// store functions diff and roll up), how to label them, and which get a chart
+const REPORT_METRICS = {
+  cc: {
+    getMetrics: s => calculateSummaryTotals(s.data),
+    label: humanize,
+    // Totals are year to date, so January can't be compared with December
+    yearToDate: true,
+    charts: ['totalAssignmentsReceived', 'totalJobsSold', 'totalRevenue', 'avgPomsScore']
+  },
+  sedgwick: {
+    getMetrics: flattenSedgwickData,
+    label: key => {
+      const score = key.match(/^score_(.+)_(myScore|stateAvg)$/);
+      if (!score) return humanize(key);
+      return `${score[1]} ${score[2] === 'myScore' ? 'score' : 'state avg'}`;
+    },
+    charts: ['overallCustomerSatisfaction', 'jobStartScore', 'jobCompleteScore', 'openJobsTotal']
+  },
+  alacrity: {
+    getMetrics: s => flattenCIPData(s.dashboard),
+    label: key => {
+      if (key === 'totalCIPScore') return 'Total CIP score';
+      const [section, category, metric] = key.replace(/_actual$/, '').split('_');
+      if (category === 'cipScore') return `${CIP_LABELS[section]} CIP score`;
+      return `${CIP_LABELS[section]} ${CIP_LABELS[category]}: ${humanize(metric)}`;
+    },
+    // Targets are reported under attainment rather than as metrics
+    skip: key => key.endsWith('_target'),
+    charts: ['totalCIPScore', 'emergency_cipScore', 'nonEmergency_cipScore']
+  }
+};
+
+// Whether an actual value meets its target, by the portal's operator
+const MEETS_TARGET = {
+  '<': (actual, target) => actual < target,
+  '<=': (actual, target) => actual <= target,
+  '>': (actual, target) => actual > target,
+  '>=': (actual, target) => actual >= target
+};
+
+/**
+ * The month before a YYYY-MM month
+ * @param {string} month
+ * @returns {string}
+ */
+function previousMonth(month) {
+  const [year, m] = month.split('-').map(Number);
+  return m === 1 ? `${year - 1}-12` : `${year}-${String(m - 1).padStart(2, '0')}`;
+}
+
+/**
+ * Every stored data point in a month, oldest first: daily snapshots, plus the
+ * weekly rollups (their last values) for days already compacted
+ * @param {Object} stream - { dailySnapshots, rollups }
+ * @param {string} month - YYYY-MM
+ * @param {Function} getMetrics - snapshot => object of numbers
+ * @returns {Object[]} [{ date, values }] with flat values
+ */
+function monthPoints(stream, month, getMetrics) {
+  const points = (stream?.dailySnapshots || [])
+    .filter(s => s.date.startsWith(month))
+    .map(s => ({ date: s.date, values: flattenNumbers(getMetrics(s)) }));
+
+  const firstDaily = points.reduce((min, p) => (p.date < min ? p.date : min), '9999');
+  for (const rollup of stream?.rollups?.weekly || []) {
+    if (!rollup.end.startsWith(month) || rollup.end >= firstDaily) continue;
+    const values = Object.fromEntries(Object.entries(rollup.metrics).map(([metric, m]) => [metric, m.last]));
+    points.push({ date: rollup.end, values });
+  }
+
+  return points.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Values at the end of a month: its last daily snapshot, else its monthly rollup
+ * @param {Object} stream
+ * @param {string} month - YYYY-MM
+ * @param {Function} getMetrics
+ * @returns {Object|null} { date, values }
+ */
+function monthEnd(stream, month, getMetrics) {
+  const points = (stream?.dailySnapshots || []).filter(s => s.date.startsWith(month));
+  const last = points.sort((a, b) => a.date.localeCompare(b.date))[points.length - 1];
+  if (last) return { date: last.date, values: flattenNumbers(getMetrics(last)) };
+
+  const rollup = (stream?.rollups?.monthly || []).find(r => r.period === month);
+  if (!rollup) return null;
+  return {
+    date: rollup.end,
+    values: Object.fromEntries(Object.entries(rollup.metrics).map(([metric, m]) => [metric, m.last]))
+  };
+}
+
+/**
+ * Target attainment from flat Alacrity values: <section>_<category>_<key>_target
+ * and _actual pairs, judged with the operators from the newest stored dashboard
+ * @param {Object} values - Flat values
+ * @param {Object} operators - { '<section>_<category>_<key>': '>=' }
+ * @returns {Object} { met, total, missed: [{ label, actual, target, operator }] }
+ */
+function cipAttainment(values, operators) {
+  const result = { met: 0, total: 0, missed: [] };
+
+  for (const [key, target] of Object.entries(values)) {
+    if (!key.endsWith('_target')) continue;
+    const name = key.slice(0, -'_target'.length);
+    const actual = values[`${name}_actual`];
+    if (typeof actual !== 'number') continue;
+
+    const operator = operators[name] || '>=';
+    result.total++;
+    if ((MEETS_TARGET[operator] || MEETS_TARGET['>='])(actual, target)) {
+      result.met++;
+    } else {
+      result.missed.push({ label: REPORT_METRICS.alacrity.label(`${name}_actual`), actual, target, operator });
+    }
+  }
+  return result;
+}
+
+/**
+ * Scores at or above the Sedgwick state average. Work types with a state
+ * average of 0 have no state data and are left out.
+ * @param {Object} values - Flat values (score_<workType>_myScore/_stateAvg)
+ * @returns {Object} { met, total, missed: [{ label, actual, target, operator }] }
+ */
+function sedgwickAttainment(values) {
+  const result = { met: 0, total: 0, missed: [] };
+  for (const [key, actual] of Object.entries(values)) {
+    const workType = key.match(/^score_(.+)_myScore$/)?.[1];
+    const target = values[`score_${workType}_stateAvg`];
+    if (!workType || !target) continue;
+
+    result.total++;
+    if (actual >= target) result.met++;
+    else result.missed.push({ label: `${workType} score vs state avg`, actual, target, operator: '>=' });
+  }
+  return result;
+}
+
+/**
+ * Compare one snapshot stream's start and end of month
+ * @param {Object} stream - { dailySnapshots, rollups }
+ * @param {string} type - Source type
+ * @param {string} month - YYYY-MM
+ * @param {string|null} scope - e.g. the Alacrity contractor
+ * @returns {Object|null} null when nothing was stored that month
+ */
+function compareMonth(stream, type, month, scope) {
+  const config = REPORT_METRICS[type];
+  const end = monthEnd(stream, month, config.getMetrics);
+  if (!end) return null;
+
+  // The month starts where the previous one ended, or at its first stored day
+  const points = monthPoints(stream, month, config.getMetrics);
+  let start = monthEnd(stream, previousMonth(month), config.getMetrics);
+  if (!start || (config.yearToDate && start.date.slice(0, 4) !== month.slice(0, 4))) {
+    start = points[0] || end;
+  }
+
+  const rows = Object.keys({ ...start.values, ...end.values })
+    .filter(metric => !config.skip?.(metric))
+    .map(metric => {
+      const before = start.values[metric] ?? null;
+      const after = end.values[metric] ?? null;
+      const change = before != null && after != null ? after - before : null;
+      return {
+        metric,
+        label: config.label(metric),
+        start: before,
+        end: after,
+        change,
+        percentChange: change != null && before !== 0 ? (change / before) * 100 : null
+      };
+    });
+
+  const series = start === points[0] ? points : [start, ...points];
+  const charts = config.charts
+    .map(metric => ({
+      label: config.label(metric),
+      points: series.filter(p => typeof p.values[metric] === 'number').map(p => ({ date: p.date, value: p.values[metric] }))
+    }))
+    .filter(chart => chart.points.length > 1);
+
+  let attainment = null;
+  if (type === 'alacrity') {
+    const dashboard = [...(stream.dailySnapshots || [])].reverse().find(s => s.dashboard)?.dashboard || {};
+    const operators = {};
+    for (const [section, data] of Object.entries(dashboard)) {
+      for (const category of ['slas', 'survey', 'operational']) {
+        for (const [key, metric] of Object.entries(data?.[category] || {})) {
+          operators[`${section}_${category}_${key}`] = metric.operator;
+        }
+      }
+    }
+    attainment = {
+      title: 'Targets met',
+      start: cipAttainment(start.values, operators),
+      end: cipAttainment(end.values, operators)
+    };
+  } else if (type === 'sedgwick') {
+    attainment = {
+      title: 'Scores at or above the state average',
+      start: sedgwickAttainment(start.values),
+      end: sedgwickAttainment(end.values)
+    };
+  }
+
+  return { scope, startDate: start.date, endDate: end.date, rows, charts, attainment };
+}
+
+/**
+ * Gather a company's month: one section per source entry, with a comparison
+ * per snapshot stream (plus one per Alacrity contractor)
+ * @param {Object} stats - Full stats object
+ * @param {Object} company - From loadRegistry
+ * @param {string} month - YYYY-MM
+ * @param {Object[]} [entries] - From getSourceEntries
+ * @returns {Object} { company, label, month, generated, sections: [{ title, type, comparisons }] }
+ */
+function buildMonthlyReport(stats, company, month, entries = getSourceEntries()) {
+  const sections = entries
+    .filter(entry => entry.company === company.key)
+    .map(entry => {
+      const stream = findStatsPath(stats, entry.stats);
+      // Alacrity: the top-level stream (single-entity), then each contractor's
+      const streams = entry.type === 'alacrity'
+        ? [[null, stream], ...Object.entries(stream?.contractors || {})]
+        : [[null, stream]];
+      const comparisons = streams
+        .map(([scope, s]) => compareMonth(s, entry.type, month, scope))
+        .filter(Boolean);
+      return { title: entry.label, type: entry.type, comparisons };
+    })
+    .filter(section => section.comparisons.length);
+
+  return { company: company.key, label: company.label, month, generated: formatDate(), sections };
+}
+
+function formatChange(change, percentChange) {
+  if (change == null || change === 0) return '';
+  const sign = change > 0 ? '+' : '';
+  const percent = percentChange != null ? ` (${sign}${percentChange.toFixed(1)}%)` : '';
+  return `${change > 0 ? '▲' : '▼'} ${sign}${(Math.round(change * 100) / 100).toLocaleString('en-US')}${percent}`;
+}
+
+/**
+ * Inline SVG line chart of one metric over the month
+ * @param {Object} chart - { label, points: [{ date, value }] }
+ * @returns {string}
+ */
+function renderChart({ label, points }) {
+  const width = 320;
+  const height = 150;
+  const pad = { top: 24, right: 12, bottom: 22, left: 52 };
+  const times = points.map(p => Date.parse(`${p.date}T00:00:00Z`));
+  const values = points.map(p => p.value);
+  const [minT, maxT] = [Math.min(...times), Math.max(...times)];
+  const [minV, maxV] = [Math.min(...values), Math.max(...values)];
+
+  const x = t => pad.left + ((t - minT) / (maxT - minT || 1)) * (width - pad.left - pad.right);
+  // A flat line sits in the middle instead of on the axis
+  const y = v => (maxV === minV
+    ? (height - pad.bottom + pad.top) / 2
+    : height - pad.bottom - ((v - minV) / (maxV - minV)) * (height - pad.top - pad.bottom));
+  const coords = points.map((p, i) => `${x(times[i]).toFixed(1)},${y(p.value).toFixed(1)}`);
+
+  return `<svg class="chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+        <text x="${pad.left}" y="14" class="chart-title">${escapeHtml(label)}</text>
+        <line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" class="axis"/>
+        <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" class="axis"/>
+        <text x="${pad.left - 4}" y="${y(maxV) + 4}" class="tick" text-anchor="end">${escapeHtml(formatValue(label, maxV))}</text>
+        ${maxV !== minV ? `<text x="${pad.left - 4}" y="${y(minV) + 4}" class="tick" text-anchor="end">${escapeHtml(formatValue(label, minV))}</text>` : ''}
+        <text x="${pad.left}" y="${height - 6}" class="tick">${points[0].date.slice(5)}</text>
+        <text x="${width - pad.right}" y="${height - 6}" class="tick" text-anchor="end">${points[points.length - 1].date.slice(5)}</text>
+        <polyline points="${coords.join(' ')}" class="line"/>
+        ${coords.map(c => `<circle cx="${c.split(',')[0]}" cy="${c.split(',')[1]}" r="2" class="dot"/>`).join('')}
+      </svg>`;
+}
+
+function renderAttainment({ title, start, end }) {
+  if (end.total === 0) return '';
+  const missed = end.missed.map(m =>
+    `<li>${escapeHtml(m.label)}: ${escapeHtml(formatValue(m.label, m.actual))} (target ${escapeHtml(m.operator)}${escapeHtml(m.target)})</li>`).join('');
+  return `<div class="attainment">
+        <strong>${escapeHtml(title)}: ${end.met} of ${end.total}</strong>${start.total ? ` <span class="muted">(${start.met} of ${start.total} at the start of the month)</span>` : ''}
+        ${missed ? `<ul>${missed}</ul>` : ''}
+      </div>`;
+}
+
+const STYLE = `
+    body { font-family: Arial, Helvetica, sans-serif; color: #222; margin: 32px; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 17px; border-bottom: 2px solid #333; margin-top: 32px; page-break-after: avoid; }
+    h3 { font-size: 14px; margin: 20px 0 6px; }
+    table { border-collapse: collapse; font-size: 12px; width: 100%; }
+    th, td { padding: 4px 8px; border-bottom: 1px solid #e5e5e5; text-align: right; }
+    th:first-child, td:first-child { text-align: left; }
+    th { background: #f3f3f3; }
+    tr { page-break-inside: avoid; }
+    .muted { color: #666; font-size: 12px; }
+    .charts { display: flex; flex-wrap: wrap; gap: 12px; margin: 12px 0; page-break-inside: avoid; }
+    .chart { border: 1px solid #e5e5e5; }
+    .chart-title { font-size: 11px; font-weight: bold; }
+    .tick { font-size: 9px; fill: #666; }
+    .axis { stroke: #999; stroke-width: 1; }
+    .line { fill: none; stroke: #2563eb; stroke-width: 2; }
+    .dot { fill: #2563eb; }
+    .attainment { margin: 10px 0; font-size: 13px; }
+    .attainment ul { margin: 4px 0; color: #b42318; }
+    .comparison { page-break-inside: avoid; }
+`;
+
+/**
+ * Render a monthly report as a self-contained HTML page (inline CSS and SVG,
+ * no scripts or external assets), also used as the PDF source
+ * @param {Object} report - From buildMonthlyReport
+ * @returns {string}
+ */
+function renderMonthlyHtml(report) {
+  const comparison = c => {
+    const rows = c.rows.map(r => `<tr>
+            <td>${escapeHtml(r.label)}</td>
+            <td>${escapeHtml(formatValue(r.label, r.start))}</td>
+            <td>${escapeHtml(formatValue(r.label, r.end))}</td>
+            <td>${escapeHtml(formatChange(r.change, r.percentChange))}</td>
+          </tr>`).join('\n          ');
+    return `<div class="comparison">
+      ${c.scope ? `<h3>${escapeHtml(c.scope)}</h3>` : ''}
+      ${c.attainment ? renderAttainment(c.attainment) : ''}
+      ${c.charts.length ? `<div class="charts">
+      ${c.charts.map(renderChart).join('\n      ')}
+      </div>` : ''}
+      <table>
+        <thead><tr><th>Metric</th><th>${escapeHtml(c.startDate)}</th><th>${escapeHtml(c.endDate)}</th><th>Change</th></tr></thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+    </div>`;
+  };
+
+  const body = report.sections.length
+    ? report.sections.map(section => `<h2>${escapeHtml(section.title)}</h2>
+    ${section.type === 'cc' ? '<p class="muted">Year-to-date totals; the change is the month\'s activity.</p>' : ''}
+    ${section.comparisons.map(comparison).join('\n    ')}`).join('\n    ')
+    : '<p>No data was stored for this company in this month.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${escapeHtml(report.label)} performance report – ${escapeHtml(report.month)}</title>
+    <style>${STYLE}</style>
+  </head>
+  <body>
+    <h1>${escapeHtml(report.label)} performance report – ${escapeHtml(report.month)}</h1>
+    <p class="muted">Start of month is the previous month's last snapshot (or the month's first). Generated ${escapeHtml(report.generated)}.</p>
+    ${body}
+  </body>
+</html>
+`;
+}
+
+/**
+ * Print HTML to a PDF with the Playwright Chromium the scraper uses
+ * @param {string} html
+ * @param {string} file - Output path
+ */
+async function renderPdf(html, file) {
+  const { chromium } = require('playwright');
+  const browser = await chromium.launch();
+  try {
+    const page = await browser.newPage();
+    await page.setContent(html, { waitUntil: 'load' });
+    await page.pdf({
+      path: file,
+      format: 'Letter',
+      printBackground: true,
+      margin: { top: '0.5in', right: '0.5in', bottom: '0.5in', left: '0.5in' }
+    });
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Write a company's monthly report as HTML and (unless disabled) PDF
+ * @param {Object} stats - Full stats object
+ * @param {string} companyKey
+ * @param {string} month - YYYY-MM
+ * @param {Object} [options]
+ * @param {string} [options.outDir] - Defaults to reports/
+ * @param {boolean} [options.pdf] - Also render a PDF (default true)
+ * @returns {Promise<string[]>} Files written
+ */
+async function writeMonthlyReport(stats, companyKey, month, { outDir = REPORTS_DIR, pdf = true } = {}) {
+  const company = loadRegistry().find(c => c.key === companyKey);
+  if (!company) throw new Error(`Unknown company "${companyKey}"`);
+  if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) throw new Error(`Month must be YYYY-MM, got "${month}"`);
+
+  const report = buildMonthlyReport(stats, company, month);
+  if (report.sections.length === 0) {
+    throw new Error(`No ${company.label} data stored for ${month}`);
+  }
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const html = renderMonthlyHtml(report);
+  const htmlFile = path.join(outDir, `${company.key}-${month}.html`);
+  fs.writeFileSync(htmlFile, html);
+  log.info(`Wrote ${htmlFile}`);
+
+  const files = [htmlFile];
+  if (pdf) {
+    const pdfFile = path.join(outDir, `${company.key}-${month}.pdf`);
+    await renderPdf(html, pdfFile);
+    log.info(`Wrote ${pdfFile}`);
+    files.push(pdfFile);
+  }
+  return files;
+}
+
+module.exports = {
+  REPORTS_DIR,
+  previousMonth,
+  buildMonthlyReport,
+  renderMonthlyHtml,
+  writeMonthlyReport
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { loadStats, decryptIfNeeded } = require('./utils');
+  const args = process.argv.slice(2);
+  const valueOf = name => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+  const [companyKey, month = previousMonth(formatDate().slice(0, 7))] = args.filter((arg, i) =>
+    !arg.startsWith('--') && args[i - 1] !== '--out');
+
+  if (!companyKey) {
+    console.log('Usage:');
+    console.log('  npm run report:monthly -- <company> [YYYY-MM]      e.g. npm run report:monthly -- moyers 2026-09');
+    console.log('      (defaults to last month; writes reports/<company>-<month>.html and .pdf)');
+    console.log('  npm run report:monthly -- moyers --out <dir>       Write somewhere else');
+    console.log('  npm run report:monthly -- moyers --no-pdf          HTML only');
+    process.exit(1);
+  }
+
+  (async () => {
+    decryptIfNeeded();
+    await writeMonthlyReport(loadStats(), companyKey, month, {
+      outDir: valueOf('--out') || REPORTS_DIR,
+      pdf: !args.includes('--no-pdf')
+    });
+  })()
+    .then(() => process.exit(0))
+    .catch(error => {
+      log.error('Monthly report failed:', error.message);
+      process.exit(1);
+    });
+}
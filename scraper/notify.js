@@ -0,0 +1,244 @@
+const { loadRegistry, findStatsPath } = require('./registry');
+const { formatDate } = require('./utils');
+const { log, addSecret } = require('./logger');
+
+// Largest changes listed per source, by percent change
+const MAX_CHANGES_PER_SOURCE = 8;
+
+// Webhooks that don't answer within this long are given up on
+const WEBHOOK_TIMEOUT_MS = 15000;
+
+/**
+ * Webhook URLs to post digests to, from NOTIFY_SLACK_WEBHOOKS and
+ * NOTIFY_TEAMS_WEBHOOKS (comma-separated)
+ * @returns {Object[]} [{ format: 'slack'|'teams', url }]
+ */
+function getWebhooks() {
+  const list = name => (process.env[name] || '').split(',').map(url => url.trim()).filter(Boolean);
+  const webhooks = [
+    ...list('NOTIFY_SLACK_WEBHOOKS').map(url => ({ format: 'slack', url })),
+    ...list('NOTIFY_TEAMS_WEBHOOKS').map(url => ({ format: 'teams', url }))
+  ];
+  // Webhook URLs carry their credentials in the path
+  webhooks.forEach(({ url }) => addSecret(url));
+  return webhooks;
+}
+
+/**
+ * Today's day-over-day changes for a source entry, largest first
+ * @param {Object} stats - Full stats object
+ * @param {Object} entry - From getSourceEntries
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object[]} [{ scope, metric, previous, current, change, percentChange }]
+ */
+function getTodaysChanges(stats, entry, today) {
+  const stream = findStatsPath(stats, entry.stats);
+  if (!stream) return [];
+
+  // Alacrity keeps a stream per contractor; everything else has one
+  const streams = [[null, stream], ...Object.entries(stream.contractors || {})];
+  const changes = [];
+  for (const [scope, s] of streams) {
+    const snapshot = s.dailySnapshots?.find(snap => snap.date === today);
+    const found = Object.entries(snapshot?.diff || {}).map(([metric, d]) => ({ scope, metric, ...d }));
+    found.sort((a, b) => Math.abs(b.percentChange ?? Infinity) - Math.abs(a.percentChange ?? Infinity));
+    changes.push(...found.slice(0, MAX_CHANGES_PER_SOURCE));
+  }
+  return changes;
+}
+
+/**
+ * Build one digest per company from a finished run
+ * @param {Object} stats - Full stats object, after storing the run
+ * @param {Object} report - The run report
+ * @param {Object|null} alerts - From updateAlerts, or null if rules weren't evaluated
+ * @param {Object} options
+ * @param {Object[]} options.entries - From getSourceEntries
+ * @param {string} [options.today] - YYYY-MM-DD, defaults to today in Central time
+ * @returns {Object[]} [{ company, label, date, failed, alerts, resolved, changes, quiet }]
+ */
+function buildDigests(stats, report, alerts, { entries, today = formatDate() }) {
+  const companyLabels = Object.fromEntries(loadRegistry().map(c => [c.key, c.label]));
+  const digests = [];
+
+  for (const company of [...new Set(entries.map(entry => entry.company))]) {
+    const ran = report.sources.filter(s => s.company === company && s.status !== 'skipped');
+    const opened = (alerts?.opened || []).filter(alert => alert.company === company);
+    const resolved = (alerts?.resolved || []).filter(alert => alert.company === company);
+    // Companies with nothing configured never get a digest
+    if (ran.length === 0 && opened.length === 0 && resolved.length === 0) continue;
+
+    const failed = ran
+      .filter(s => s.status === 'failed' || s.status === 'quarantined')
+      .map(s => ({
+        label: entries.find(e => e.company === company && e.source === s.source)?.label || s.source,
+        status: s.status,
+        detail: s.error || s.reason
+      }));
+
+    const changes = entries
+      .filter(entry => entry.company === company &&
+        ran.some(s => s.source === entry.source && s.status === 'ok'))
+      .map(entry => ({ label: entry.label, changes: getTodaysChanges(stats, entry, today) }))
+      .filter(source => source.changes.length);
+
+    digests.push({
+      company,
+      label: companyLabels[company] || company,
+      date: today,
+      failed,
+      alerts: opened,
+      resolved,
+      changes,
+      quiet: failed.length === 0 && opened.length === 0 && resolved.length === 0 && changes.length === 0
+    });
+  }
+
+  return digests;
+}
+
+/**
+ * Format a change like "+12 (40 → 52)"
+ * @param {Object} change - A diff entry
+ * @returns {string}
+ */
+function formatChange({ previous, current, change, percentChange }) {
+  const sign = change > 0 ? '+' : '';
+  const percent = percentChange != null ? `, ${sign}${percentChange}%` : '';
+  return `${sign}${Math.round(change * 100) / 100} (${previous} → ${current}${percent})`;
+}
+
+/**
+ * The digest as titled sections of plain lines, shared by both payload formats
+ * @param {Object} digest - From buildDigests
+ * @returns {{ title: string, sections: Object[] }} sections: [{ heading, lines }]
+ */
+function digestSections(digest) {
+  const sections = [];
+
+  if (digest.failed.length) {
+    sections.push({
+      heading: 'Failed sources',
+      lines: digest.failed.map(f => `${f.label}: ${f.detail}`)
+    });
+  }
+  if (digest.alerts.length) {
+    sections.push({ heading: 'New alerts', lines: digest.alerts.map(a => `[${a.severity}] ${a.message}`) });
+  }
+  if (digest.resolved.length) {
+    sections.push({ heading: 'Resolved alerts', lines: digest.resolved.map(a => a.message) });
+  }
+  for (const source of digest.changes) {
+    sections.push({
+      heading: `${source.label} changes`,
+      lines: source.changes.map(c => `${[c.scope, c.metric].filter(Boolean).join(' ')}: ${formatChange(c)}`)
+    });
+  }
+  if (digest.quiet) {
+    sections.push({ heading: 'No changes', lines: ['Nothing changed since the last snapshot.'] });
+  }
+
+  return { title: `${digest.label} daily digest (${digest.date})`, sections };
+}
+
+/**
+ * Slack incoming-webhook payload (Block Kit, with plain text fallback)
+ * @param {Object} digest - From buildDigests
+ * @returns {Object}
+ */
+function toSlackPayload(digest) {
+  const { title, sections } = digestSections(digest);
+  return {
+    text: title,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: title } },
+      ...sections.map(({ heading, lines }) => ({
+        type: 'section',
+        // Slack caps a section's text at 3000 characters
+        text: { type: 'mrkdwn', text: `*${heading}*\n${lines.map(line => `• ${line}`).join('\n')}`.slice(0, 3000) }
+      }))
+    ]
+  };
+}
+
+/**
+ * Microsoft Teams webhook payload (an Adaptive Card message, as accepted by
+ * Teams workflow webhooks)
+ * @param {Object} digest - From buildDigests
+ * @returns {Object}
+ */
+function toTeamsPayload(digest) {
+  const { title, sections } = digestSections(digest);
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          { type: 'TextBlock', text: title, weight: 'Bolder', size: 'Medium', wrap: true },
+          ...sections.flatMap(({ heading, lines }) => [
+            { type: 'TextBlock', text: heading, weight: 'Bolder', spacing: 'Medium', wrap: true },
+            { type: 'TextBlock', text: lines.map(line => `- ${line}`).join('\n'), wrap: true }
+          ])
+        ]
+      }
+    }]
+  };
+}
+
+const PAYLOADS = {
+  slack: toSlackPayload,
+  teams: toTeamsPayload
+};
+
+/**
+ * Post digests to every configured webhook. Quiet digests (no changes, alerts
+ * or failures) are skipped when NOTIFY_QUIET_DAYS=false. Failures are logged,
+ * never thrown, so a broken webhook can't fail the scrape.
+ * @param {Object[]} digests - From buildDigests
+ * @param {Object[]} [webhooks] - Defaults to getWebhooks()
+ * @returns {Promise<number>} How many posts failed
+ */
+async function sendDigests(digests, webhooks = getWebhooks()) {
+  if (webhooks.length === 0) return 0;
+
+  const sendQuiet = process.env.NOTIFY_QUIET_DAYS !== 'false';
+  let failures = 0;
+
+  for (const digest of digests) {
+    if (digest.quiet && !sendQuiet) {
+      log.info(`Quiet day for ${digest.label}, no digest sent`);
+      continue;
+    }
+
+    for (const { format, url } of webhooks) {
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(PAYLOADS[format](digest)),
+          signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${await response.text()}`);
+        log.info(`Sent ${digest.label} digest to ${format} webhook`);
+      } catch (error) {
+        failures++;
+        log.error(`Failed to send ${digest.label} digest to ${format} webhook: ${error.message}`);
+      }
+    }
+  }
+
+  return failures;
+}
+
+module.exports = {
+  getWebhooks,
+  buildDigests,
+  digestSections,
+  toSlackPayload,
+  toTeamsPayload,
+  sendDigests
+};
@@ -0,0 +1,231 @@
+const { findStatsPath, getSourceEntries } = require('./registry');
+const { withRetry } = require('./retry');
+const { formatDate } = require('./utils');
+const { toLegacyLayout } = require('./migrations');
+const { log } = require('./logger');
+
+// Ingest batches end in one of these
+const TERMINAL_STATUSES = ['completed', 'failed', 'completed_with_errors'];
+
+const DEFAULTS = {
+  // Each HTTP request
+  requestTimeoutMs: 30000,
+  // Between status polls, and how many polls before giving up (10 minutes)
+  pollIntervalMs: 10000,
+  maxPolls: 60,
+  // The POST is only retried when it never reached Pulsecheck (refused
+  // connection, DNS failure). After a reset, a timeout or a 5xx the batch may
+  // already be queued, and sending it again would ingest it twice. Status
+  // polls are safe to repeat, so they retry on all of those
+  postRetry: { attempts: 3, backoffMs: 5000, backoffFactor: 2, retryOn: ['connect'] },
+  pollRetry: { attempts: 3, backoffMs: 5000, backoffFactor: 2, retryOn: ['connect', 'network', 'timeout', 'server'] }
+};
+
+/**
+ * Read the Pulsecheck settings (PULSECHECK_URL, PULSECHECK_TOKEN)
+ * @returns {Object|null} { url, token }, or null when not configured
+ */
+function getPulsecheckConfig() {
+  const url = process.env.PULSECHECK_URL;
+  const token = process.env.PULSECHECK_TOKEN;
+  if (!url || !token) return null;
+  return { url: url.replace(/\/+$/, ''), token };
+}
+
+/**
+ * The full stats as Pulsecheck ingests them: in the v1 layout (A-Action at
+ * the root, see toLegacyLayout), which the ingest endpoint still parses
+ * @param {Object} stats - Full stats object at the current schema version
+ * @returns {Object}
+ */
+function buildFullPayload(stats) {
+  return toLegacyLayout(stats);
+}
+
+/**
+ * Stats trimmed to one day: each stream keeps only that day's snapshot (with
+ * its diff), and CC `years` and rollups are dropped. The result is in the
+ * same v1 layout as buildFullPayload, so the ingest endpoint parses both the
+ * same way.
+ * @param {Object} stats - Full stats object at the current schema version
+ * @param {Object} [options]
+ * @param {string} [options.date] - YYYY-MM-DD, defaults to today in Central time
+ * @param {Object[]} [options.entries] - From getSourceEntries
+ * @returns {Object}
+ */
+function buildDeltaPayload(stats, { date = formatDate(), entries = getSourceEntries() } = {}) {
+  const payload = JSON.parse(JSON.stringify(stats));
+  payload.runs = (payload.runs || []).slice(-1);
+
+  for (const entry of entries) {
+    const stream = findStatsPath(payload, entry.stats);
+    if (!stream) continue;
+    // Alacrity keeps a stream per contractor
+    for (const s of [stream, ...Object.values(stream.contractors || {})]) {
+      if (s.dailySnapshots) s.dailySnapshots = s.dailySnapshots.filter(snapshot => snapshot.date === date);
+      delete s.rollups;
+    }
+    if (entry.type === 'cc') delete stream.years;
+  }
+
+  return toLegacyLayout(payload);
+}
+
+/**
+ * One JSON request to Pulsecheck. Errors carry "HTTP <status>" or the network
+ * error code in their message, which is what classifyError sorts them by.
+ * @param {Object} config - From getPulsecheckConfig
+ * @param {string} method
+ * @param {string} apiPath - e.g. "/api/ingest"
+ * @param {Object} [options]
+ * @param {string} [options.body] - Serialized JSON
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function request(config, method, apiPath, { body, timeoutMs = DEFAULTS.requestTimeoutMs } = {}) {
+  let response;
+  try {
+    response = await fetch(`${config.url}${apiPath}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${config.token}`,
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      const timeout = new Error(`${method} ${apiPath}: no response within ${timeoutMs / 1000}s`);
+      timeout.name = 'TimeoutError';
+      throw timeout;
+    }
+    const cause = error.cause?.code || error.cause?.message;
+    throw new Error(`${method} ${apiPath}: ${error.message}${cause ? ` (${cause})` : ''}`);
+  }
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`${method} ${apiPath}: HTTP ${response.status} ${text.slice(0, 200)}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${method} ${apiPath}: response is not JSON: ${text.slice(0, 200)}`);
+  }
+}
+
+/**
+ * Post a payload to /api/ingest and poll /api/ingest/:id until the batch
+ * reaches a terminal status
+ * @param {Object} payload - From buildFullPayload or buildDeltaPayload
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Defaults to getPulsecheckConfig()
+ * @param {number} [options.requestTimeoutMs]
+ * @param {number} [options.pollIntervalMs]
+ * @param {number} [options.maxPolls]
+ * @param {Object} [options.postRetry] - Retry policies (see withRetry)
+ * @param {Object} [options.pollRetry]
+ * @param {Function} [options.sleep] - async (ms) => void, for tests
+ * @returns {Promise<Object>} { id, status, errors } where status is a terminal
+ *   status or 'timed_out'
+ */
+async function ingest(payload, options = {}) {
+  const {
+    config = getPulsecheckConfig(),
+    requestTimeoutMs,
+    pollIntervalMs,
+    maxPolls,
+    postRetry,
+    pollRetry,
+    sleep = ms => new Promise(r => setTimeout(r, ms))
+  } = { ...DEFAULTS, ...options };
+  if (!config) throw new Error('PULSECHECK_URL and PULSECHECK_TOKEN must be set');
+
+  const body = JSON.stringify(payload);
+  log.info(`Sending ${(body.length / 1024).toFixed(0)} KB to Pulsecheck...`);
+  const accepted = await withRetry(
+    () => request(config, 'POST', '/api/ingest', { body, timeoutMs: requestTimeoutMs }),
+    postRetry, { label: 'Pulsecheck ingest', sleep });
+
+  const id = accepted.id;
+  if (!id) throw new Error(`No batch id in ingest response: ${JSON.stringify(accepted).slice(0, 200)}`);
+  log.info(`Ingest batch ${id} accepted; polling for a terminal status.`);
+
+  // Ingest is asynchronous (202 + poll); only a terminal status says whether it worked
+  for (let poll = 1; poll <= maxPolls; poll++) {
+    const batch = await withRetry(
+      () => request(config, 'GET', `/api/ingest/${encodeURIComponent(id)}`, { timeoutMs: requestTimeoutMs }),
+      pollRetry, { label: 'Pulsecheck status', sleep });
+
+    if (TERMINAL_STATUSES.includes(batch.status)) {
+      return { id, status: batch.status, errors: batch.errors || [] };
+    }
+    log.debug(`Batch ${id} is ${batch.status} (poll ${poll}/${maxPolls})`);
+    if (poll < maxPolls) await sleep(pollIntervalMs);
+  }
+
+  return { id, status: 'timed_out', errors: [] };
+}
+
+/**
+ * Log an ingest result, including each error Pulsecheck returned
+ * @param {Object} result - From ingest
+ */
+function logIngestResult({ id, status, errors }) {
+  if (status === 'completed') {
+    log.info(`Ingest ${id} completed.`);
+    return;
+  }
+  if (status === 'timed_out') {
+    log.error(`Ingest ${id} did not reach a terminal status in time.`);
+    return;
+  }
+  log.error(`Ingest ${id} finished as '${status}' with ${errors.length} error(s):`);
+  for (const error of errors) {
+    log.error(`  ${typeof error === 'string' ? error : JSON.stringify(error)}`);
+  }
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  getPulsecheckConfig,
+  buildFullPayload,
+  buildDeltaPayload,
+  ingest,
+  logIngestResult
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const fs = require('fs');
+  const { DATA_FILE, loadStats, loadEncryptedStats } = require('./utils');
+  const { recordPulsecheck } = require('./run-report');
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    console.log('Usage:');
+    console.log('  npm run pulsecheck                 Send the stats (data/stats.json, else stats.json.enc decrypted in memory)');
+    console.log('  npm run pulsecheck -- --deltas     Send only today\'s snapshots and diffs');
+    console.log('Needs PULSECHECK_URL and PULSECHECK_TOKEN.');
+    process.exit(0);
+  }
+
+  const mode = args.includes('--deltas') ? 'deltas' : 'full';
+  const started = Date.now();
+
+  (async () => {
+    const stats = fs.existsSync(DATA_FILE) ? loadStats() : await loadEncryptedStats();
+    const result = await ingest(mode === 'deltas' ? buildDeltaPayload(stats) : buildFullPayload(stats));
+    logIngestResult(result);
+    recordPulsecheck({ mode, ...result, durationMs: Date.now() - started });
+    return result.status === 'completed' ? 0 : 1;
+  })()
+    .catch(error => {
+      log.error('Pulsecheck ingest failed:', error.message);
+      recordPulsecheck({ mode, id: null, status: 'error', errors: [], error: error.message, durationMs: Date.now() - started });
+      return 1;
+    })
+    .then(code => process.exit(code));
+}
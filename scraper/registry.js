@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_FILE = path.join(__dirname, '..', 'companies.json');
+
+// Source types the scraper knows how to run, with the label used in log output
+const SOURCE_TYPE_LABELS = {
+  cc: 'ContractorConnection',
+  sedgwick: 'Sedgwick',
+  alacrity: 'Alacrity'
+};
+
+/**
+ * Load and validate the company registry
+ * @param {string} [file] - Registry path (defaults to companies.json at the repo root)
+ * @returns {Object[]} companies
+ */
+function loadRegistry(file = REGISTRY_FILE) {
+  const { companies } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(companies)) {
+    throw new Error(`${file}: expected a "companies" array`);
+  }
+
+  const keys = new Set();
+  for (const company of companies) {
+    if (!company.key || !company.label) {
+      throw new Error(`${file}: every company needs a key and a label`);
+    }
+    if (keys.has(company.key)) {
+      throw new Error(`${file}: duplicate company key "${company.key}"`);
+    }
+    keys.add(company.key);
+
+    for (const source of company.sources || []) {
+      if (!SOURCE_TYPE_LABELS[source.type]) {
+        throw new Error(`${file}: ${company.key} has unknown source type "${source.type}"`);
+      }
+      if (!source.envPrefix) {
+        throw new Error(`${file}: ${company.key}:${source.type} needs an envPrefix`);
+      }
+      if (source.retry?.attempts != null && !(Number.isInteger(source.retry.attempts) && source.retry.attempts >= 1)) {
+        throw new Error(`${file}: ${company.key}:${source.type} retry.attempts must be a positive integer`);
+      }
+      if (source.checks?.maxJump != null && !(typeof source.checks.maxJump === 'number' && source.checks.maxJump > 1)) {
+        throw new Error(`${file}: ${company.key}:${source.type} checks.maxJump must be a number above 1`);
+      }
+      if (source.checks?.ignore != null && !Array.isArray(source.checks.ignore)) {
+        throw new Error(`${file}: ${company.key}:${source.type} checks.ignore must be an array of metric paths`);
+      }
+      if (source.locations) {
+        if (source.type !== 'sedgwick') {
+          throw new Error(`${file}: ${company.key}:${source.type} - locations are only supported for sedgwick sources`);
+        }
+        for (const loc of source.locations) {
+          if (!loc.key || !loc.envPrefix || loc.stats == null) {
+            throw new Error(`${file}: ${company.key} locations need a key, envPrefix and stats path`);
+          }
+        }
+      } else if (source.stats == null) {
+        throw new Error(`${file}: ${company.key}:${source.type} needs a stats path`);
+      }
+    }
+  }
+
+  return companies;
+}
+
+/**
+ * Full stats path for a company-relative registry stats path
+ * @param {string} companyKey
+ * @param {string} statsPath - e.g. "sedgwick", or "" for the company itself
+ * @returns {string} e.g. "companies.moyers.sedgwick"
+ */
+function companyStatsPath(companyKey, statsPath) {
+  return ['companies', companyKey, statsPath].filter(Boolean).join('.');
+}
+
+/**
+ * Flatten the registry into one runnable entry per source (or per location
+ * for multi-location sources), in registry order.
+ * `source` is the location key for location entries and the type otherwise,
+ * which is what --only/--skip selectors match against.
+ * Registry stats paths are relative to the company; `stats` in each entry is
+ * the full path from the stats root.
+ * @param {Object[]} [companies] - From loadRegistry (loaded if omitted)
+ * @returns {Object[]} [{ company, source, type, label, stats, envPrefixes, location, retry, checks }]
+ */
+function getSourceEntries(companies = loadRegistry()) {
+  const entries = [];
+
+  for (const company of companies) {
+    for (const source of company.sources || []) {
+      const typeLabel = source.label || `${company.label} ${SOURCE_TYPE_LABELS[source.type]}`;
+
+      if (source.locations) {
+        for (const loc of source.locations) {
+          entries.push({
+            company: company.key,
+            source: loc.key,
+            type: source.type,
+            label: `${typeLabel} ${loc.label || loc.key}`,
+            stats: companyStatsPath(company.key, loc.stats),
+            // Location-level variables win; shared ones (e.g. the login URL) fall back to the source
+            envPrefixes: [loc.envPrefix, source.envPrefix],
+            location: { key: loc.key, label: loc.label || loc.key },
+            retry: source.retry || {},
+            checks: source.checks || {}
+          });
+        }
+      } else {
+        entries.push({
+          company: company.key,
+          source: source.type,
+          type: source.type,
+          label: typeLabel,
+          stats: companyStatsPath(company.key, source.stats),
+          envPrefixes: [source.envPrefix],
+          location: null,
+          retry: source.retry || {},
+          checks: source.checks || {}
+        });
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Read a variable for a source entry, e.g. readEnv(entry, 'USERNAME')
+ * looks up ICON_SEDGWICK_LANSING_USERNAME, then ICON_SEDGWICK_USERNAME
+ * @param {Object} entry - From getSourceEntries
+ * @param {string} name - Variable name without the prefix
+ * @returns {string|undefined}
+ */
+function readEnv(entry, name) {
+  for (const prefix of entry.envPrefixes) {
+    const value = process.env[`${prefix}_${name}`];
+    if (value) return value;
+  }
+  return undefined;
+}
+
+/**
+ * Resolve a dotted stats path ("companies.moyers.sedgwick"), creating empty objects
+ * along the way. An empty path is the stats root.
+ * @param {Object} stats - Full stats object
+ * @param {string} statsPath
+ * @returns {Object}
+ */
+function resolveStatsPath(stats, statsPath) {
+  let node = stats;
+  for (const key of statsPath.split('.').filter(Boolean)) {
+    if (!node[key]) node[key] = {};
+    node = node[key];
+  }
+  return node;
+}
+
+/**
+ * Look up a dotted stats path without creating anything
+ * @param {Object} stats - Full stats object
+ * @param {string} statsPath
+ * @returns {Object|null} The node, or null if any part of the path is missing
+ */
+function findStatsPath(stats, statsPath) {
+  let node = stats;
+  for (const key of statsPath.split('.').filter(Boolean)) {
+    node = node?.[key];
+  }
+  return node ?? null;
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  SOURCE_TYPE_LABELS,
+  loadRegistry,
+  companyStatsPath,
+  getSourceEntries,
+  readEnv,
+  resolveStatsPath,
+  findStatsPath
+};
@@ -0,0 +1,82 @@
+const { log } = require('./logger');
+
+// Retry policy used when a source in companies.json doesn't set its own
+const DEFAULT_RETRY_POLICY = {
+  attempts: 3,
+  backoffMs: 15000,
+  backoffFactor: 2,
+  // Login failures are not retried by default so a bad password doesn't lock the account
+  retryOn: ['timeout', 'connect', 'network']
+};
+
+/**
+ * Classify a scrape error so a retry policy can decide whether to try again
+ * @param {Error} error
+ * @returns {'timeout'|'connect'|'network'|'server'|'session'|'login'|'unknown'}
+ */
+function classifyError(error) {
+  const message = error?.message || '';
+
+  if (error?.name === 'TimeoutError' || /Timeout \d+ms exceeded/i.test(message)) return 'timeout';
+  // No connection was made, so nothing reached the server (HTTP APIs; a
+  // browser's net::ERR_ codes are all 'network')
+  if (!/net::ERR_/.test(message) && /ECONNREFUSED|ENOTFOUND|EAI_AGAIN|UND_ERR_CONNECT_TIMEOUT/.test(message)) return 'connect';
+  if (/net::ERR_|ECONNRESET|ETIMEDOUT|UND_ERR_SOCKET|Navigation failed|Target (page, context or browser )?(has been )?closed/i.test(message)) {
+    return 'network';
+  }
+  // Server errors from HTTP APIs (e.g. Pulsecheck) are transient too, but the
+  // request may still have been processed, so only idempotent ones retry them
+  if (/\bHTTP 5\d\d\b/.test(message)) return 'server';
+  // A headless run hit an MFA challenge; only `npm run capture-session` fixes it
+  if (/needs recapturing/i.test(message)) return 'session';
+  if (/login failed/i.test(message)) return 'login';
+  return 'unknown';
+}
+
+/**
+ * Merge a source's retry settings over the defaults
+ * @param {Object} [policy] - Partial { attempts, backoffMs, backoffFactor, retryOn }
+ * @returns {Object}
+ */
+function resolveRetryPolicy(policy = {}) {
+  return { ...DEFAULT_RETRY_POLICY, ...policy };
+}
+
+/**
+ * Call fn until it succeeds, the error kind is not retryable, or attempts run out.
+ * Each call to fn should open its own browser context so every attempt starts fresh.
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} [policy] - Partial retry policy (merged over DEFAULT_RETRY_POLICY)
+ * @param {Object} [options]
+ * @param {string} [options.label] - Source label for log output
+ * @param {Function} [options.onAttempt] - (attempt, error|null) called after each attempt
+ * @param {Function} [options.sleep] - async (ms) => void, for tests
+ * @returns {Promise<*>} fn's result; rethrows the last error
+ */
+async function withRetry(fn, policy, { label = 'Source', onAttempt = () => {}, sleep = ms => new Promise(r => setTimeout(r, ms)) } = {}) {
+  const { attempts, backoffMs, backoffFactor, retryOn } = resolveRetryPolicy(policy);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn(attempt);
+      onAttempt(attempt, null);
+      return result;
+    } catch (error) {
+      onAttempt(attempt, error);
+
+      const kind = classifyError(error);
+      if (attempt >= attempts || !retryOn.includes(kind)) throw error;
+
+      const delay = Math.round(backoffMs * Math.pow(backoffFactor, attempt - 1));
+      log.warn(`${label} attempt ${attempt}/${attempts} failed (${kind}), retrying in ${delay / 1000}s...`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  classifyError,
+  resolveRetryPolicy,
+  withRetry
+};
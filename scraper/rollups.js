@@ -0,0 +1,127 @@
+const { formatDate } = require('./utils');
+
+// Daily snapshots newer than this many days stay as they are
+const DEFAULT_DAILY_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How many days of daily snapshots to keep (DAILY_SNAPSHOT_DAYS, default 365)
+ * @returns {number}
+ */
+function getDailyDays() {
+  const days = parseInt(process.env.DAILY_SNAPSHOT_DAYS, 10);
+  return days > 0 ? days : DEFAULT_DAILY_DAYS;
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days
+ * @param {string} date
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * ISO week a date falls in, e.g. "2025-W03" (weeks start on Monday)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function isoWeek(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  // The Thursday of the same week decides which year the week belongs to
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const year = d.getUTCFullYear();
+  const week = Math.ceil(((d - Date.UTC(year, 0, 1)) / DAY_MS + 1) / 7);
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Flatten the numbers in an object to dotted paths, e.g. { a: { b: 1 } } → { 'a.b': 1 }
+ * @param {Object} data
+ * @param {string} [prefix] - Path of `data` itself (used when recursing)
+ * @param {Object} [flat] - Result being built (used when recursing)
+ * @returns {Object}
+ */
+function flattenNumbers(data, prefix = '', flat = {}) {
+  for (const [key, value] of Object.entries(data || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === 'number' && Number.isFinite(value)) flat[name] = value;
+    else if (value && typeof value === 'object') flattenNumbers(value, name, flat);
+  }
+  return flat;
+}
+
+/**
+ * Fold one day's values into the rollup for its period, creating it if needed
+ * @param {Object[]} rollups - stream.rollups.weekly or .monthly, sorted by start
+ * @param {string} period - "2025-W03" or "2025-01"
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} values - Flat { metric: number }
+ */
+function addToRollup(rollups, period, date, values) {
+  let rollup = rollups.find(r => r.period === period);
+  if (!rollup) {
+    rollup = { period, start: date, end: date, days: 0, metrics: {} };
+    rollups.push(rollup);
+    rollups.sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  const latest = date >= rollup.end;
+  if (date < rollup.start) rollup.start = date;
+  if (latest) rollup.end = date;
+  rollup.days++;
+
+  for (const [metric, value] of Object.entries(values)) {
+    const m = rollup.metrics[metric];
+    if (!m) {
+      rollup.metrics[metric] = { last: value, min: value, max: value, mean: value, count: 1 };
+      continue;
+    }
+    if (latest) m.last = value;
+    m.min = Math.min(m.min, value);
+    m.max = Math.max(m.max, value);
+    m.mean = (m.mean * m.count + value) / (m.count + 1);
+    m.count++;
+  }
+}
+
+/**
+ * Move daily snapshots older than the daily window into the stream's weekly
+ * and monthly rollups (last, min, max and mean of each metric). Replaces the
+ * old "keep the last 365 snapshots" truncation, so long-term trends survive.
+ * @param {Object} stream - { dailySnapshots, rollups } (rollups created if needed)
+ * @param {Function} getMetrics - snapshot => object of the numbers to keep; the
+ *   same values the store function diffs day to day
+ * @param {Object} [options]
+ * @param {number} [options.dailyDays] - Days of dailies to keep (see getDailyDays)
+ * @param {string} [options.today] - YYYY-MM-DD, defaults to today in Central time
+ * @returns {number} How many snapshots were compacted
+ */
+function compactSnapshots(stream, getMetrics, { dailyDays = getDailyDays(), today = formatDate() } = {}) {
+  const cutoff = addDays(today, -dailyDays);
+  const expired = (stream.dailySnapshots || [])
+    .filter(s => s.date < cutoff)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (expired.length === 0) return 0;
+
+  if (!stream.rollups) stream.rollups = { weekly: [], monthly: [] };
+  for (const snapshot of expired) {
+    const values = flattenNumbers(getMetrics(snapshot));
+    addToRollup(stream.rollups.weekly, isoWeek(snapshot.date), snapshot.date, values);
+    addToRollup(stream.rollups.monthly, snapshot.date.slice(0, 7), snapshot.date, values);
+  }
+
+  stream.dailySnapshots = stream.dailySnapshots.filter(s => s.date >= cutoff);
+  return expired.length;
+}
+
+module.exports = {
+  DEFAULT_DAILY_DAYS,
+  getDailyDays,
+  isoWeek,
+  flattenNumbers,
+  compactSnapshots
+};
@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { classifyError } = require('./retry');
+const { DATA_FILE, countMetrics } = require('./utils');
+const { log, redact } = require('./logger');
+
+// Written next to the stats file (data/ unless STATS_FILE moves it)
+const REPORT_FILE = path.join(path.dirname(DATA_FILE), 'run-report.json');
+
+// How many run reports to keep in stats.runs
+const MAX_RUNS = 90;
+
+// Process exit codes for the daily run
+const EXIT_CODES = {
+  OK: 0,
+  // The runner itself crashed (browser launch, stats load, ...)
+  RUNNER_ERROR: 1,
+  // At least one configured source failed (or was quarantined), others succeeded
+  PARTIAL_FAILURE: 2,
+  // Every source that ran failed
+  ALL_FAILED: 3
+};
+
+/**
+ * Start a new run report
+ * @param {Object} options
+ * @param {string} options.mode - 'initial' or 'daily'
+ * @returns {Object} Report to pass to recordSource/finishRunReport
+ */
+function createRunReport({ mode }) {
+  return {
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    mode,
+    status: null,
+    exitCode: null,
+    sources: []
+  };
+}
+
+/**
+ * Record a source that was deliberately not run
+ * @param {Object} report
+ * @param {Object} entry - { company, source }
+ * @param {string} reason
+ */
+function recordSkipped(report, { company, source }, reason) {
+  report.sources.push({
+    company,
+    source,
+    status: 'skipped',
+    reason,
+    durationMs: 0,
+    attempts: 0,
+    metrics: 0,
+    error: null,
+    errorKind: null,
+    artifacts: []
+  });
+}
+
+/**
+ * Run one source and record its outcome in the report. The scrape function
+ * returns data on success, null when the source is not configured, and
+ * throws on failure. Errors are recorded, never rethrown.
+ * The report entry is added before the scrape starts, so concurrent sources
+ * appear in the order they were started.
+ * @param {Object} report
+ * @param {Object} entry - { company, source }
+ * @param {Function} scrapeFn - async (result) => data|null; may annotate its report
+ *   entry (e.g. `attempts`) through the argument
+ * @returns {Promise<Object|null>} Scraped data, or null if skipped/failed
+ */
+async function recordSource(report, { company, source }, scrapeFn) {
+  const started = Date.now();
+  const result = {
+    company,
+    source,
+    status: 'ok',
+    reason: null,
+    durationMs: 0,
+    attempts: 1,
+    metrics: 0,
+    error: null,
+    errorKind: null,
+    artifacts: []
+  };
+  report.sources.push(result);
+
+  let data = null;
+  try {
+    data = await scrapeFn(result);
+    if (data == null) {
+      result.status = 'skipped';
+      result.reason = 'not configured';
+    } else {
+      result.metrics = countMetrics(data);
+    }
+  } catch (error) {
+    result.status = 'failed';
+    result.error = redact(error.message);
+    result.errorKind = classifyError(error);
+    if (result.errorKind === 'session') {
+      result.reason = `session needs recapturing: npm run capture-session -- ${company}:${source}`;
+    }
+    data = null;
+  }
+
+  result.durationMs = Date.now() - started;
+  return data;
+}
+
+/**
+ * Mark an already-recorded source as failed, e.g. when storing its data throws
+ * @param {Object} report
+ * @param {Object} entry - { company, source }
+ * @param {Error} error
+ */
+function markSourceFailed(report, { company, source }, error) {
+  const result = report.sources.find(s => s.company === company && s.source === source);
+  if (!result) return;
+  result.status = 'failed';
+  result.error = redact(error.message);
+  result.errorKind = classifyError(error);
+}
+
+/**
+ * Mark a scraped source whose data failed the sanity checks and was not stored
+ * @param {Object} report
+ * @param {Object} entry - { company, source }
+ * @param {string[]} issues - Readable issues (see formatIssue)
+ */
+function markSourceQuarantined(report, { company, source }, issues) {
+  const result = report.sources.find(s => s.company === company && s.source === source);
+  if (!result) return;
+  result.status = 'quarantined';
+  result.reason = `suspicious data kept out of stats: ${issues.length} issue(s), e.g. ${issues[0]}`;
+  result.issues = issues;
+}
+
+/**
+ * Work out the exit code for a report
+ * @param {Object} report
+ * @returns {number}
+ */
+function getExitCode(report) {
+  const ran = report.sources.filter(s => s.status !== 'skipped');
+  // Quarantined data wasn't stored, so the source counts as failed for the day
+  const failed = ran.filter(s => s.status === 'failed' || s.status === 'quarantined');
+
+  if (failed.length === 0) return EXIT_CODES.OK;
+  return failed.length === ran.length ? EXIT_CODES.ALL_FAILED : EXIT_CODES.PARTIAL_FAILURE;
+}
+
+/**
+ * Close out a report: set the finish time, overall status and exit code
+ * @param {Object} report
+ * @param {Error} [runnerError] - Error that aborted the whole run, if any
+ * @returns {Object} The same report
+ */
+function finishRunReport(report, runnerError) {
+  report.finishedAt = new Date().toISOString();
+
+  if (runnerError) {
+    report.exitCode = EXIT_CODES.RUNNER_ERROR;
+    report.error = redact(runnerError.message);
+  } else {
+    report.exitCode = getExitCode(report);
+  }
+
+  report.status = report.exitCode === EXIT_CODES.OK ? 'ok' : 'failed';
+  return report;
+}
+
+/**
+ * Print a one-line-per-source summary of the run
+ * @param {Object} report
+ */
+function printRunReport(report) {
+  log.info('\n========== Run report ==========');
+  for (const s of report.sources) {
+    const seconds = (s.durationMs / 1000).toFixed(1);
+    let line = `  ${s.status.toUpperCase().padEnd(11)} ${`${s.company}:${s.source}`.padEnd(24)}`;
+    const tries = s.attempts > 1 ? ` (${s.attempts} attempts)` : '';
+    if (s.status === 'ok') line += ` ${s.metrics} metrics in ${seconds}s${tries}`;
+    if (s.status === 'skipped') line += ` (${s.reason})`;
+    if (s.status === 'failed') line += ` after ${seconds}s${tries}: ${s.error}`;
+    if (s.status === 'quarantined') line += ` ${s.metrics} metrics held back, previous data kept`;
+    log.info(line);
+    if ((s.status === 'failed' || s.status === 'quarantined') && s.reason) log.info(`              ${s.reason}`);
+    for (const { reason, files } of s.artifacts || []) {
+      log.info(`              Artifacts (${reason}): ${files.length ? path.dirname(files[0]) : 'none could be saved'}`);
+    }
+  }
+  for (const [id, { written, failed }] of Object.entries(report.sinks || {})) {
+    log.info(`  Sink ${id}: ${written} snapshot(s) written${failed ? `, ${failed} failed` : ''}`);
+  }
+  if (report.error) log.info(`  Runner error: ${report.error}`);
+  log.info(`Exit code: ${report.exitCode}`);
+}
+
+/**
+ * Write the report to run-report.json next to the stats file and append it to stats.runs
+ * @param {Object} stats - Full stats object (saved by the caller)
+ * @param {Object} report
+ */
+function storeRunReport(stats, report) {
+  fs.mkdirSync(path.dirname(REPORT_FILE), { recursive: true });
+  fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2));
+  log.info('Run report saved to', REPORT_FILE);
+
+  if (!stats.runs) stats.runs = [];
+  stats.runs.push(report);
+
+  if (stats.runs.length > MAX_RUNS) {
+    stats.runs = stats.runs.slice(-MAX_RUNS);
+  }
+}
+
+/**
+ * Add the Pulsecheck ingest outcome to the latest run-report.json. The ingest
+ * runs after the scrape (it sends the saved stats), so stats.runs doesn't get it.
+ * @param {Object} result - { mode, id, status, errors, error?, durationMs }
+ */
+function recordPulsecheck(result) {
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(REPORT_FILE, 'utf8'));
+  } catch (error) {
+    log.warn(`No run report to add the Pulsecheck result to (${error.message})`);
+    return;
+  }
+
+  report.pulsecheck = {
+    mode: result.mode,
+    batch: result.id,
+    status: result.status,
+    errors: result.errors.length,
+    error: result.error ? redact(result.error) : null,
+    durationMs: result.durationMs
+  };
+  fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2));
+  log.info(`Pulsecheck result added to ${REPORT_FILE}`);
+}
+
+module.exports = {
+  EXIT_CODES,
+  createRunReport,
+  recordSkipped,
+  recordSource,
+  markSourceFailed,
+  markSourceQuarantined,
+  finishRunReport,
+  printRunReport,
+  storeRunReport,
+  recordPulsecheck
+};
@@ -0,0 +1,172 @@
+const { formatDate } = require('./utils');
+const { log } = require('./logger');
+
+// A metric more than this many times bigger or smaller than before is suspicious...
+const DEFAULT_MAX_JUMP = 3;
+// ...unless it moved by less than this much (small counts swing a lot)
+const MIN_JUMP_CHANGE = 10;
+
+// Quarantined results kept in stats.quarantine, oldest dropped first
+const MAX_QUARANTINE = 30;
+
+// A source quarantined this many runs in a row with results that agree with each
+// other takes the latest one: the change is real (e.g. a metric the portal removed)
+const RELEASE_AFTER = 3;
+
+// Issues listed per source in log output before summarising the rest
+const MAX_LOGGED_ISSUES = 5;
+
+/**
+ * Flatten the numbers and nulls in scraped data to dotted paths
+ * @param {Object} data
+ * @param {string} [prefix] - Path of `data` itself (used when recursing)
+ * @param {Object} [flat] - Result being built (used when recursing)
+ * @returns {Object} { 'assignments.data.jobsSold': 12, ... }
+ */
+function flattenMetrics(data, prefix = '', flat = {}) {
+  for (const [key, value] of Object.entries(data || {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value === null || typeof value === 'number') flat[name] = value;
+    else if (typeof value === 'object') flattenMetrics(value, name, flat);
+  }
+  return flat;
+}
+
+/**
+ * Compare a new extraction with what is already stored for it.
+ * Flags metrics that disappeared, non-zero values that became zero or null,
+ * and values that jumped by more than `maxJump` times in either direction.
+ * @param {Object|null} previous - Stored data (nested), or null if there is none yet
+ * @param {Object} current - Newly scraped data (nested)
+ * @param {Object} [options]
+ * @param {number} [options.maxJump] - Largest plausible ratio between old and new values
+ * @param {string[]} [options.ignore] - Metric path prefixes to leave unchecked
+ * @param {Function} [options.isCumulative] - metric => true for counts that only grow
+ *   (year-to-date totals), which may grow by any amount but not shrink by a jump
+ * @returns {Object[]} [{ metric, problem: 'missing'|'zeroed'|'jump', previous, current }]
+ */
+function findIssues(previous, current, { maxJump = DEFAULT_MAX_JUMP, ignore = [], isCumulative = () => false } = {}) {
+  if (!previous) return [];
+
+  const before = flattenMetrics(previous);
+  const after = flattenMetrics(current);
+  const issues = [];
+
+  for (const [metric, was] of Object.entries(before)) {
+    if (ignore.some(prefix => metric === prefix || metric.startsWith(`${prefix}.`))) continue;
+    if (typeof was !== 'number') continue;
+
+    const now = after[metric];
+    if (now === undefined) {
+      issues.push({ metric, problem: 'missing', previous: was, current: null });
+    } else if (was !== 0 && (now === null || now === 0)) {
+      issues.push({ metric, problem: 'zeroed', previous: was, current: now });
+    } else if (was !== 0 && now !== null && Math.abs(now - was) >= MIN_JUMP_CHANGE) {
+      const ratio = Math.abs(now / was);
+      if (now > was && was > 0 && isCumulative(metric)) continue;
+      if (ratio > maxJump || ratio < 1 / maxJump || Math.sign(now) !== Math.sign(was)) {
+        issues.push({ metric, problem: 'jump', previous: was, current: now });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Describe an issue for log output and the run report
+ * @param {Object} issue - From findIssues
+ * @returns {string}
+ */
+function formatIssue({ scope, metric, problem, previous, current }) {
+  const name = scope ? `${scope} ${metric}` : metric;
+  if (problem === 'missing') return `${name} missing (was ${previous})`;
+  return `${name} ${problem === 'zeroed' ? 'dropped' : 'jumped'} from ${previous} to ${current}`;
+}
+
+/**
+ * Run the sanity checks on each part of a source's new data
+ * @param {Object[]} comparisons - [{ scope, previous, current, isCumulative? }], e.g.
+ *   one per CC year or Alacrity contractor
+ * @param {Object} [options] - Passed to findIssues (the entry's `checks`)
+ * @returns {Object[]} Issues, each tagged with its scope
+ */
+function checkComparisons(comparisons, options) {
+  return comparisons.flatMap(({ scope, previous, current, isCumulative }) =>
+    findIssues(previous, current, { ...options, isCumulative }).map(issue => ({ scope, ...issue })));
+}
+
+/**
+ * Count the runs in a row, most recent first, whose result for a source was
+ * quarantined. Runs that skipped the source or failed to scrape it don't break the run.
+ * @param {Object[]} runs - stats.runs
+ * @param {Object} entry - { company, source }
+ * @returns {number}
+ */
+function countQuarantinedRuns(runs = [], { company, source }) {
+  let count = 0;
+  for (const run of [...runs].reverse()) {
+    const result = run.sources.find(s => s.company === company && s.source === source);
+    if (!result || result.status === 'skipped' || result.status === 'failed') continue;
+    if (result.status !== 'quarantined') break;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Whether a result that failed the checks should be stored anyway: the source was
+ * quarantined for the previous RELEASE_AFTER - 1 runs and the result passes the
+ * checks against the latest quarantined result. Stored data never changes while a
+ * source is quarantined, so without this a lasting change would be held back forever.
+ * @param {Object} stats - Full stats object
+ * @param {Object} entry - { company, source, checks }
+ * @param {Object} data - The scraped data that failed the checks
+ * @param {Function} compare - data => comparisons against the stored data (compareSource)
+ * @returns {boolean}
+ */
+function isSettledChange(stats, entry, data, compare) {
+  if (countQuarantinedRuns(stats.runs, entry) < RELEASE_AFTER - 1) return false;
+
+  const held = (stats.quarantine || []).findLast(q => q.company === entry.company && q.source === entry.source);
+  if (!held) return false;
+
+  const heldByScope = new Map(compare(held.data).map(({ scope, current }) => [scope, current]));
+  const comparisons = compare(data).map(comparison =>
+    ({ ...comparison, previous: heldByScope.get(comparison.scope) ?? null }));
+  return checkComparisons(comparisons, entry.checks).length === 0;
+}
+
+/**
+ * Keep a suspicious result in stats.quarantine instead of storing it, so it
+ * can be inspected (and the prior data stays untouched)
+ * @param {Object} stats - Full stats object
+ * @param {Object} entry - { company, source }
+ * @param {Object} data - The scraped data that failed the checks
+ * @param {Object[]} issues - From checkComparisons
+ */
+function quarantineResult(stats, { company, source }, data, issues) {
+  log.warn(`Suspicious data, kept the previous values and quarantined this result (${issues.length} issue(s)):`);
+  for (const issue of issues.slice(0, MAX_LOGGED_ISSUES)) {
+    log.warn(`  ${formatIssue(issue)}`);
+  }
+  if (issues.length > MAX_LOGGED_ISSUES) log.warn(`  ...and ${issues.length - MAX_LOGGED_ISSUES} more`);
+
+  if (!stats.quarantine) stats.quarantine = [];
+  stats.quarantine.push({ date: formatDate(), company, source, issues, data });
+  if (stats.quarantine.length > MAX_QUARANTINE) {
+    stats.quarantine = stats.quarantine.slice(-MAX_QUARANTINE);
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_JUMP,
+  RELEASE_AFTER,
+  flattenMetrics,
+  findIssues,
+  formatIssue,
+  checkComparisons,
+  countQuarantinedRuns,
+  isSettledChange,
+  quarantineResult
+};
@@ -0,0 +1,48 @@
+const Ajv = require('ajv');
+const STATS_SCHEMA = require('./stats.schema.json');
+
+// The version loadStats upgrades to and saveStats writes (see migrations.js)
+const SCHEMA_VERSION = STATS_SCHEMA.properties.schemaVersion.const;
+
+// How many schema errors to list before summarising the rest
+const MAX_REPORTED_ERRORS = 5;
+
+const validate = new Ajv({ allErrors: true }).compile(STATS_SCHEMA);
+
+/**
+ * Check a stats object against stats.schema.json
+ * @param {Object} stats - Full stats object
+ * @returns {string[]} Readable errors, e.g. "/companies/icon/locations/lansing/dailySnapshots/3/date must match pattern ...";
+ *   empty when valid
+ */
+function getSchemaErrors(stats) {
+  if (validate(stats)) return [];
+  return validate.errors.map(error => {
+    const where = error.instancePath || '(root)';
+    const extra = error.params.additionalProperty ? ` "${error.params.additionalProperty}"` : '';
+    return `${where} ${error.message}${extra}`;
+  });
+}
+
+/**
+ * Throw if a stats object doesn't match stats.schema.json
+ * @param {Object} stats - Full stats object
+ * @param {string} [source] - File name or context for the error message
+ */
+function validateStats(stats, source = 'stats') {
+  const errors = getSchemaErrors(stats);
+  if (errors.length === 0) return;
+
+  const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `  ${error}`);
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    listed.push(`  ...and ${errors.length - MAX_REPORTED_ERRORS} more`);
+  }
+  throw new Error(`${source} does not match the stats schema (v${SCHEMA_VERSION}):\n${listed.join('\n')}`);
+}
+
+module.exports = {
+  STATS_SCHEMA,
+  SCHEMA_VERSION,
+  getSchemaErrors,
+  validateStats
+};
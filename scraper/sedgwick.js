@@ -1,17 +1,49 @@
 const {
   formatDate,
   calculateDiff,
-  getPreviousSnapshot
+  getPreviousSnapshot,
+  countMetrics
 } = require('./utils');
+const { newSessionContext, saveSession } = require('./sessions');
+const { startTracing, stopTracing, captureArtifacts } = require('./artifacts');
+const { completeEmailChallenge } = require('./email-mfa');
+const { waitForLoginResult } = require('./auth');
+const { compactSnapshots } = require('./rollups');
+const { log } = require('./logger');
+
+// Salesforce "Verify Your Identity" page shown when it emails a verification code
+const VERIFICATION_URL = /identity\/verification/i;
+
+// Where the Salesforce login and verification pages show a rejected password or code
+const LOGIN_ERROR_SELECTOR = '#error, .loginError, .slds-text-color_error, [role="alert"]';
 
 /**
  * Login to Sedgwick Contractor Portal
  * @param {import('playwright').Page} page
  * @param {Object} credentials
+ * @param {boolean} [credentials.restored] - A saved session was loaded; try it before logging in
+ * @param {Object} [credentials.mfa] - Email MFA provider (createEmailMfaProvider) used
+ *   to answer an identity verification challenge
  * @returns {Promise<boolean>}
+ * @throws {Error} 'Sedgwick login failed: ...' when the portal rejects the password or code
  */
-async function loginSedgwick(page, { url, username, password }) {
-  console.log('Starting Sedgwick login...');
+async function loginSedgwick(page, { url, username, password, restored = false, mfa }) {
+  if (restored) {
+    // The portal home is the login URL without its /login suffix
+    const homeUrl = url.replace(/\/login\/?(\?.*)?$/i, '/');
+    await page.goto(homeUrl);
+    await page.waitForLoadState('networkidle');
+
+    if (/\/contractor\/s\//i.test(page.url()) && !/\/login/i.test(page.url())) {
+      log.info('Saved Sedgwick session is still valid, skipping login');
+      // Salesforce takes time to load all components and iframe widgets
+      await page.waitForTimeout(15000);
+      return true;
+    }
+    log.info('Saved Sedgwick session has expired, logging in again...');
+  }
+
+  log.info('Starting Sedgwick login...');
 
   await page.goto(url);
   await page.waitForLoadState('networkidle');
@@ -35,14 +67,14 @@ async function loginSedgwick(page, { url, username, password }) {
       const el = sel();
       if (await el.isVisible({ timeout: 2000 }).catch(() => false)) {
         userField = el;
-        console.log('  Found username field');
+        log.debug('  Found username field');
         break;
       }
     } catch (e) { continue; }
   }
 
   if (!userField) {
-    console.error('Could not find username field on login page');
+    log.error('Could not find username field on login page');
     return false;
   }
 
@@ -61,14 +93,14 @@ async function loginSedgwick(page, { url, username, password }) {
       const el = sel();
       if (await el.isVisible({ timeout: 2000 }).catch(() => false)) {
         passField = el;
-        console.log('  Found password field');
+        log.debug('  Found password field');
         break;
       }
     } catch (e) { continue; }
   }
 
   if (!passField) {
-    console.error('Could not find password field on login page');
+    log.error('Could not find password field on login page');
     return false;
   }
 
@@ -98,33 +130,50 @@ async function loginSedgwick(page, { url, username, password }) {
   }
 
   if (!loginBtn) {
-    console.error('Could not find login button');
+    log.error('Could not find login button');
     return false;
   }
 
-  await loginBtn.click();
+  // Log in and get past any identity verification. The code email goes to a mailbox
+  // other logins may share, so they wait until this one has used its code
+  const submit = async () => {
+    const loginStarted = Date.now();
+    await loginBtn.click();
+
+    // Wait for redirect to contractor portal (or an identity verification challenge)
+    log.info('Waiting for Sedgwick dashboard...');
+    await waitForLoginResult(page,
+      () => page.waitForURL(/\/contractor\/s\/|identity\/verification/i, { timeout: 30000 }),
+      { label: 'Sedgwick', errorSelector: LOGIN_ERROR_SELECTOR });
+
+    if (VERIFICATION_URL.test(page.url())) {
+      if (!mfa) {
+        log.error('Sedgwick asked for an emailed verification code; set MFA_IMAP_* to answer it automatically');
+        return false;
+      }
+      log.info('Identity verification requested — answering it with the emailed code...');
+      if (!await completeEmailChallenge(page, mfa, { since: loginStarted })) return false;
+      await waitForLoginResult(page,
+        () => page.waitForURL(/\/contractor\/s\//i, { timeout: 30000 }),
+        { label: 'Sedgwick', errorSelector: LOGIN_ERROR_SELECTOR });
+    }
+    return true;
+  };
+  if (!await (mfa ? mfa.exclusive(submit) : submit())) return false;
 
-  // Wait for redirect to contractor portal
-  console.log('Waiting for Sedgwick dashboard...');
-  await page.waitForURL(/\/contractor\/s\//i, { timeout: 30000 });
   // Salesforce takes time to load all components and iframe widgets
   await page.waitForTimeout(15000);
 
-  console.log('Sedgwick login successful!');
+  log.info('Sedgwick login successful!');
   return true;
 }
 
 /**
- * Extract score data from the main page (outside iframe)
- * Parses the "Current Score (Rolling 12 Months)" table
- * @param {import('playwright').Page} page
- * @returns {Promise<Object>}
+ * Parse the "Current Score (Rolling 12 Months)" tables from the portal home page
+ * @param {string} text - document.body.innerText of the main page
+ * @returns {Object} { currentScores: [{ workType, myScore, stateAvg }] }
  */
-async function extractMainPageData(page) {
-  console.log('Extracting main page data...');
-
-  const text = await page.evaluate(() => document.body.innerText);
-
+function parseMainPageText(text) {
   // The page has two separate tables:
   //   "MY SCORE" table: WorkType\n\tScore lines
   //   "AVERAGE STATE SCORE" table: WorkType\n\tScore lines
@@ -165,7 +214,22 @@ async function extractMainPageData(page) {
     });
   }
 
-  console.log(`  Found ${currentScores.length} work type scores`);
+  return { currentScores };
+}
+
+/**
+ * Extract score data from the main page (outside iframe)
+ * Parses the "Current Score (Rolling 12 Months)" table
+ * @param {import('playwright').Page} page
+ * @returns {Promise<Object>}
+ */
+async function extractMainPageData(page) {
+  log.info('Extracting main page data...');
+
+  const text = await page.evaluate(() => document.body.innerText);
+  const { currentScores } = parseMainPageText(text);
+
+  log.info(`  Found ${currentScores.length} work type scores`);
   return { currentScores };
 }
 
@@ -175,7 +239,7 @@ async function extractMainPageData(page) {
  * @returns {Promise<Object>}
  */
 async function extractDashboardData(page) {
-  console.log('Extracting Salesforce dashboard iframe data...');
+  log.info('Extracting Salesforce dashboard iframe data...');
 
   // Find the dashboard iframe (name contains "sfxdash")
   let dashFrame = null;
@@ -187,7 +251,7 @@ async function extractDashboardData(page) {
   }
 
   if (!dashFrame) {
-    console.log('  WARNING: Could not find Salesforce dashboard iframe, waiting...');
+    log.info('  Salesforce dashboard iframe not loaded yet, waiting...');
     await page.waitForTimeout(5000);
     for (const frame of page.frames()) {
       if (frame.name().includes('sfxdash')) {
@@ -198,11 +262,11 @@ async function extractDashboardData(page) {
   }
 
   if (!dashFrame) {
-    console.log('  ERROR: Salesforce dashboard iframe not found');
+    log.error('Salesforce dashboard iframe not found');
     return {};
   }
 
-  console.log(`  Found dashboard iframe: ${dashFrame.name()}`);
+  log.info(`  Found dashboard iframe: ${dashFrame.name()}`);
 
   // Click "Load more widgets" if present to reveal Referral data
   try {
@@ -210,7 +274,7 @@ async function extractDashboardData(page) {
     if (await loadMore.isVisible({ timeout: 3000 }).catch(() => false)) {
       await loadMore.click();
       await page.waitForTimeout(3000);
-      console.log('  Clicked "Load more widgets"');
+      log.info('  Clicked "Load more widgets"');
     }
   } catch (e) {
     // May already be loaded
@@ -219,13 +283,28 @@ async function extractDashboardData(page) {
   // Wait for dashboard widgets to render
   try {
     await dashFrame.locator('text=Customer Satisfaction Percentage').waitFor({ timeout: 15000 });
-    console.log('  Dashboard widgets loaded');
+    log.info('  Dashboard widgets loaded');
   } catch (e) {
-    console.log('  WARNING: Dashboard widgets may not have fully loaded');
+    log.warn('Dashboard widgets may not have fully loaded');
   }
 
-  // Get text and normalize non-breaking spaces (U+00A0) to regular spaces
   const rawText = await dashFrame.evaluate(() => document.body.innerText);
+  const dashboard = parseDashboardText(rawText);
+
+  log.info('  Dashboard metrics extracted:', Object.keys(dashboard).length);
+  for (const [k, v] of Object.entries(dashboard)) {
+    log.debug(`    ${k}: ${v}`);
+  }
+  return dashboard;
+}
+
+/**
+ * Parse the Salesforce dashboard widgets from the sfxdash iframe's innerText
+ * @param {string} rawText - document.body.innerText of the dashboard iframe
+ * @returns {Object} Dashboard metrics
+ */
+function parseDashboardText(rawText) {
+  // Normalize non-breaking spaces (U+00A0) to regular spaces
   const text = rawText.replace(/\u00A0/g, ' ');
   const dashboard = {};
 
@@ -264,47 +343,49 @@ async function extractDashboardData(page) {
   const referralMatch = text.match(/Record Count (\d+), 100%/);
   if (referralMatch) dashboard.referralCount = parseInt(referralMatch[1]);
 
-  console.log('  Dashboard metrics extracted:', Object.keys(dashboard).length);
-  for (const [k, v] of Object.entries(dashboard)) {
-    console.log(`    ${k}: ${v}`);
-  }
   return dashboard;
 }
 
 /**
  * Main Sedgwick scraper function
  * @param {import('playwright').Browser} browser - Playwright browser instance (reused)
- * @returns {Promise<Object|null>} Scraped data or null on failure
+ * @param {Object} account
+ * @param {string} account.url - Portal login URL
+ * @param {string} account.username
+ * @param {string} account.password
+ * @param {Object} [account.mfa] - Email MFA provider for identity verification challenges
+ * @param {string} [account.label] - Account label for log output
+ * @param {string} [account.sessionKey] - Saved-session name; the login is reused across runs when set
+ * @param {Function} [account.onArtifacts] - Called with { reason, files } for each set of
+ *   failure artifacts saved
+ * @returns {Promise<Object|null>} Scraped data, or null when credentials are not configured.
+ *   Throws if login or extraction fails.
  */
-async function scrapeSedgwick(browser) {
-  const { AACTION_SEDGWICK_URL, AACTION_SEDGWICK_USERNAME, AACTION_SEDGWICK_PASSWORD } = process.env;
-
-  if (!AACTION_SEDGWICK_URL || !AACTION_SEDGWICK_USERNAME || !AACTION_SEDGWICK_PASSWORD) {
-    console.log('Sedgwick credentials not configured, skipping...');
+async function scrapeSedgwick(browser, { url, username, password, mfa, label = 'Sedgwick', sessionKey, onArtifacts = () => {} }) {
+  if (!url || !username || !password) {
+    log.info(`${label} credentials not configured, skipping...`);
     return null;
   }
 
-  console.log('\n========== Starting Sedgwick scraper ==========');
+  log.info(`\n========== Starting ${label} scraper ==========`);
 
-  const context = await browser.newContext({
-    viewport: { width: 1280, height: 900 },
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-  });
+  const { context, restored } = await newSessionContext(browser, sessionKey);
+  await startTracing(context);
 
   const page = await context.newPage();
+  const capture = async (reason) => {
+    const artifacts = await captureArtifacts(context, page, { name: sessionKey || 'sedgwick', reason });
+    if (artifacts) onArtifacts(artifacts);
+  };
 
   try {
     // Login
-    const loginSuccess = await loginSedgwick(page, {
-      url: AACTION_SEDGWICK_URL,
-      username: AACTION_SEDGWICK_USERNAME,
-      password: AACTION_SEDGWICK_PASSWORD
-    });
+    const loginSuccess = await loginSedgwick(page, { url, username, password, restored, mfa });
 
     if (!loginSuccess) {
-      console.error('Sedgwick login failed');
-      return null;
+      throw new Error(`${label} login failed`);
     }
+    await saveSession(sessionKey, context);
 
     // Extract data from main page
     const { currentScores } = await extractMainPageData(page);
@@ -318,59 +399,68 @@ async function scrapeSedgwick(browser) {
       currentScores
     };
 
-    console.log('========== Sedgwick scraping complete! ==========\n');
+    if (countMetrics(result) === 0) {
+      await capture('No metrics extracted');
+    } else if (Object.keys(dashboard).length === 0) {
+      await capture('Salesforce dashboard iframe not found');
+    }
+
+    log.info(`========== ${label} scraping complete! ==========\n`);
     return result;
 
   } catch (error) {
-    console.error('Sedgwick scraper error:', error);
-    return null;
+    log.error(`${label} scraper error:`, error);
+    await capture(error.message);
+    throw error;
 
   } finally {
+    await stopTracing(context);
     await context.close();
   }
 }
 
 /**
- * Store Sedgwick snapshot in stats and calculate diff
- * @param {Object} stats - Full stats object
+ * Flatten a Sedgwick snapshot's dashboard and current scores for diffs and rollups
+ * @param {Object} data - Scraped Sedgwick data or a stored snapshot
+ * @returns {Object} Dashboard fields plus score_<workType>_myScore/_stateAvg
+ */
+function flattenSedgwickData(data) {
+  const flat = { ...data.dashboard };
+  (data.currentScores || []).forEach(s => {
+    flat[`score_${s.workType}_myScore`] = s.myScore;
+    flat[`score_${s.workType}_stateAvg`] = s.stateAvg;
+  });
+  return flat;
+}
+
+/**
+ * Append (or update) a daily Sedgwick snapshot in a snapshot stream, with diff vs previous day
+ * @param {Object} stream - { dailySnapshots: [] } (created if missing)
  * @param {Object} sedgwickData - Scraped Sedgwick data
+ * @param {string} [label] - Account label for log output
  */
-function storeSedgwickSnapshot(stats, sedgwickData) {
+function appendSedgwickSnapshot(stream, sedgwickData, label = 'Sedgwick') {
   if (!sedgwickData) return;
 
-  // Initialize sedgwick section if needed
-  if (!stats.sedgwick) {
-    stats.sedgwick = { dailySnapshots: [] };
+  if (!stream.dailySnapshots) {
+    stream.dailySnapshots = [];
   }
 
   // Calculate diff from previous snapshot
-  const previousSnapshot = getPreviousSnapshot(stats.sedgwick.dailySnapshots);
+  const previousSnapshot = getPreviousSnapshot(stream.dailySnapshots);
   let diff = null;
 
   if (previousSnapshot) {
-    // Build flat objects for diffing
-    const current = { ...sedgwickData.dashboard };
-    sedgwickData.currentScores.forEach(s => {
-      current[`score_${s.workType}_myScore`] = s.myScore;
-      current[`score_${s.workType}_stateAvg`] = s.stateAvg;
-    });
-
-    const previous = { ...previousSnapshot.dashboard };
-    (previousSnapshot.currentScores || []).forEach(s => {
-      previous[`score_${s.workType}_myScore`] = s.myScore;
-      previous[`score_${s.workType}_stateAvg`] = s.stateAvg;
-    });
-
-    diff = calculateDiff(current, previous);
+    diff = calculateDiff(flattenSedgwickData(sedgwickData), flattenSedgwickData(previousSnapshot));
 
     if (diff) {
-      console.log('Sedgwick changes detected:');
+      log.info(`${label} changes detected:`);
       for (const [key, value] of Object.entries(diff)) {
         const sign = value.change > 0 ? '+' : '';
-        console.log(`  ${key}: ${sign}${value.change} (${value.previous} → ${value.current})`);
+        log.info(`  ${key}: ${sign}${value.change} (${value.previous} → ${value.current})`);
       }
     } else {
-      console.log('No Sedgwick changes since last snapshot.');
+      log.info(`No ${label} changes since last snapshot.`);
     }
   }
 
@@ -381,40 +471,27 @@ function storeSedgwickSnapshot(stats, sedgwickData) {
   };
 
   // Check if we already have a snapshot for today
-  const todayIndex = stats.sedgwick.dailySnapshots.findIndex(s => s.date === formatDate());
+  const todayIndex = stream.dailySnapshots.findIndex(s => s.date === formatDate());
   if (todayIndex >= 0) {
-    stats.sedgwick.dailySnapshots[todayIndex] = snapshot;
-    console.log(`Updated existing Sedgwick snapshot for ${formatDate()}`);
+    stream.dailySnapshots[todayIndex] = snapshot;
+    log.info(`Updated existing ${label} snapshot for ${formatDate()}`);
   } else {
-    stats.sedgwick.dailySnapshots.push(snapshot);
-    console.log(`Sedgwick snapshot saved for ${formatDate()}`);
+    stream.dailySnapshots.push(snapshot);
+    log.info(`${label} snapshot saved for ${formatDate()}`);
   }
 
-  // Keep last 365 days
-  if (stats.sedgwick.dailySnapshots.length > 365) {
-    stats.sedgwick.dailySnapshots = stats.sedgwick.dailySnapshots.slice(-365);
-  }
+  const compacted = compactSnapshots(stream, flattenSedgwickData);
+  if (compacted) log.info(`Rolled ${compacted} old ${label} snapshot(s) into weekly/monthly rollups`);
 }
 
 module.exports = {
   scrapeSedgwick,
-  storeSedgwickSnapshot,
+  appendSedgwickSnapshot,
   loginSedgwick,
   extractMainPageData,
-  extractDashboardData
+  extractDashboardData,
+  parseMainPageText,
+  parseDashboardText,
+  flattenSedgwickData
 };
 
-// Allow standalone execution for testing
-if (require.main === module) {
-  const { runStandalone } = require('./utils');
-  runStandalone('Sedgwick', async (browser, stats) => {
-    const data = await scrapeSedgwick(browser);
-    if (data) {
-      console.log('\nScraped data:');
-      console.log(JSON.stringify(data, null, 2));
-      storeSedgwickSnapshot(stats, data);
-    } else {
-      console.log('No data scraped.');
-    }
-  });
-}
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataKey, encryptText, decryptText } = require('./crypto');
+const { log } = require('./logger');
+
+const SESSIONS_DIR = path.join(__dirname, '..', 'data', 'sessions');
+
+// Browser settings shared by every scraper context
+const CONTEXT_OPTIONS = {
+  viewport: { width: 1280, height: 900 },
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+};
+
+/**
+ * Check whether saved sessions are enabled (SCRAPE_SESSIONS=false turns them off)
+ * @returns {boolean}
+ */
+function sessionsEnabled() {
+  return process.env.SCRAPE_SESSIONS !== 'false';
+}
+
+/**
+ * Path of the encrypted storageState file for an account
+ * @param {string} sessionKey - e.g. "moyers-sedgwick"
+ * @returns {string}
+ */
+function sessionPath(sessionKey) {
+  return path.join(SESSIONS_DIR, `${sessionKey}.json.enc`);
+}
+
+/**
+ * Environment variable that can carry an account's encrypted session, so a
+ * session captured on a workstation can be handed to CI as a secret
+ * @param {string} sessionKey - e.g. "moyers-alacrity"
+ * @returns {string} e.g. "SESSION_MOYERS_ALACRITY"
+ */
+function sessionEnvVar(sessionKey) {
+  return `SESSION_${sessionKey.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * Load and decrypt a saved Playwright storageState. Both the session file and
+ * the SESSION_<KEY> variable are checked and the most recently saved one wins.
+ * @param {string} [sessionKey]
+ * @returns {Promise<Object|null>} { savedAt, state } or null if none/unreadable
+ */
+async function loadSession(sessionKey) {
+  if (!sessionKey || !sessionsEnabled()) return null;
+
+  const candidates = [];
+  const file = sessionPath(sessionKey);
+  if (fs.existsSync(file)) {
+    candidates.push({ from: file, text: fs.readFileSync(file, 'utf8') });
+  }
+  const envVar = sessionEnvVar(sessionKey);
+  if (process.env[envVar]) {
+    candidates.push({ from: envVar, text: process.env[envVar].trim() });
+  }
+  if (candidates.length === 0) return null;
+
+  const key = await getDataKey();
+  if (!key) return null;
+
+  let latest = null;
+  for (const { from, text } of candidates) {
+    try {
+      const session = JSON.parse(await decryptText(text, key));
+      if (!latest || session.savedAt > latest.savedAt) latest = session;
+    } catch (error) {
+      // Wrong password or a corrupt file: behave as if there was no session
+      log.warn(`Could not read saved session from ${from}: ${error.message}`);
+    }
+  }
+  return latest;
+}
+
+/**
+ * Encrypt and save a context's storageState after a successful login
+ * @param {string} [sessionKey]
+ * @param {import('playwright').BrowserContext} context
+ * @returns {Promise<string|null>} Path of the saved file, or null if sessions are off
+ */
+async function saveSession(sessionKey, context) {
+  if (!sessionKey || !sessionsEnabled()) return null;
+
+  const key = await getDataKey();
+  if (!key) {
+    log.warn('STATICRYPT_PASSWORD not set, not saving session');
+    return null;
+  }
+
+  const session = { savedAt: new Date().toISOString(), state: await context.storageState() };
+  const file = sessionPath(sessionKey);
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  fs.writeFileSync(file, await encryptText(JSON.stringify(session), key));
+  log.info(`  Session saved (${sessionKey})`);
+  return file;
+}
+
+/**
+ * Open a browser context, restoring the account's saved session when there is one
+ * @param {import('playwright').Browser} browser
+ * @param {string} [sessionKey]
+ * @returns {Promise<{context: import('playwright').BrowserContext, restored: boolean}>}
+ */
+async function newSessionContext(browser, sessionKey) {
+  const session = await loadSession(sessionKey);
+  if (session) {
+    log.info(`  Restoring session saved ${session.savedAt}`);
+  }
+
+  const context = await browser.newContext({
+    ...CONTEXT_OPTIONS,
+    ...(session ? { storageState: session.state } : {})
+  });
+
+  return { context, restored: !!session };
+}
+
+module.exports = {
+  SESSIONS_DIR,
+  CONTEXT_OPTIONS,
+  sessionEnvVar,
+  loadSession,
+  saveSession,
+  newSessionContext
+};
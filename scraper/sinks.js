@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const { storedSnapshots } = require('./sources');
+const { withRetry } = require('./retry');
+const { formatDate } = require('./utils');
+const { log, addSecret } = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const SINKS_FILE = process.env.SINKS_FILE
+  ? path.resolve(process.env.SINKS_FILE)
+  : path.join(ROOT_DIR, 'sinks.json');
+
+// Each HTTP request (HTTP sink POSTs and S3 PUTs)
+const SINK_TIMEOUT_MS = 15000;
+
+// Only retried on connection errors: after a 5xx the receiver may already have
+// stored the record. Each POST carries the record's key as an Idempotency-Key,
+// so a receiver can drop a repeat if a reset connection (or a sink's own
+// "retry" setting) sends one anyway
+const HTTP_RETRY = { attempts: 3, backoffMs: 2000, backoffFactor: 2, retryOn: ['connect', 'network'] };
+
+/**
+ * Read a sink's variable, e.g. SINK_WAREHOUSE_TOKEN for envPrefix SINK_WAREHOUSE
+ * @param {Object} config - One sinks.json entry
+ * @param {string} name - Variable name without the prefix
+ * @returns {string|undefined}
+ */
+function readSinkEnv(config, name) {
+  const value = config.envPrefix && process.env[`${config.envPrefix}_${name}`];
+  if (value) addSecret(value);
+  return value || undefined;
+}
+
+/**
+ * Where a record lives in an object store, e.g.
+ * "moyers/alacrity/Moyers-Contractor/2025-06-01.json"
+ * @param {Object} record - From snapshotRecords
+ * @returns {string}
+ */
+function recordKey({ company, source, scope, date }) {
+  const slug = text => String(text).replace(/[^A-Za-z0-9._-]+/g, '-');
+  return [company, source, scope && slug(scope), `${date}.json`].filter(Boolean).join('/');
+}
+
+/**
+ * Built-in sink types. `check` returns a problem with a sinks.json entry (or
+ * nothing); `create` returns an async (record) => void that throws on failure.
+ * Secrets come from the environment under the sink's envPrefix, never the file.
+ */
+const SINK_TYPES = {
+  // POST each record as JSON to <envPrefix>_URL (or "url"), with
+  // <envPrefix>_TOKEN as a bearer token when set and recordKey as the
+  // Idempotency-Key
+  http: {
+    check: config => (!config.url && !config.envPrefix ? 'needs a url or an envPrefix' : null),
+    create: config => {
+      const url = readSinkEnv(config, 'URL') || config.url;
+      if (!url) throw new Error(`${config.envPrefix}_URL is not set`);
+      addSecret(url);
+      const token = readSinkEnv(config, 'TOKEN');
+
+      return record => withRetry(async () => {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            ...config.headers,
+            'Content-Type': 'application/json',
+            'Idempotency-Key': recordKey(record),
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+          },
+          body: JSON.stringify(record),
+          signal: AbortSignal.timeout(SINK_TIMEOUT_MS)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status} ${(await response.text()).slice(0, 200)}`);
+      }, { ...HTTP_RETRY, ...config.retry }, { label: `Sink ${config.id}` });
+    }
+  },
+
+  // Append each record as one line of a local file (relative to the repo root).
+  // The lines are plaintext, so keep the file out of git
+  ndjson: {
+    check: config => (!config.file ? 'needs a file' : null),
+    create: config => {
+      const file = path.resolve(ROOT_DIR, config.file);
+      return async (record) => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, `${JSON.stringify(record)}\n`);
+      };
+    }
+  },
+
+  // PUT each record as <prefix><recordKey> in an S3 bucket, or any
+  // S3-compatible store given an "endpoint" (R2, MinIO, ...). Keys come from
+  // <envPrefix>_ACCESS_KEY_ID and <envPrefix>_SECRET_ACCESS_KEY
+  s3: {
+    check: config => (!config.bucket || !config.envPrefix ? 'needs a bucket and an envPrefix' : null),
+    create: config => {
+      const accessKeyId = readSinkEnv(config, 'ACCESS_KEY_ID');
+      const secretAccessKey = readSinkEnv(config, 'SECRET_ACCESS_KEY');
+      if (!accessKeyId || !secretAccessKey) {
+        throw new Error(`${config.envPrefix}_ACCESS_KEY_ID and ${config.envPrefix}_SECRET_ACCESS_KEY must be set`);
+      }
+
+      const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+      const client = new S3Client({
+        region: config.region || 'us-east-1',
+        endpoint: config.endpoint,
+        // Most S3-compatible stores don't do bucket subdomains
+        forcePathStyle: config.forcePathStyle ?? Boolean(config.endpoint),
+        credentials: { accessKeyId, secretAccessKey }
+      });
+
+      return record => client.send(new PutObjectCommand({
+        Bucket: config.bucket,
+        Key: `${config.prefix || ''}${recordKey(record)}`,
+        Body: JSON.stringify(record),
+        ContentType: 'application/json'
+      }), { abortSignal: AbortSignal.timeout(SINK_TIMEOUT_MS) });
+    }
+  }
+};
+
+/**
+ * Load and validate the sink settings. Without a sinks file nothing is sent.
+ * @param {string} [file] - Settings path (defaults to sinks.json at the repo root, or SINKS_FILE)
+ * @returns {Object[]} [{ id, type, companies?, envPrefix?, ...type settings }]
+ */
+function loadSinks(file = SINKS_FILE) {
+  if (!fs.existsSync(file)) return [];
+  const { sinks } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(sinks)) {
+    throw new Error(`${file}: expected a "sinks" array`);
+  }
+
+  const ids = new Set();
+  for (const sink of sinks) {
+    if (!sink.id) {
+      throw new Error(`${file}: every sink needs an id`);
+    }
+    if (ids.has(sink.id)) {
+      throw new Error(`${file}: duplicate sink id "${sink.id}"`);
+    }
+    ids.add(sink.id);
+
+    if (!SINK_TYPES[sink.type]) {
+      throw new Error(`${file}: ${sink.id} type must be one of ${Object.keys(SINK_TYPES).join(', ')}`);
+    }
+    const problem = SINK_TYPES[sink.type].check(sink);
+    if (problem) {
+      throw new Error(`${file}: ${sink.id} ${problem}`);
+    }
+    if (sink.companies && !Array.isArray(sink.companies)) {
+      throw new Error(`${file}: ${sink.id} "companies" must be an array of company keys`);
+    }
+  }
+
+  return sinks;
+}
+
+/**
+ * The snapshots just stored for a source entry, as sink records
+ * @param {Object} stats - Full stats object
+ * @param {Object} entry - From getSourceEntries
+ * @param {string} [date] - YYYY-MM-DD, defaults to today in Central time
+ * @returns {Object[]} [{ date, company, source, type, label, scope, snapshot }]
+ *   where source is the location key for location sources and scope is the
+ *   Alacrity contractor, if any
+ */
+function snapshotRecords(stats, entry, date = formatDate()) {
+  return storedSnapshots(stats, entry, date).map(({ scope, snapshot }) => ({
+    date,
+    company: entry.company,
+    source: entry.source,
+    type: entry.type,
+    label: entry.label,
+    scope,
+    snapshot
+  }));
+}
+
+/**
+ * Send records to every sink. Sinks run side by side and each failure is
+ * logged, never thrown, so one broken sink can't hold up the others or the scrape.
+ * @param {Object[]} records - From snapshotRecords
+ * @param {Object[]} [sinks] - Defaults to loadSinks()
+ * @returns {Promise<Object>} { [sinkId]: { written, failed } }
+ */
+async function publishSnapshots(records, sinks = loadSinks()) {
+  const results = await Promise.all(sinks.map(async (sink) => {
+    const wanted = records.filter(record => !sink.companies || sink.companies.includes(record.company));
+    const result = { written: 0, failed: 0 };
+    if (wanted.length === 0) return [sink.id, result];
+
+    let write;
+    try {
+      write = SINK_TYPES[sink.type].create(sink);
+    } catch (error) {
+      log.error(`Sink ${sink.id} not set up: ${error.message}`);
+      result.failed = wanted.length;
+      return [sink.id, result];
+    }
+
+    for (const record of wanted) {
+      try {
+        await write(record);
+        result.written++;
+      } catch (error) {
+        result.failed++;
+        log.error(`Sink ${sink.id} failed for ${recordKey(record)}: ${error.message}`);
+      }
+    }
+    log.info(`Sink ${sink.id}: ${result.written} snapshot(s) written${result.failed ? `, ${result.failed} failed` : ''}`);
+    return [sink.id, result];
+  }));
+
+  return Object.fromEntries(results);
+}
+
+module.exports = {
+  SINKS_FILE,
+  SINK_TYPES,
+  loadSinks,
+  recordKey,
+  snapshotRecords,
+  publishSnapshots
+};
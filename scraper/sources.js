@@ -0,0 +1,210 @@
+const { readEnv, resolveStatsPath, findStatsPath } = require('./registry');
+const { scrapeContractorConnection, storeContractorConnection, isCumulativeMetric } = require('./contractor-connection');
+const { scrapeSedgwick, appendSedgwickSnapshot, flattenSedgwickData } = require('./sedgwick');
+const { scrapeAlacrity, appendAlacritySnapshot, flattenCIPData } = require('./alacrity');
+const { getPreviousSnapshot, getCurrentYear } = require('./utils');
+const { createEmailMfaProvider } = require('./email-mfa');
+
+/**
+ * Name of the saved login session for an entry (one per account)
+ * @param {Object} entry - From getSourceEntries
+ * @returns {string}
+ */
+function sessionKeyFor(entry) {
+  return `${entry.company}-${entry.source}`;
+}
+
+/**
+ * Per-type handlers for registry source entries.
+ * `account` reads the entry's portal settings and credentials from the environment.
+ * `scrape` logs in with its own browser context and returns the scraped data,
+ * null when the entry is not configured, or throws on failure. It never touches
+ * stats, so entries can be scraped concurrently.
+ * `store` merges one entry's scraped data into stats at the entry's stats path.
+ * `compare` pairs the new data with what is stored for the same thing (the
+ * previous snapshot, or the same CC year) for the sanity checks run before `store`,
+ * optionally with an `isCumulative` metric test (see findIssues).
+ * `values` picks a stored daily snapshot's numbers, nested by metric path as
+ * documented in alerts.json.
+ * `latest` returns the most recent stored values alert rules are checked
+ * against, one set per scope (Alacrity contractor).
+ */
+const SOURCE_TYPES = {
+  cc: {
+    account: entry => ({
+      username: readEnv(entry, 'USERNAME'),
+      password: readEnv(entry, 'PASSWORD'),
+      totpSecret: readEnv(entry, '2FA_SECRET'),
+      baseUrl: readEnv(entry, 'BASE_URL')
+    }),
+    scrape: (browser, entry, { initial, onArtifacts }) =>
+      scrapeContractorConnection(browser, {
+        ...SOURCE_TYPES.cc.account(entry),
+        initial,
+        onArtifacts,
+        label: entry.label,
+        sessionKey: sessionKeyFor(entry)
+      }),
+    store: (stats, entry, data, { daily }) =>
+      storeContractorConnection(resolveStatsPath(stats, entry.stats), data, { daily, label: entry.label }),
+    // Each year is checked against the stored copy of that year, so January's fresh year isn't a drop,
+    // and its year-to-date counts may grow by any amount
+    compare: (stats, entry, data) => {
+      const { years = {} } = findStatsPath(stats, entry.stats) || {};
+      return Object.entries(data).map(([year, yearData]) =>
+        ({ scope: year, previous: years[year], current: yearData, isCumulative: isCumulativeMetric }));
+    },
+    // The year's tabs as of that day, e.g. poms.byType.<type>.pomsScore, and each
+    // tab's card, e.g. poms.summary.yourScore/state/national
+    values: snapshot => snapshot.data,
+    // The current year's tabs; CC snapshots are only kept with --daily
+    latest: (stream) => {
+      const yearData = stream.years?.[getCurrentYear()];
+      return yearData ? [{ scope: null, values: yearData }] : [];
+    }
+  },
+
+  sedgwick: {
+    account: entry => ({
+      url: readEnv(entry, 'URL'),
+      username: readEnv(entry, 'USERNAME'),
+      password: readEnv(entry, 'PASSWORD'),
+      mfa: createEmailMfaProvider(entry)
+    }),
+    scrape: (browser, entry, { onArtifacts }) =>
+      scrapeSedgwick(browser, {
+        ...SOURCE_TYPES.sedgwick.account(entry),
+        onArtifacts,
+        label: entry.label,
+        sessionKey: sessionKeyFor(entry)
+      }),
+    store: (stats, entry, data) => {
+      const stream = resolveStatsPath(stats, entry.stats);
+      // Location streams carry their display name for the dashboard
+      if (entry.location && !stream.label) stream.label = entry.location.label;
+      appendSedgwickSnapshot(stream, data, entry.label);
+    },
+    compare: (stats, entry, data) => {
+      const previous = getPreviousSnapshot(findStatsPath(stats, entry.stats)?.dailySnapshots);
+      return [{ scope: null, previous: previous && flattenSedgwickData(previous), current: flattenSedgwickData(data) }];
+    },
+    // dashboard.<field>, and scores.<workType>.myScore/stateAvg
+    values: (snapshot) => {
+      const scores = Object.fromEntries((snapshot.currentScores || []).map(({ workType, ...score }) => [workType, score]));
+      return { dashboard: snapshot.dashboard || {}, scores };
+    },
+    latest: (stream) => {
+      const snapshot = stream.dailySnapshots?.at(-1);
+      return snapshot ? [{ scope: null, values: SOURCE_TYPES.sedgwick.values(snapshot) }] : [];
+    }
+  },
+
+  alacrity: {
+    account: entry => ({
+      url: readEnv(entry, 'URL'),
+      loginUrl: readEnv(entry, 'LOGIN_URL'),
+      startsWith: readEnv(entry, 'STARTS_WITH'),
+      username: readEnv(entry, 'USERNAME'),
+      password: readEnv(entry, 'PASSWORD'),
+      mfa: createEmailMfaProvider(entry)
+    }),
+    scrape: (browser, entry, { onArtifacts }) =>
+      scrapeAlacrity(browser, {
+        ...SOURCE_TYPES.alacrity.account(entry),
+        onArtifacts,
+        label: entry.label,
+        sessionKey: sessionKeyFor(entry)
+      }),
+    store: (stats, entry, data) =>
+      appendAlacritySnapshot(resolveStatsPath(stats, entry.stats), data, entry.label),
+    compare: (stats, entry, data) => {
+      const stream = findStatsPath(stats, entry.stats) || {};
+      const compareTo = (snapshots, dashboard, scope) => {
+        const previous = getPreviousSnapshot(snapshots);
+        return { scope, previous: previous && flattenCIPData(previous.dashboard), current: flattenCIPData(dashboard) };
+      };
+      if (!data.contractors) return [compareTo(stream.dailySnapshots, data.dashboard, null)];
+      return Object.entries(data.contractors).map(([contractor, dashboard]) =>
+        compareTo(stream.contractors?.[contractor]?.dailySnapshots, dashboard, contractor));
+    },
+    // The CIP dashboard, e.g. emergency.slas.<metric> = { target, actual, operator }
+    values: snapshot => snapshot.dashboard,
+    latest: (stream) => {
+      const streams = stream.contractors ? Object.entries(stream.contractors) : [[null, stream]];
+      return streams
+        .map(([scope, s]) => ({ scope, values: s.dailySnapshots?.at(-1)?.dashboard }))
+        .filter(({ values }) => values);
+    }
+  }
+};
+
+/**
+ * Scrape one registry source entry
+ * @param {import('playwright').Browser} browser
+ * @param {Object} entry - From getSourceEntries
+ * @param {Object} options - { initial, daily, onArtifacts }
+ * @returns {Promise<Object|null>}
+ */
+function scrapeSource(browser, entry, options) {
+  return SOURCE_TYPES[entry.type].scrape(browser, entry, options);
+}
+
+/**
+ * Store one registry source entry's scraped data in stats
+ * @param {Object} stats - Full stats object
+ * @param {Object} entry - From getSourceEntries
+ * @param {Object} data - From scrapeSource
+ * @param {Object} options - { initial, daily }
+ */
+function storeSource(stats, entry, data, options) {
+  SOURCE_TYPES[entry.type].store(stats, entry, data, options);
+}
+
+/**
+ * Latest stored values for one registry source entry, for the alert rules
+ * @param {Object} stats - Full stats object
+ * @param {Object} entry - From getSourceEntries
+ * @returns {Object[]} [{ scope, values }]; empty if nothing is stored yet
+ */
+function latestSourceValues(stats, entry) {
+  const stream = findStatsPath(stats, entry.stats);
+  return stream ? SOURCE_TYPES[entry.type].latest(stream) : [];
+}
+
+/**
+ * Pair one registry source entry's scraped data with what is already stored
+ * @param {Object} stats - Full stats object
+ * @param {Object} entry - From getSourceEntries
+ * @param {Object} data - From scrapeSource
+ * @returns {Object[]} [{ scope, previous, current }] for checkComparisons
+ */
+function compareSource(stats, entry, data) {
+  return SOURCE_TYPES[entry.type].compare(stats, entry, data);
+}
+
+/**
+ * Snapshots stored for one registry source entry on a given day, one per
+ * scope (Alacrity contractor). CC only has one when stored with --daily.
+ * @param {Object} stats - Full stats object
+ * @param {Object} entry - From getSourceEntries
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object[]} [{ scope, snapshot }]
+ */
+function storedSnapshots(stats, entry, date) {
+  const stream = findStatsPath(stats, entry.stats);
+  if (!stream) return [];
+  const streams = stream.contractors ? Object.entries(stream.contractors) : [[null, stream]];
+  return streams
+    .map(([scope, s]) => ({ scope, snapshot: s.dailySnapshots?.find(snapshot => snapshot.date === date) }))
+    .filter(({ snapshot }) => snapshot);
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  sessionKeyFor,
+  scrapeSource,
+  storeSource,
+  compareSource,
+  latestSourceValues,
+  storedSnapshots
+};
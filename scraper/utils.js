@@ -1,7 +1,26 @@
 const fs = require('fs');
 const path = require('path');
+const { log } = require('./logger');
+const { SCHEMA_VERSION, validateStats } = require('./schema');
+const { migrateStats, toLegacyLayout } = require('./migrations');
+const { getDataKey, encryptText, decryptText } = require('./crypto');
 
-const DATA_FILE = path.join(__dirname, '..', 'data', 'stats.json');
+// STATS_FILE points a run at another file, e.g. the mock portal run in tmp/
+const DATA_FILE = process.env.STATS_FILE
+  ? path.resolve(process.env.STATS_FILE)
+  : path.join(__dirname, '..', 'data', 'stats.json');
+
+// Encrypted copy committed to the repo (only data/stats.json has one)
+const ENCRYPTED_DATA_FILE = path.join(__dirname, '..', 'data', 'stats.json.enc');
+
+// Previous versions of the stats file, newest first (<name>.1, <name>.2, ...)
+const BACKUP_DIR = path.join(path.dirname(DATA_FILE), 'backups');
+const DEFAULT_BACKUPS = 5;
+
+// saveStats refuses (without --force) to lose more than this share of the
+// daily snapshots or serialized size already on disk
+const MAX_SNAPSHOT_SHRINK = 0.1;
+const MAX_SIZE_SHRINK = 0.5;
 
 // Assignment types to iterate through (excluding "ALL")
 const ASSIGNMENT_TYPES = [
@@ -18,31 +37,245 @@ const ASSIGNMENT_TYPES = [
 const INITIAL_YEARS = [2020, 2021, 2022, 2023, 2024, 2025];
 
 /**
- * Load existing stats data from JSON file
+ * Create an empty stats object at the current schema version
+ * @returns {Object}
+ */
+function createStats() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    lastUpdated: null,
+    companies: {}
+  };
+}
+
+/**
+ * Load existing stats data from JSON file, upgrading older schema versions.
+ * Only a missing file starts fresh; a file that can't be parsed or doesn't
+ * match the schema throws, so a run never saves an empty object over it.
  * @returns {Object} Stats data
  */
 function loadStats() {
+  let data;
+  try {
+    data = fs.readFileSync(DATA_FILE, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    log.info('No existing stats file, creating new one');
+    return createStats();
+  }
+
+  return parseStats(data, DATA_FILE);
+}
+
+/**
+ * Parse stats JSON, upgrading older schema versions and validating the result
+ * @param {string} data - Serialized stats
+ * @param {string} source - Where it came from, for error messages
+ * @returns {Object} Stats data
+ */
+function parseStats(data, source) {
+  let stats;
+  try {
+    stats = JSON.parse(data);
+  } catch (error) {
+    throw new Error(`${source} is not valid JSON: ${error.message}`);
+  }
+
+  const migrated = migrateStats(stats);
+  for (const migration of migrated.applied) {
+    log.info(`Migrated stats to schema v${migration.version}: ${migration.description}`);
+  }
+
+  validateStats(migrated.stats, source);
+  return migrated.stats;
+}
+
+/**
+ * Load data/stats.json.enc, decrypting it in memory only, for read-only tools
+ * that shouldn't leave a plaintext copy behind
+ * @returns {Promise<Object>} Stats data
+ */
+async function loadEncryptedStats() {
+  const key = await getDataKey();
+  if (!key) {
+    throw new Error('STATICRYPT_PASSWORD and .staticrypt.json are needed to read stats.json.enc');
+  }
+
+  let plaintext;
   try {
-    const data = fs.readFileSync(DATA_FILE, 'utf8');
-    return JSON.parse(data);
+    plaintext = await decryptText(fs.readFileSync(ENCRYPTED_DATA_FILE, 'utf8'), key);
   } catch (error) {
-    console.log('No existing stats file, creating new one');
-    return {
-      lastUpdated: null,
-      years: {},
-      dailySnapshots: []
-    };
+    if (error.code === 'ENOENT') throw new Error(`${ENCRYPTED_DATA_FILE} not found`);
+    throw new Error(`Could not decrypt ${ENCRYPTED_DATA_FILE} (check STATICRYPT_PASSWORD): ${error.message}`);
+  }
+  return parseStats(plaintext, ENCRYPTED_DATA_FILE);
+}
+
+/**
+ * Count what a save could lose: companies, days of snapshots and serialized size.
+ * Days rolled up into weekly rollups still count, so compaction isn't a shrink.
+ * @param {Object} stats - Full stats object at the current schema version
+ * @param {string} json - Its serialized form
+ * @returns {{ companies: string[], snapshots: number, bytes: number }}
+ */
+function measureStats(stats, json) {
+  let snapshots = 0;
+  (function walk(node) {
+    if (!node || typeof node !== 'object') return;
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'dailySnapshots' && Array.isArray(value)) snapshots += value.length;
+      else if (key === 'rollups') snapshots += (value.weekly || []).reduce((sum, r) => sum + r.days, 0);
+      else walk(value);
+    }
+  })(stats.companies);
+
+  return {
+    companies: Object.keys(stats.companies || {}),
+    snapshots,
+    bytes: Buffer.byteLength(json)
+  };
+}
+
+/**
+ * Reasons not to replace the saved stats with a new version: companies that
+ * disappeared, or far fewer snapshots or bytes than before
+ * @param {Object} previous - measureStats of the file on disk
+ * @param {Object} next - measureStats of the data about to be written
+ * @returns {string[]} Empty when the new data is safe to write
+ */
+function getShrinkReasons(previous, next) {
+  const reasons = [];
+
+  const lost = previous.companies.filter(key => !next.companies.includes(key));
+  if (lost.length) reasons.push(`companies missing: ${lost.join(', ')}`);
+
+  if (next.snapshots < previous.snapshots * (1 - MAX_SNAPSHOT_SHRINK)) {
+    reasons.push(`days of snapshots down from ${previous.snapshots} to ${next.snapshots}`);
+  }
+  if (next.bytes < previous.bytes * (1 - MAX_SIZE_SHRINK)) {
+    reasons.push(`size down from ${previous.bytes} to ${next.bytes} bytes`);
   }
+
+  return reasons;
 }
 
 /**
- * Save stats data to JSON file
+ * Measure the stats file currently on disk, upgraded to the current schema
+ * @returns {Object|null} measureStats result, or null if there is no usable file
+ */
+function measureSavedStats() {
+  let json;
+  try {
+    json = fs.readFileSync(DATA_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    return measureStats(migrateStats(JSON.parse(json)).stats, json);
+  } catch (error) {
+    // Nothing to compare against; the broken file is still kept as a backup
+    log.warn(`Existing ${DATA_FILE} is unreadable (${error.message}), replacing it`);
+    return null;
+  }
+}
+
+/**
+ * Copy the current stats file into the backups directory as <name>.1,
+ * shifting older copies up and dropping the oldest beyond STATS_BACKUPS
+ */
+function rotateBackups() {
+  const keep = process.env.STATS_BACKUPS != null && process.env.STATS_BACKUPS !== ''
+    ? parseInt(process.env.STATS_BACKUPS, 10)
+    : DEFAULT_BACKUPS;
+  if (!(keep > 0) || !fs.existsSync(DATA_FILE)) return;
+
+  const backupPath = n => path.join(BACKUP_DIR, `${path.basename(DATA_FILE)}.${n}`);
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  fs.rmSync(backupPath(keep), { force: true });
+  for (let n = keep - 1; n >= 1; n--) {
+    if (fs.existsSync(backupPath(n))) fs.renameSync(backupPath(n), backupPath(n + 1));
+  }
+  fs.copyFileSync(DATA_FILE, backupPath(1));
+}
+
+/**
+ * Write a file by writing a temp file next to it and renaming it into place,
+ * so a crash mid-write leaves the old file intact
+ * @param {string} file
+ * @param {string} content
+ */
+function writeFileAtomic(file, content) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+      fs.writeFileSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Save stats data to JSON file. The previous file is kept in the backups
+ * directory and the new one is renamed into place. Throws without writing if
+ * the data doesn't match the schema, or if it is dramatically smaller than
+ * what is on disk (lost companies or snapshots) unless forced.
  * @param {Object} stats - Stats data to save
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Write even if the data shrank
  */
-function saveStats(stats) {
+function saveStats(stats, { force = false } = {}) {
+  stats.schemaVersion = SCHEMA_VERSION;
   stats.lastUpdated = new Date().toISOString();
-  fs.writeFileSync(DATA_FILE, JSON.stringify(stats, null, 2));
-  console.log('Stats saved to', DATA_FILE);
+  validateStats(stats);
+
+  const json = JSON.stringify(stats, null, 2);
+  const previous = measureSavedStats();
+  if (previous) {
+    const reasons = getShrinkReasons(previous, measureStats(stats, json));
+    if (reasons.length && !force) {
+      throw new Error(`Refusing to overwrite ${DATA_FILE}, the new data is much smaller (${reasons.join('; ')}). ` +
+        'Re-run with --force if this is intended.');
+    }
+    if (reasons.length) log.warn(`Overwriting ${DATA_FILE} with smaller data (forced): ${reasons.join('; ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
+  rotateBackups();
+  writeFileAtomic(DATA_FILE, json);
+  log.info('Stats saved to', DATA_FILE);
+}
+
+/**
+ * Encrypt stats straight to data/stats.json.enc and, once the dashboard uses
+ * them, its per-company files (what scripts/encrypt-data.js writes), for tools that rebuild the stats
+ * without a plaintext stats.json. Keeps lastUpdated as is, since the data itself is not new.
+ * @param {Object} stats - Stats data at the current schema version
+ * @returns {Promise<void>}
+ */
+async function saveEncryptedStats(stats) {
+  validateStats(stats);
+  const key = await getDataKey();
+  if (!key) {
+    throw new Error('STATICRYPT_PASSWORD and .staticrypt.json are needed to write stats.json.enc');
+  }
+
+  fs.mkdirSync(path.dirname(ENCRYPTED_DATA_FILE), { recursive: true });
+  // In the v1 layout the committed dashboard and Pulsecheck still read
+  writeFileAtomic(ENCRYPTED_DATA_FILE, await encryptText(JSON.stringify(toLegacyLayout(stats), null, 2), key));
+  log.info('Encrypted stats saved to', ENCRYPTED_DATA_FILE);
+  // Required here, since dashboard-data writes through writeFileAtomic above
+  const { isDashboardDataInUse, writeDashboardData } = require('./dashboard-data');
+  if (isDashboardDataInUse()) await writeDashboardData(stats, key);
 }
 
 /**
@@ -78,7 +311,7 @@ async function getElementText(page, selector, timeout = 5000) {
     const element = page.locator(selector).first();
     return await element.textContent();
   } catch (error) {
-    console.log(`Element not found: ${selector}`);
+    log.debug(`Element not found: ${selector}`);
     return null;
   }
 }
@@ -112,7 +345,7 @@ async function selectDropdown(page, dropdownSelector, value) {
       }
     }
   } catch (error) {
-    console.log(`Failed to select ${value} from ${dropdownSelector}:`, error.message);
+    log.warn(`Failed to select ${value} from ${dropdownSelector}:`, error.message);
     return false;
   }
 }
@@ -131,7 +364,7 @@ async function getDropdownOptions(page, dropdownSelector) {
     const options = await dropdown.locator('option').allTextContents();
     return options.filter(opt => opt && opt.trim() !== '' && opt.toUpperCase() !== 'ALL');
   } catch (error) {
-    console.log(`Failed to get dropdown options from ${dropdownSelector}:`, error.message);
+    log.warn(`Failed to get dropdown options from ${dropdownSelector}:`, error.message);
     return [];
   }
 }
@@ -174,7 +407,7 @@ async function extractTableData(page, tableSelector) {
 
     return data;
   } catch (error) {
-    console.log(`Failed to extract table data from ${tableSelector}:`, error.message);
+    log.warn(`Failed to extract table data from ${tableSelector}:`, error.message);
     return [];
   }
 }
@@ -185,7 +418,7 @@ async function extractTableData(page, tableSelector) {
  * @param {string} tabName
  */
 async function clickTab(page, tabName) {
-  console.log(`Clicking on tab: ${tabName}`);
+  log.info(`Clicking on tab: ${tabName}`);
 
   // Try various selectors for tabs
   const selectors = [
@@ -205,7 +438,7 @@ async function clickTab(page, tabName) {
         await tab.click();
         await page.waitForLoadState('networkidle');
         await page.waitForTimeout(1000); // Give time for data to load
-        console.log(`Tab ${tabName} clicked successfully`);
+        log.info(`Tab ${tabName} clicked successfully`);
         return true;
       }
     } catch (e) {
@@ -213,7 +446,7 @@ async function clickTab(page, tabName) {
     }
   }
 
-  console.log(`Could not find tab: ${tabName}`);
+  log.warn(`Could not find tab: ${tabName}`);
   return false;
 }
 
@@ -223,7 +456,7 @@ async function clickTab(page, tabName) {
  * @param {number} year
  */
 async function selectYear(page, year) {
-  console.log(`Selecting year: ${year}`);
+  log.info(`Selecting year: ${year}`);
 
   // Try common year dropdown selectors
   const selectors = [
@@ -243,7 +476,7 @@ async function selectYear(page, year) {
         await dropdown.selectOption({ label: year.toString() });
         await page.waitForLoadState('networkidle');
         await page.waitForTimeout(1000);
-        console.log(`Year ${year} selected`);
+        log.info(`Year ${year} selected`);
         return true;
       }
     } catch (e) {
@@ -263,7 +496,7 @@ async function selectYear(page, year) {
     // Ignore
   }
 
-  console.log(`Could not select year: ${year}`);
+  log.warn(`Could not select year: ${year}`);
   return false;
 }
 
@@ -406,38 +639,73 @@ function calculateSummaryTotals(yearData) {
 }
 
 /**
- * Run a standalone scraper with auto-decrypt, browser lifecycle, and save
- * @param {string} name - Scraper name for logging
- * @param {Function} runFn - async (browser, stats) => void
+ * Count the numeric values in a scraped data object
+ * @param {*} data
+ * @returns {number}
  */
-async function runStandalone(name, runFn) {
-  require('dotenv').config();
-  const { chromium } = require('playwright');
-  const { execSync } = require('child_process');
+function countMetrics(data) {
+  if (typeof data === 'number') return 1;
+  if (!data || typeof data !== 'object') return 0;
+  return Object.values(data).reduce((sum, value) => sum + countMetrics(value), 0);
+}
 
-  const encPath = path.join(__dirname, '..', 'data', 'stats.json.enc');
-  if (!fs.existsSync(DATA_FILE) && fs.existsSync(encPath)) {
-    console.log('stats.json not found, decrypting from stats.json.enc...');
-    execSync('node scripts/decrypt.js', { cwd: path.join(__dirname, '..'), stdio: 'inherit' });
+/**
+ * Run an async worker over items with at most `limit` running at once.
+ * Items are started in order and results come back in input order.
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent workers (at least 1)
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
   }
 
-  const headless = process.env.HEADLESS !== 'false';
-  const browser = await chromium.launch({ headless, slowMo: headless ? 0 : 50 });
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    workers.push(runWorker());
+  }
+  await Promise.all(workers);
 
-  try {
-    const stats = loadStats();
-    await runFn(browser, stats);
-    saveStats(stats);
-  } finally {
-    await browser.close();
+  return results;
+}
+
+/**
+ * Decrypt data/stats.json.enc if there is no plaintext stats.json yet, so a
+ * scrape never starts from (and then saves over) an empty stats object
+ */
+function decryptIfNeeded() {
+  const { execSync } = require('child_process');
+
+  // Only data/stats.json has an encrypted copy
+  if (process.env.STATS_FILE) return;
+
+  if (!fs.existsSync(DATA_FILE) && fs.existsSync(ENCRYPTED_DATA_FILE)) {
+    log.info('stats.json not found, decrypting from stats.json.enc...');
+    execSync('node scripts/decrypt.js', { cwd: path.join(__dirname, '..'), stdio: 'inherit' });
   }
 }
 
 module.exports = {
+  DATA_FILE,
+  ENCRYPTED_DATA_FILE,
+  BACKUP_DIR,
   ASSIGNMENT_TYPES,
   INITIAL_YEARS,
+  createStats,
   loadStats,
+  parseStats,
+  loadEncryptedStats,
   saveStats,
+  saveEncryptedStats,
+  writeFileAtomic,
   parseNumber,
   getElementText,
   selectDropdown,
@@ -451,5 +719,7 @@ module.exports = {
   calculateDiff,
   getPreviousSnapshot,
   calculateSummaryTotals,
-  runStandalone
+  countMetrics,
+  mapWithConcurrency,
+  decryptIfNeeded
 };
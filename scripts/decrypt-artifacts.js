@@ -0,0 +1,63 @@
+/**
+ * Decryption script for scraper failure artifacts.
+ *
+ * Usage: npm run decrypt:artifacts [-- <folder>] (uses STATICRYPT_PASSWORD from .env)
+ *
+ * Decrypts every .enc file under data/artifacts/ (or under <folder>, e.g. a
+ * downloaded CI artifact) into tmp/artifacts/ with the same layout. Open traces with
+ * `npx playwright show-trace tmp/artifacts/.../trace.zip`.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { getDataKey, decryptText } = require('../scraper/crypto');
+const { ARTIFACTS_DIR, BINARY_EXTENSIONS } = require('../scraper/artifacts');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, 'tmp', 'artifacts');
+
+function listEncryptedFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listEncryptedFiles(file);
+    return entry.name.endsWith('.enc') ? [file] : [];
+  });
+}
+
+async function main() {
+  const sourceDir = path.resolve(process.argv[2] || ARTIFACTS_DIR);
+  if (!fs.existsSync(sourceDir)) {
+    console.log(`No artifacts found (${path.relative(ROOT, sourceDir) || sourceDir})`);
+    process.exit(0);
+  }
+
+  const key = await getDataKey();
+  if (!key) {
+    console.error('Error: STATICRYPT_PASSWORD and .staticrypt.json are required');
+    process.exit(1);
+  }
+
+  const files = listEncryptedFiles(sourceDir);
+  let failed = 0;
+
+  for (const file of files) {
+    const target = path.join(OUTPUT_DIR, path.relative(sourceDir, file).replace(/\.enc$/, ''));
+    try {
+      const text = await decryptText(fs.readFileSync(file, 'utf8'), key);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, BINARY_EXTENSIONS.includes(path.extname(target)) ? Buffer.from(text, 'base64') : text);
+    } catch (error) {
+      console.error(`Could not decrypt ${path.relative(ROOT, file)}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`✓ Decrypted ${files.length - failed} of ${files.length} file(s) to ${path.relative(ROOT, OUTPUT_DIR)}`);
+  if (failed) process.exit(1);
+}
+
+main().catch(err => {
+  console.error('Decryption failed:', err);
+  process.exit(1);
+});
@@ -3,79 +3,28 @@
  *
  * Usage: npm run encrypt:data (uses STATICRYPT_PASSWORD from .env)
  *
- * This script ONLY encrypts data/stats.json → data/stats.json.enc
- * It does NOT modify index.html (use encrypt.js for full encryption)
+ * This script ONLY encrypts data/stats.json → data/stats.json.enc (in the v1
+ * layout the committed dashboard reads, see toLegacyLayout), plus the
+ * per-company copy a rebuilt dashboard loads on demand (data/dashboard/).
+ * It does NOT modify index.html (use encrypt.js for full encryption).
+ *
+ * data/dashboard/ is only kept up to date once it exists: run `npm run encrypt`
+ * locally (it needs the plaintext index.html.bak) and commit index.html with
+ * data/dashboard/ to switch the deployed dashboard to per-company loading.
+ * Until then stats.json.enc is the only data deployed.
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto').webcrypto;
+const { CONFIG_PATH, hashPassword, encryptText } = require('../scraper/crypto');
+const { isDashboardDataInUse, writeDashboardData } = require('../scraper/dashboard-data');
+const { writeFileAtomic } = require('../scraper/utils');
+const { migrateStats, toLegacyLayout } = require('../scraper/migrations');
 
 const ROOT = path.resolve(__dirname, '..');
 const DATA_PATH = path.join(ROOT, 'data', 'stats.json');
 const DATA_ENC_PATH = path.join(ROOT, 'data', 'stats.json.enc');
-const CONFIG_PATH = path.join(ROOT, '.staticrypt.json');
-
-// Crypto constants (matching StatiCrypt)
-const IV_BITS = 16 * 8;
-const ENCRYPTION_ALGO = 'AES-CBC';
-
-// Hex encoder utilities
-const HexEncoder = {
-  parse(hexString) {
-    if (hexString.length % 2 !== 0) throw new Error('Invalid hexString');
-    const arrayBuffer = new Uint8Array(hexString.length / 2);
-    for (let i = 0; i < hexString.length; i += 2) {
-      const byteValue = parseInt(hexString.substring(i, i + 2), 16);
-      if (isNaN(byteValue)) throw new Error('Invalid hexString');
-      arrayBuffer[i / 2] = byteValue;
-    }
-    return arrayBuffer;
-  },
-  stringify(bytes) {
-    const hexBytes = [];
-    for (let i = 0; i < bytes.length; ++i) {
-      let byteString = bytes[i].toString(16);
-      if (byteString.length < 2) byteString = '0' + byteString;
-      hexBytes.push(byteString);
-    }
-    return hexBytes.join('');
-  }
-};
-
-const UTF8Encoder = {
-  parse(str) { return new TextEncoder().encode(str); },
-  stringify(bytes) { return new TextDecoder().decode(bytes); }
-};
-
-// PBKDF2 hashing (matching StatiCrypt's 600k iterations)
-async function pbkdf2(password, salt, iterations, hashAlgorithm) {
-  const key = await crypto.subtle.importKey('raw', UTF8Encoder.parse(password), 'PBKDF2', false, ['deriveBits']);
-  const keyBytes = await crypto.subtle.deriveBits({
-    name: 'PBKDF2',
-    hash: hashAlgorithm,
-    iterations,
-    salt: UTF8Encoder.parse(salt)
-  }, key, 256);
-  return HexEncoder.stringify(new Uint8Array(keyBytes));
-}
-
-async function hashPassword(password, salt) {
-  // Round 1: 1000 iterations with SHA-1
-  let hashedPassword = await pbkdf2(password, salt, 1000, 'SHA-1');
-  // Round 2: 14000 iterations with SHA-256
-  hashedPassword = await pbkdf2(hashedPassword, salt, 14000, 'SHA-256');
-  // Round 3: 585000 iterations with SHA-256
-  return pbkdf2(hashedPassword, salt, 585000, 'SHA-256');
-}
-
-async function encrypt(msg, hashedPassword) {
-  const iv = crypto.getRandomValues(new Uint8Array(IV_BITS / 8));
-  const key = await crypto.subtle.importKey('raw', HexEncoder.parse(hashedPassword), ENCRYPTION_ALGO, false, ['encrypt']);
-  const encrypted = await crypto.subtle.encrypt({ name: ENCRYPTION_ALGO, iv }, key, UTF8Encoder.parse(msg));
-  return HexEncoder.stringify(iv) + HexEncoder.stringify(new Uint8Array(encrypted));
-}
 
 async function main() {
   const password = process.env.STATICRYPT_PASSWORD;
@@ -104,8 +53,26 @@ async function main() {
   // Encrypt the data file
   console.log('Encrypting data/stats.json...');
   const dataContent = fs.readFileSync(DATA_PATH, 'utf8');
-  const encryptedData = await encrypt(dataContent, hashedPassword);
-  fs.writeFileSync(DATA_ENC_PATH, encryptedData);
+  let stats;
+  try {
+    // Still in the v1 layout if the scraper didn't get as far as saving
+    stats = migrateStats(JSON.parse(dataContent)).stats;
+  } catch (error) {
+    // Never replace the last good encrypted copy with a truncated file
+    console.error(`Error: ${DATA_PATH} is not usable (${error.message}). Restore it from data/backups/.`);
+    process.exit(1);
+  }
+  // The committed dashboard and Pulsecheck still read the v1 layout
+  const encryptedData = await encryptText(JSON.stringify(toLegacyLayout(stats), null, 2), hashedPassword);
+  writeFileAtomic(DATA_ENC_PATH, encryptedData);
+
+  // A rebuilt dashboard decrypts a small manifest first, then each company as it is shown
+  if (isDashboardDataInUse()) {
+    const parts = await writeDashboardData(stats, hashedPassword);
+    console.log(`✓ Dashboard data split into ${parts} encrypted files in data/dashboard/`);
+  } else {
+    console.log('data/dashboard/ not written: the dashboard reads stats.json.enc until npm run encrypt rebuilds index.html');
+  }
 
   // Clean up unencrypted stats.json
   fs.unlinkSync(DATA_PATH);
@@ -4,88 +4,33 @@
  * Usage: npm run encrypt (uses STATICRYPT_PASSWORD from .env)
  *
  * This script:
- * 1. Encrypts data/stats.json → data/stats.json.enc
- * 2. Modifies index.html to decrypt data/stats.json.enc client-side
+ * 1. Encrypts data/stats.json → data/stats.json.enc (in the v1 layout, see
+ *    toLegacyLayout), plus a per-company copy in data/dashboard/ (an
+ *    encrypted manifest and one file per company stream)
+ * 2. Modifies index.html to decrypt the manifest client-side, then each
+ *    company's files the first time switchCompany/switchSource shows them
+ *    (or every file up front when those two can't be wrapped)
  * 3. Encrypts index.html with StatiCrypt (password prompt)
+ *
+ * Commit the new index.html with data/dashboard/. The daily encrypt:data only
+ * keeps data/dashboard/ up to date once this has created it; until then the
+ * deployed dashboard reads stats.json.enc alone.
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
-const crypto = require('crypto').webcrypto;
+const { CONFIG_PATH, hashPassword, generateSalt, encryptText } = require('../scraper/crypto');
+const { DASHBOARD_DATA_DIR, MANIFEST_FILE, writeDashboardData } = require('../scraper/dashboard-data');
+const { writeFileAtomic } = require('../scraper/utils');
+const { migrateStats, toLegacyLayout } = require('../scraper/migrations');
 
 const ROOT = path.resolve(__dirname, '..');
 const INDEX_PATH = path.join(ROOT, 'index.html');
 const INDEX_BAK_PATH = path.join(ROOT, 'index.html.bak');
 const DATA_PATH = path.join(ROOT, 'data', 'stats.json');
 const DATA_ENC_PATH = path.join(ROOT, 'data', 'stats.json.enc');
-const CONFIG_PATH = path.join(ROOT, '.staticrypt.json');
-
-// Crypto constants (matching StatiCrypt)
-const IV_BITS = 16 * 8;
-const ENCRYPTION_ALGO = 'AES-CBC';
-
-// Hex encoder utilities
-const HexEncoder = {
-  parse(hexString) {
-    if (hexString.length % 2 !== 0) throw new Error('Invalid hexString');
-    const arrayBuffer = new Uint8Array(hexString.length / 2);
-    for (let i = 0; i < hexString.length; i += 2) {
-      const byteValue = parseInt(hexString.substring(i, i + 2), 16);
-      if (isNaN(byteValue)) throw new Error('Invalid hexString');
-      arrayBuffer[i / 2] = byteValue;
-    }
-    return arrayBuffer;
-  },
-  stringify(bytes) {
-    const hexBytes = [];
-    for (let i = 0; i < bytes.length; ++i) {
-      let byteString = bytes[i].toString(16);
-      if (byteString.length < 2) byteString = '0' + byteString;
-      hexBytes.push(byteString);
-    }
-    return hexBytes.join('');
-  }
-};
-
-const UTF8Encoder = {
-  parse(str) { return new TextEncoder().encode(str); },
-  stringify(bytes) { return new TextDecoder().decode(bytes); }
-};
-
-// PBKDF2 hashing (matching StatiCrypt's 600k iterations)
-async function pbkdf2(password, salt, iterations, hashAlgorithm) {
-  const key = await crypto.subtle.importKey('raw', UTF8Encoder.parse(password), 'PBKDF2', false, ['deriveBits']);
-  const keyBytes = await crypto.subtle.deriveBits({
-    name: 'PBKDF2',
-    hash: hashAlgorithm,
-    iterations,
-    salt: UTF8Encoder.parse(salt)
-  }, key, 256);
-  return HexEncoder.stringify(new Uint8Array(keyBytes));
-}
-
-async function hashPassword(password, salt) {
-  // Round 1: 1000 iterations with SHA-1
-  let hashedPassword = await pbkdf2(password, salt, 1000, 'SHA-1');
-  // Round 2: 14000 iterations with SHA-256
-  hashedPassword = await pbkdf2(hashedPassword, salt, 14000, 'SHA-256');
-  // Round 3: 585000 iterations with SHA-256
-  return pbkdf2(hashedPassword, salt, 585000, 'SHA-256');
-}
-
-async function encrypt(msg, hashedPassword) {
-  const iv = crypto.getRandomValues(new Uint8Array(IV_BITS / 8));
-  const key = await crypto.subtle.importKey('raw', HexEncoder.parse(hashedPassword), ENCRYPTION_ALGO, false, ['encrypt']);
-  const encrypted = await crypto.subtle.encrypt({ name: ENCRYPTION_ALGO, iv }, key, UTF8Encoder.parse(msg));
-  return HexEncoder.stringify(iv) + HexEncoder.stringify(new Uint8Array(encrypted));
-}
-
-function generateRandomSalt() {
-  const bytes = crypto.getRandomValues(new Uint8Array(128 / 8));
-  return HexEncoder.stringify(new Uint8Array(bytes));
-}
 
 function loadOrCreateConfig() {
   if (fs.existsSync(CONFIG_PATH)) {
@@ -93,12 +38,27 @@ function loadOrCreateConfig() {
     console.log('Loaded salt from .staticrypt.json');
     return config;
   }
-  const config = { salt: generateRandomSalt() };
+  const config = { salt: generateSalt() };
   fs.writeFileSync(CONFIG_PATH, JSON.stringify(config, null, 2));
   console.log('Generated new salt and saved to .staticrypt.json');
   return config;
 }
 
+/**
+ * Whether the dashboard's switchCompany/switchSource can be wrapped to load
+ * data on demand: both must be function declarations, only ever called by name
+ * (e.g. from onclick attributes), never handed out as references that would
+ * skip the wrapper
+ * @param {string} html - The dashboard's plaintext index.html
+ * @returns {boolean}
+ */
+function canWrapSwitches(html) {
+  return ['switchCompany', 'switchSource'].every(name =>
+    new RegExp(`function\\s+${name}\\s*\\(`).test(html) &&
+    !new RegExp(`\\b(?:const|let|var)\\s+${name}\\b`).test(html) &&
+    !new RegExp(`\\b${name}\\b(?!\\s*\\()`).test(html.replace(new RegExp(`function\\s+${name}\\s*\\(`, 'g'), '')));
+}
+
 async function main() {
   const password = process.env.STATICRYPT_PASSWORD;
   if (!password) {
@@ -122,9 +82,10 @@ async function main() {
 
   // Encrypt the data file
   console.log('Encrypting data/stats.json...');
-  const dataContent = fs.readFileSync(DATA_PATH, 'utf8');
-  const encryptedData = await encrypt(dataContent, hashedPassword);
-  fs.writeFileSync(DATA_ENC_PATH, encryptedData);
+  const { stats } = migrateStats(JSON.parse(fs.readFileSync(DATA_PATH, 'utf8')));
+  // Still in the v1 layout, which the old loadData and Pulsecheck read
+  const encryptedData = await encryptText(JSON.stringify(toLegacyLayout(stats), null, 2), hashedPassword);
+  writeFileAtomic(DATA_ENC_PATH, encryptedData);
   console.log(`Created ${DATA_ENC_PATH}`);
 
   // Restore original index.html from backup if it exists
@@ -140,6 +101,12 @@ async function main() {
   // Read original index.html
   let indexHtml = fs.readFileSync(INDEX_PATH, 'utf8');
 
+  const lazySwitching = canWrapSwitches(indexHtml);
+  if (!lazySwitching) {
+    console.warn('Warning: switchCompany/switchSource are not plain function declarations called by name;');
+    console.warn('  the dashboard will decrypt every company up front instead of on demand');
+  }
+
   // Inject the salt and crypto engine into index.html (before </head>)
   const cryptoScript = `
   <script>
@@ -190,12 +157,101 @@ async function main() {
 
       return { decrypt };
     })();
+
+    // The dashboard reads the pre-v2 stats layout (A-Action at the root, then
+    // stats.icon and stats.moyers); schemaVersion 2 keeps every company under
+    // stats.companies
+    function toDashboardLayout(stats) {
+      if (!stats.schemaVersion || stats.schemaVersion < 2) return stats;
+      const companies = stats.companies || {};
+      return Object.assign({ lastUpdated: stats.lastUpdated, runs: stats.runs, alerts: stats.alerts }, companies.aaction, {
+        icon: companies.icon,
+        moyers: companies.moyers
+      });
+    }
+
+    // The dashboard's data, decrypted piece by piece: the manifest
+    // (data/dashboard/manifest.json.enc) up front, then each company stream's
+    // file the first time it is shown. Parts are slices of their company node,
+    // so merging them into stats.companies rebuilds it.
+    window.dashboardData = (function() {
+      const stats = { companies: {} };
+      const loading = {};
+      let manifest = null;
+
+      async function fetchDecrypted(file, hashedPassword) {
+        const response = await fetch('./' + file);
+        if (!response.ok) throw new Error('Failed to load ' + file);
+        return JSON.parse(await window.cryptoEngine.decrypt(await response.text(), hashedPassword));
+      }
+
+      async function loadManifest(hashedPassword) {
+        manifest = await fetchDecrypted('data/dashboard/manifest.json.enc', hashedPassword);
+        stats.schemaVersion = manifest.schemaVersion;
+        stats.lastUpdated = manifest.lastUpdated;
+        stats.runs = manifest.runs;
+        stats.alerts = manifest.alerts;
+        Object.keys(manifest.companies).forEach(function(company) { stats.companies[company] = {}; });
+        return manifest;
+      }
+
+      // Whether a company's part (cc, sedgwick, alacrity, locations) has anything to show
+      function hasData(company, part) {
+        return Boolean(manifest.companies[company] && manifest.companies[company][part] && manifest.companies[company][part].hasData);
+      }
+
+      // Decrypt a company's parts (all of them, or just one) unless already loaded,
+      // and return the stats in the dashboard's layout
+      async function load(company, part, hashedPassword) {
+        const parts = manifest.companies[company] || {};
+        const names = part ? [part] : Object.keys(parts);
+        await Promise.all(names.filter(function(name) { return parts[name]; }).map(function(name) {
+          const key = company + '/' + name;
+          if (!loading[key]) {
+            loading[key] = fetchDecrypted(parts[name].file, hashedPassword)
+              .then(function(data) { Object.assign(stats.companies[company], data); })
+              .catch(function(error) { delete loading[key]; throw error; });
+          }
+          return loading[key];
+        }));
+        return toDashboardLayout(stats);
+      }
+
+      // Decrypt every company's parts, for when company switches can't be intercepted
+      async function loadAll(hashedPassword) {
+        await Promise.all(Object.keys(manifest.companies).map(function(company) {
+          return load(company, null, hashedPassword);
+        }));
+        return toDashboardLayout(stats);
+      }
+
+      return { loadManifest, hasData, load, loadAll };
+    })();
+
+    // A banner across the top of the page when data fails to load, so a failed
+    // switch isn't mistaken for the previous company's numbers. null hides it.
+    function showDataError(message) {
+      let banner = document.getElementById('dataLoadError');
+      if (!banner) {
+        if (!message) return;
+        banner = document.createElement('div');
+        banner.id = 'dataLoadError';
+        banner.setAttribute('role', 'alert');
+        banner.style.cssText = 'position:fixed;top:0;left:0;right:0;z-index:10000;padding:12px 16px;' +
+          'background:#b3261e;color:#fff;font:14px/1.4 sans-serif;text-align:center;';
+        document.body.appendChild(banner);
+      }
+      banner.textContent = message ? message + ' Reload the page to try again.' : '';
+      banner.hidden = !message;
+    }
   </script>
 `;
 
   indexHtml = indexHtml.replace('</head>', `${cryptoScript}</head>`);
 
-  // Replace the loadData function with one that decrypts the encrypted data
+  // Replace the loadData function with one that decrypts the manifest, wraps
+  // switchCompany/switchSource to decrypt each company's files on first use,
+  // and loads only what the first view needs
   const newLoadDataFunction = `async function loadData() {
       showLoading(true);
       try {
@@ -207,19 +263,14 @@ async function main() {
           return;
         }
 
-        // Fetch the encrypted data file
-        const response = await fetch('./data/stats.json.enc');
-        if (!response.ok) throw new Error('Failed to load encrypted data');
-        const encryptedData = await response.text();
-
-        // Decrypt using the hashed password from StatiCrypt
-        const decryptedJson = await window.cryptoEngine.decrypt(encryptedData, hashedPassword);
-        statsData = JSON.parse(decryptedJson);
+        // Only the manifest is decrypted up front
+        const data = window.dashboardData;
+        await data.loadManifest(hashedPassword);
 
-        const hasCCData = statsData.years && Object.keys(statsData.years).length > 0;
-        const hasSedgwickData = statsData.sedgwick?.dailySnapshots?.length > 0;
-        const hasAlacrityData = statsData.alacrity?.dailySnapshots?.length > 0;
-        const hasIconData = statsData.icon?.locations && Object.values(statsData.icon.locations).some(l => l.dailySnapshots?.length > 0);
+        const hasCCData = data.hasData('aaction', 'cc');
+        const hasSedgwickData = data.hasData('aaction', 'sedgwick');
+        const hasAlacrityData = data.hasData('aaction', 'alacrity');
+        const hasIconData = data.hasData('icon', 'locations');
 
         if (!hasCCData && !hasSedgwickData && !hasAlacrityData && !hasIconData) {
           showNoData(true);
@@ -228,6 +279,61 @@ async function main() {
 
         showNoData(false);
 
+        var savedCompany = localStorage.getItem('dashboard_company');
+        var savedSource = localStorage.getItem('dashboard_source');
+        var savedIconLocation = localStorage.getItem('dashboard_iconLocation');
+
+        // Switching company decrypts all of its files, switching source just that
+        // source's, each only the first time; the views render once they're in.
+        // A failed load hides the view behind an error rather than leaving the
+        // previous company's numbers up.
+        var lazyCompany = 'aaction';
+        var showCompany = switchCompany;
+        var showSource = switchSource;
+        async function loadThen(company, source, show, self, args) {
+          showLoading(true);
+          try {
+            statsData = await data.load(company, source, hashedPassword);
+            showDataError(null);
+            showNoData(false);
+            return show.apply(self, args);
+          } catch (error) {
+            console.error('Error loading ' + company + (source ? ' ' + source : '') + ' data:', error);
+            showNoData(true);
+            showDataError('Could not load the ' + company + (source ? ' ' + source : '') + ' data.');
+          } finally {
+            showLoading(false);
+          }
+        }
+        var lazyCompanySwitch = function(company) {
+          return loadThen(company, null, function() {
+            lazyCompany = company;
+            return showCompany.apply(this, arguments);
+          }, this, arguments);
+        };
+        var lazySourceSwitch = function(source) {
+          return loadThen(lazyCompany, source, showSource, this, arguments);
+        };
+
+        // The build checked the dashboard calls both by name; if either still
+        // can't be replaced here, every company is decrypted before first paint
+        var lazy = ${lazySwitching};
+        if (lazy) {
+          try {
+            switchCompany = lazyCompanySwitch;
+            switchSource = lazySourceSwitch;
+            lazy = switchCompany === lazyCompanySwitch && switchSource === lazySourceSwitch;
+          } catch (error) {
+            console.warn('Could not wrap switchCompany/switchSource:', error);
+            lazy = false;
+          }
+        }
+
+        // A-Action's ContractorConnection view is the base page
+        statsData = lazy
+          ? await data.load('aaction', 'cc', hashedPassword)
+          : await data.loadAll(hashedPassword);
+
         if (hasCCData) {
           populatePomTypeFilter();
           updateSummaryCards();
@@ -236,21 +342,17 @@ async function main() {
           updateDataTable();
         }
 
-        var savedCompany = localStorage.getItem('dashboard_company');
-        var savedSource = localStorage.getItem('dashboard_source');
-        var savedIconLocation = localStorage.getItem('dashboard_iconLocation');
-
-        if (savedCompany && savedCompany === 'icon' && hasIconData) {
-          switchCompany('icon', true);
+        if (savedCompany === 'icon' && hasIconData) {
+          await switchCompany('icon', true);
           if (savedIconLocation) switchIconLocation(savedIconLocation, true);
         } else if (savedCompany === 'aaction' && savedSource) {
-          if (savedSource === 'sedgwick' && hasSedgwickData) switchSource('sedgwick', true);
-          else if (savedSource === 'alacrity' && hasAlacrityData) switchSource('alacrity', true);
-          else if (!hasCCData && hasSedgwickData) switchSource('sedgwick', true);
-          else if (!hasCCData && hasAlacrityData) switchSource('alacrity', true);
+          if (savedSource === 'sedgwick' && hasSedgwickData) await switchSource('sedgwick', true);
+          else if (savedSource === 'alacrity' && hasAlacrityData) await switchSource('alacrity', true);
+          else if (!hasCCData && hasSedgwickData) await switchSource('sedgwick', true);
+          else if (!hasCCData && hasAlacrityData) await switchSource('alacrity', true);
         } else if (!hasCCData) {
-          if (hasSedgwickData) switchSource('sedgwick', true);
-          else if (hasAlacrityData) switchSource('alacrity', true);
+          if (hasSedgwickData) await switchSource('sedgwick', true);
+          else if (hasAlacrityData) await switchSource('alacrity', true);
         }
 
         if (statsData.lastUpdated) {
@@ -260,16 +362,26 @@ async function main() {
       } catch (error) {
         console.error('Error loading data:', error);
         showNoData(true);
+        showDataError('Could not load the dashboard data.');
       } finally {
         showLoading(false);
       }
     }`;
 
   // Replace the existing loadData function using a more robust regex
-  indexHtml = indexHtml.replace(
-    /async function loadData\(\) \{[\s\S]*?showLoading\(false\);\s*\}\s*\}/,
-    newLoadDataFunction
-  );
+  const LOAD_DATA_PATTERN = /async function loadData\(\) \{[\s\S]*?showLoading\(false\);\s*\}\s*\}/;
+  const lazyLoading = LOAD_DATA_PATTERN.test(indexHtml);
+  indexHtml = indexHtml.replace(LOAD_DATA_PATTERN, newLoadDataFunction);
+
+  // The per-company files are only written for a dashboard that reads them;
+  // once the manifest exists, encrypt:data keeps them up to date
+  if (lazyLoading) {
+    const parts = await writeDashboardData(stats, hashedPassword);
+    console.log(`Created ${MANIFEST_FILE} and ${parts} company files`);
+  } else {
+    console.warn('Warning: loadData() not found in index.html; the dashboard keeps loading data/stats.json.enc');
+    fs.rmSync(DASHBOARD_DATA_DIR, { recursive: true, force: true });
+  }
 
   // Write the modified index.html
   fs.writeFileSync(INDEX_PATH, indexHtml);
@@ -333,7 +445,9 @@ async function main() {
   console.log('\n✓ Encryption complete!');
   console.log('  - index.html is now encrypted (password prompt)');
   console.log('  - data/stats.json.enc contains encrypted data (source of truth)');
+  if (lazyLoading) console.log('  - data/dashboard/ holds the per-company files the dashboard loads');
   console.log('  - Original index.html is backed up to index.html.bak');
+  console.log('\nCommit index.html together with data/ so the deployed dashboard and its data match.');
   console.log('\nTo test: npm run serve');
 }
 
@@ -0,0 +1,302 @@
+/**
+ * End-to-end scrape against the local mock portals.
+ *
+ * Usage: npm run test:e2e [-- --only <selectors>]   (HEADLESS=false to watch)
+ *
+ * Starts the mock portals (test/mock-portals), points every registry source at
+ * them and runs a daily scrape into tmp/e2e/stats.json. Then checks that each
+ * source logged in, walked its tabs, type dropdowns or contractors, and stored a
+ * snapshot whose metrics match the fixtures' expected results. Alacrity logins
+ * answer an emailed security code, read back from an IMAP stand-in. Each
+ * company's daily digest reached the webhook stand-in in both Slack and Teams
+ * format, its HTML email report reached the SMTP sink, and its monthly report
+ * renders to HTML and PDF. Each stored snapshot must also have reached an HTTP,
+ * an NDJSON file and an S3 stand-in sink. Finally the stats are sent to a
+ * Pulsecheck stand-in, in full and as today's deltas. Nothing under data/ is
+ * read or written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'tmp', 'e2e');
+const STATS_FILE = path.join(OUTPUT_DIR, 'stats.json');
+const SINKS_FILE = path.join(OUTPUT_DIR, 'sinks.json');
+const SINK_NDJSON_FILE = path.join(OUTPUT_DIR, 'snapshots.ndjson');
+
+// Set before any scraper module loads: stats go to tmp/, saved sessions and failure
+// artifacts are left alone
+Object.assign(process.env, {
+  STATS_FILE,
+  SINKS_FILE,
+  SCRAPE_SESSIONS: 'false',
+  SCRAPE_ARTIFACTS: 'false'
+});
+
+const assert = require('assert');
+const { startMockPortals, mockPortalEnv } = require('./mock-portals');
+const { startWebhookStandIn } = require('./webhook-stand-in');
+const { startSmtpSink } = require('./smtp-sink');
+const { startPulsecheckStandIn } = require('./pulsecheck-stand-in');
+const { startS3StandIn } = require('./s3-stand-in');
+const { startImapStandIn } = require('./imap-stand-in');
+const { TYPE_DROPDOWN_LABEL } = require('./mock-portals/cc');
+const { loadRegistry, getSourceEntries, resolveStatsPath } = require('../scraper/registry');
+const { EXTRACTION_PATTERNS } = require('../scraper/contractor-connection');
+const { ASSIGNMENT_TYPES, formatDate, getCurrentYear } = require('../scraper/utils');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Two entities so the scraper has to walk Alacrity's contractor combobox
+const ALACRITY_CONTRACTORS = ['LP First Capital', 'LP First Capital Commercial'];
+
+function fixtureText(portal, screen) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, portal, `${screen}.txt`), 'utf8');
+}
+
+function expected(portal, screen) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, portal, `${screen}.json`), 'utf8'));
+}
+
+function todaysSnapshot(stream) {
+  const snapshot = (stream.dailySnapshots || []).find(s => s.date === formatDate());
+  assert.ok(snapshot, `no snapshot stored for ${formatDate()}`);
+  return snapshot;
+}
+
+// What each source type should have stored, given the fixtures the portals served
+const CHECKS = {
+  cc: (stream) => {
+    const yearData = stream.years?.[getCurrentYear()];
+    assert.ok(yearData, `no data stored for ${getCurrentYear()}`);
+
+    for (const tab of Object.keys(EXTRACTION_PATTERNS)) {
+      assert.ok(yearData[tab], `tab ${tab} was not scraped`);
+      if (TYPE_DROPDOWN_LABEL.test(fixtureText('cc', tab))) {
+        for (const type of ASSIGNMENT_TYPES) {
+          assert.deepStrictEqual(yearData[tab].byType[type], expected('cc', tab), `${tab} / ${type}`);
+        }
+      } else {
+        assert.deepStrictEqual(yearData[tab].data, expected('cc', tab), tab);
+      }
+    }
+    for (const [tab, { summary }] of Object.entries(expected('cc', 'summary'))) {
+      assert.deepStrictEqual(yearData[tab]?.summary, summary, `${tab} summary card`);
+    }
+    assert.deepStrictEqual(todaysSnapshot(stream).data, yearData);
+  },
+
+  sedgwick: (stream) => {
+    const snapshot = todaysSnapshot(stream);
+    assert.deepStrictEqual(snapshot.dashboard, expected('sedgwick', 'dashboard'), 'dashboard');
+    assert.deepStrictEqual({ currentScores: snapshot.currentScores }, expected('sedgwick', 'main'), 'currentScores');
+  },
+
+  alacrity: (stream) => {
+    for (const contractor of ALACRITY_CONTRACTORS) {
+      assert.ok(stream.contractors?.[contractor], `contractor ${contractor} was not scraped`);
+      assert.deepStrictEqual(todaysSnapshot(stream.contractors[contractor]).dashboard, expected('alacrity', 'cip'), contractor);
+    }
+  }
+};
+
+// What each company's digest should look like in each webhook format
+const DIGEST_CHECKS = {
+  slack: (body, label) => {
+    assert.strictEqual(body.blocks?.[0]?.type, 'header', 'first block is not a header');
+    assert.ok(body.blocks[0].text.text.startsWith(`${label} daily digest`), `header: ${body.blocks[0].text.text}`);
+    assert.ok(body.blocks.length > 1, 'digest has no sections');
+  },
+  teams: (body, label) => {
+    const card = body.attachments?.[0]?.content;
+    assert.strictEqual(card?.type, 'AdaptiveCard', 'no Adaptive Card attached');
+    assert.ok(card.body[0].text.startsWith(`${label} daily digest`), `title: ${card.body[0].text}`);
+    assert.ok(card.body.length > 1, 'digest has no sections');
+  }
+};
+
+function getArgValue(args, name) {
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+async function main() {
+  const only = getArgValue(process.argv.slice(2), '--only');
+
+  fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  const mfaMailbox = await startImapStandIn();
+  const portals = await startMockPortals({ alacrityContractors: ALACRITY_CONTRACTORS, mfaMailbox });
+  const webhooks = await startWebhookStandIn();
+  const smtp = await startSmtpSink();
+  const pulsecheck = await startPulsecheckStandIn();
+  const bucket = await startS3StandIn();
+  try {
+    // readEnv looks variables up when each source runs, so .env loading later can't undo this
+    Object.assign(process.env, mockPortalEnv(getSourceEntries(), portals.urls), {
+      NOTIFY_SLACK_WEBHOOKS: `${webhooks.origin}/slack`,
+      NOTIFY_TEAMS_WEBHOOKS: `${webhooks.origin}/teams`,
+      // The first run has nothing to compare against, so every digest is quiet
+      NOTIFY_QUIET_DAYS: 'true',
+      SMTP_HOST: smtp.host,
+      SMTP_PORT: String(smtp.port),
+      SMTP_SECURE: 'false',
+      REPORT_FROM: 'e2e@example.com',
+      // The real mailbox is never read: codes come from the stand-in
+      MFA_IMAP_HOST: mfaMailbox.host,
+      MFA_IMAP_PORT: String(mfaMailbox.port),
+      MFA_IMAP_SECURE: 'false',
+      MFA_IMAP_USER: mfaMailbox.user,
+      MFA_IMAP_PASSWORD: mfaMailbox.password,
+      MFA_IMAP_MAILBOX: 'INBOX',
+      E2E_SINK_ACCESS_KEY_ID: 'stand-in',
+      E2E_SINK_SECRET_ACCESS_KEY: 'stand-in'
+    });
+    fs.writeFileSync(SINKS_FILE, JSON.stringify({
+      sinks: [
+        { id: 'http', type: 'http', url: `${webhooks.origin}/sink` },
+        { id: 'ndjson', type: 'ndjson', file: SINK_NDJSON_FILE },
+        { id: 's3', type: 's3', envPrefix: 'E2E_SINK', bucket: 'e2e', endpoint: bucket.origin }
+      ]
+    }));
+
+    const { selectSources, runScraper } = require('../scraper/index');
+    const exitCode = await runScraper({ daily: true, only });
+
+    const stats = JSON.parse(fs.readFileSync(STATS_FILE, 'utf8'));
+    let failed = exitCode === 0 ? 0 : 1;
+
+    console.log('\n========== Mock portal checks ==========');
+    for (const entry of selectSources({ only })) {
+      const name = `${entry.company}:${entry.source}`;
+      try {
+        CHECKS[entry.type](resolveStatsPath(stats, entry.stats));
+        console.log(`✓ ${name}`);
+      } catch (error) {
+        console.error(`✗ ${name}\n${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n========== Email MFA checks ==========');
+    // The Alacrity checks above show each code was accepted; this shows it came from the mailbox
+    const alacrityLogins = selectSources({ only }).filter(entry => entry.type === 'alacrity').length;
+    if (alacrityLogins > 0) {
+      try {
+        assert.strictEqual(mfaMailbox.messages.length, alacrityLogins, `expected ${alacrityLogins} security code email(s), got ${mfaMailbox.messages.length}`);
+        assert.ok(mfaMailbox.messages.every(message => message.read), 'a security code email was never read');
+        console.log(`✓ ${alacrityLogins} security code(s) emailed, read and entered`);
+      } catch (error) {
+        console.error(`✗ security codes\n${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n========== Digest checks ==========');
+    const companies = loadRegistry().filter(c => selectSources({ only }).some(entry => entry.company === c.key));
+    for (const { key, label } of companies) {
+      for (const [format, check] of Object.entries(DIGEST_CHECKS)) {
+        const name = `${key} (${format})`;
+        try {
+          const posts = webhooks.received.filter(post => post.path === `/${format}` &&
+            JSON.stringify(post.body).includes(`${label} daily digest`));
+          assert.strictEqual(posts.length, 1, `expected one digest, got ${posts.length}`);
+          check(posts[0].body, label);
+          console.log(`✓ ${name}`);
+        } catch (error) {
+          console.error(`✗ ${name}\n${error.message}`);
+          failed++;
+        }
+      }
+    }
+
+    console.log('\n========== Sink checks ==========');
+    const { snapshotRecords, recordKey } = require('../scraper/sinks');
+    const records = selectSources({ only }).flatMap(entry => snapshotRecords(stats, entry));
+    const sinkKeys = {
+      // By the Idempotency-Key header, so it's checked against the records too
+      http: webhooks.received.filter(post => post.path === '/sink').map(post => post.headers['idempotency-key']),
+      ndjson: fs.existsSync(SINK_NDJSON_FILE)
+        ? fs.readFileSync(SINK_NDJSON_FILE, 'utf8').trim().split('\n').map(line => recordKey(JSON.parse(line)))
+        : [],
+      s3: [...bucket.objects.keys()].map(key => key.replace(/^e2e\//, ''))
+    };
+    for (const [sink, keys] of Object.entries(sinkKeys)) {
+      try {
+        assert.ok(records.length > 0, 'no snapshots stored');
+        assert.deepStrictEqual(keys.sort(), records.map(recordKey).sort());
+        console.log(`✓ ${sink} (${keys.length} snapshots)`);
+      } catch (error) {
+        console.error(`✗ ${sink}\n${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n========== Email report checks ==========');
+    for (const { key } of companies) process.env[`${key.toUpperCase()}_REPORT_TO`] = `${key}@example.com`;
+    const { sendEmailReports } = require('../scraper/email-report');
+    await sendEmailReports(stats, { companies: companies.map(c => c.key) });
+    for (const { key } of companies) {
+      try {
+        const messages = smtp.received.filter(message => message.to.includes(`${key}@example.com`));
+        assert.strictEqual(messages.length, 1, `expected one email, got ${messages.length}`);
+        assert.ok(/Content-Type: text\/html/i.test(messages[0].raw), 'email has no HTML part');
+        console.log(`✓ ${key}`);
+      } catch (error) {
+        console.error(`✗ ${key}\n${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n========== Monthly report checks ==========');
+    const { writeMonthlyReport } = require('../scraper/monthly-report');
+    for (const { key } of companies) {
+      try {
+        const [htmlFile, pdfFile] = await writeMonthlyReport(stats, key, formatDate().slice(0, 7), { outDir: OUTPUT_DIR });
+        assert.ok(fs.readFileSync(htmlFile, 'utf8').includes('<table>'), 'HTML report has no metrics');
+        assert.strictEqual(fs.readFileSync(pdfFile).subarray(0, 5).toString(), '%PDF-', 'not a PDF');
+        console.log(`✓ ${key}`);
+      } catch (error) {
+        console.error(`✗ ${key}\n${error.message}`);
+        failed++;
+      }
+    }
+
+    console.log('\n========== Pulsecheck checks ==========');
+    const { ingest, buildFullPayload, buildDeltaPayload } = require('../scraper/pulsecheck');
+    const config = { url: pulsecheck.origin, token: 'stand-in' };
+    for (const [mode, payload] of [['full', buildFullPayload(stats)], ['deltas', buildDeltaPayload(stats)]]) {
+      try {
+        const result = await ingest(payload, { config, pollIntervalMs: 10 });
+        assert.strictEqual(result.status, 'completed');
+        assert.deepStrictEqual(pulsecheck.batches.get(result.id).body, payload, 'stand-in received a different payload');
+        assert.ok(!('schemaVersion' in payload) && !payload.companies?.aaction, 'payload is not in the v1 layout');
+        console.log(`✓ ${mode}`);
+      } catch (error) {
+        console.error(`✗ ${mode}\n${error.message}`);
+        failed++;
+      }
+    }
+
+    if (exitCode !== 0) console.error(`Scraper exited with code ${exitCode}`);
+    console.log(failed ? '\nEnd-to-end run failed' : '\nEnd-to-end run passed');
+    return failed ? 1 : 0;
+  } finally {
+    await bucket.close();
+    await pulsecheck.close();
+    await smtp.close();
+    await webhooks.close();
+    await portals.close();
+    await mfaMailbox.close();
+  }
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('End-to-end run failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,156 @@
+/**
+ * Offline tests for reading MFA codes from the mailbox (scraper/email-mfa.js).
+ *
+ * Usage: npm test
+ *
+ * Runs the real IMAP client against the IMAP stand-in (test/imap-stand-in.js),
+ * so message matching, the since cut-off, polling and the timeout are all
+ * exercised without a mail server.
+ */
+
+const assert = require('assert');
+const { startImapStandIn } = require('./imap-stand-in');
+const { getSourceEntries } = require('../scraper/registry');
+const { getImapConfig, waitForEmailCode, createEmailMfaProvider } = require('../scraper/email-mfa');
+
+const MINUTE = 60000;
+
+/**
+ * Point MFA_IMAP_* at a stand-in
+ * @param {Object} standIn - From startImapStandIn
+ */
+function useStandIn({ host, port, user, password }) {
+  Object.assign(process.env, {
+    MFA_IMAP_HOST: host,
+    MFA_IMAP_PORT: String(port),
+    MFA_IMAP_SECURE: 'false',
+    MFA_IMAP_USER: user,
+    MFA_IMAP_PASSWORD: password,
+    MFA_IMAP_MAILBOX: 'INBOX'
+  });
+}
+
+const entryOfType = type => getSourceEntries().find(entry => entry.type === type);
+const alacrityEntries = () => getSourceEntries().filter(entry => entry.type === 'alacrity');
+
+const TESTS = {
+  'uses the newest matching code since the login': async (mailbox) => {
+    const now = Date.now();
+    mailbox.deliver({ from: 'Alacrity <noreply@alacrity.net>', subject: 'Your security code', text: 'Your code is 111111.', date: new Date(now - 10 * MINUTE) });
+    mailbox.deliver({ from: 'Alacrity <noreply@alacrity.net>', subject: 'Your security code', text: 'Your code is 222222.', date: new Date(now - 5000) });
+    mailbox.deliver({ from: 'Someone <someone@example.com>', subject: 'Your security code', text: 'Your code is 999999.', date: new Date(now - 2000) });
+
+    const code = await createEmailMfaProvider(entryOfType('alacrity')).getCode({ since: now - 10000 });
+    assert.strictEqual(code, '222222');
+    assert.deepStrictEqual(mailbox.messages.map(m => m.read), [false, true, false]);
+  },
+
+  'ignores codes sent before the login': async (mailbox) => {
+    const now = Date.now();
+    mailbox.deliver({ from: 'Alacrity <noreply@alacrity.net>', subject: 'Your security code', text: 'Your code is 111111.', date: new Date(now - 10 * MINUTE) });
+
+    await assert.rejects(
+      waitForEmailCode(getImapConfig(), { from: /alacrity/i, subject: /code/i, codePattern: /\b(\d{6})\b/, since: now - MINUTE },
+        { timeoutMs: 300, pollMs: 100 }),
+      /No MFA code email matching from \/alacrity\/ and subject \/code\//);
+  },
+
+  'reads the code from an HTML body': async (mailbox) => {
+    mailbox.deliver({ from: 'Salesforce <noreply@salesforce.com>', subject: 'Verify your identity', html: '<p>Your verification code is <b>333333</b></p>' });
+
+    const code = await createEmailMfaProvider(entryOfType('sedgwick')).getCode();
+    assert.strictEqual(code, '333333');
+  },
+
+  'reads the code from the subject line': async (mailbox) => {
+    mailbox.deliver({ from: 'Alacrity <noreply@alacrity.net>', subject: 'Alacrity security code 444444', text: 'See the subject line.' });
+
+    const code = await createEmailMfaProvider(entryOfType('alacrity')).getCode();
+    assert.strictEqual(code, '444444');
+    assert.strictEqual(mailbox.messages[0].read, false, 'body was downloaded');
+  },
+
+  'keeps polling until the email arrives': async (mailbox) => {
+    // INTERNALDATE has whole seconds, so allow for it as createEmailMfaProvider does
+    const since = Date.now() - MINUTE;
+    setTimeout(() => mailbox.deliver({ from: 'Alacrity <noreply@alacrity.net>', subject: 'Your security code', text: 'Your code is 555555.' }), 400);
+
+    const code = await waitForEmailCode(getImapConfig(), { from: /alacrity/i, subject: /code/i, codePattern: /\b(\d{6})\b/, since },
+      { timeoutMs: 5000, pollMs: 100 });
+    assert.strictEqual(code, '555555');
+  },
+
+  'uses each code email only once': async (mailbox) => {
+    const since = Date.now() - MINUTE;
+    const [first, second] = alacrityEntries().map(createEmailMfaProvider);
+    mailbox.deliver({ from: 'Alacrity <noreply@alacrity.net>', subject: 'Your security code', text: 'Your code is 111111.' });
+    assert.strictEqual(await first.getCode({ since }), '111111');
+
+    // The second login's email is still on its way; the first login's code is no use to it
+    setTimeout(() => mailbox.deliver({ from: 'Alacrity <noreply@alacrity.net>', subject: 'Your security code', text: 'Your code is 222222.' }), 400);
+    assert.strictEqual(await second.getCode({ since }), '222222');
+  },
+
+  'lets one login at a time use a shared mailbox': async () => {
+    const [first, second] = alacrityEntries().map(createEmailMfaProvider);
+    const steps = [];
+    const login = (name, ms) => async () => {
+      steps.push(`${name} sent`);
+      await new Promise(r => setTimeout(r, ms));
+      steps.push(`${name} entered`);
+    };
+
+    await Promise.all([first.exclusive(login('first', 200)), second.exclusive(login('second', 0))]);
+    assert.deepStrictEqual(steps, ['first sent', 'first entered', 'second sent', 'second entered']);
+  },
+
+  'matches the recipient when <PREFIX>_MFA_TO is set': async (mailbox) => {
+    const entry = alacrityEntries()[1];
+    const name = `${entry.envPrefixes[0]}_MFA_TO`;
+    process.env[name] = `codes\\+${entry.company}@`;
+    try {
+      const now = Date.now();
+      mailbox.deliver({ from: 'Alacrity <noreply@alacrity.net>', to: `codes+${entry.company}@stand-in.test`, subject: 'Your security code', text: 'Your code is 111111.', date: new Date(now - 5000) });
+      mailbox.deliver({ from: 'Alacrity <noreply@alacrity.net>', to: 'codes+other@stand-in.test', subject: 'Your security code', text: 'Your code is 222222.', date: new Date(now - 2000) });
+
+      const code = await createEmailMfaProvider(entry).getCode({ since: now - 10000 });
+      assert.strictEqual(code, '111111');
+    } finally {
+      delete process.env[name];
+    }
+  },
+
+  'fails on a wrong mailbox password': async () => {
+    const imap = getImapConfig();
+    await assert.rejects(
+      waitForEmailCode({ ...imap, auth: { ...imap.auth, pass: 'wrong' } },
+        { from: /alacrity/i, subject: /code/i, codePattern: /\b(\d{6})\b/, since: Date.now() },
+        { timeoutMs: 300, pollMs: 100 }));
+  }
+};
+
+async function main() {
+  let passed = 0;
+  let failed = 0;
+
+  for (const [name, test] of Object.entries(TESTS)) {
+    // A fresh mailbox per test, so earlier messages can't match
+    const mailbox = await startImapStandIn();
+    useStandIn(mailbox);
+    try {
+      await test(mailbox);
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}\n${error.message}`);
+      failed++;
+    } finally {
+      await mailbox.close();
+    }
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exit(1);
+}
+
+main();
@@ -0,0 +1,95 @@
+/**
+ * Offline tests for the portal page extractors.
+ *
+ * Usage: npm test [-- --update]
+ *
+ * Each test/fixtures/<portal>/<screen>[-<variant>].txt is the innerText of one portal
+ * screen, e.g. cc/poms.txt or sedgwick/dashboard-no-issue-cases.txt. The page.txt saved
+ * with failure artifacts (npm run decrypt:artifacts) can be copied in as-is. The
+ * matching .json holds the exact object the extractor must return for it.
+ *
+ * --update rewrites the .json files from the current extractors. Review the diff
+ * before committing it.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { EXTRACTION_PATTERNS, parseSummaryText, parseTableText } = require('../scraper/contractor-connection');
+const { parseMainPageText, parseDashboardText } = require('../scraper/sedgwick');
+const { parseCIPText } = require('../scraper/alacrity');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// <portal> → <screen> → parser for that screen's innerText
+const EXTRACTORS = {
+  cc: {
+    summary: parseSummaryText,
+    ...Object.fromEntries(Object.entries(EXTRACTION_PATTERNS).map(([tab, patterns]) =>
+      [tab, text => parseTableText(text, patterns)]))
+  },
+  sedgwick: {
+    main: parseMainPageText,
+    dashboard: parseDashboardText
+  },
+  alacrity: {
+    cip: parseCIPText
+  }
+};
+
+function main() {
+  const update = process.argv.includes('--update');
+  let passed = 0;
+  let failed = 0;
+  let updated = 0;
+
+  for (const portal of fs.readdirSync(FIXTURES_DIR).sort()) {
+    const dir = path.join(FIXTURES_DIR, portal);
+    if (!fs.statSync(dir).isDirectory()) continue;
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.txt')).sort()) {
+      const name = `${portal}/${path.basename(file, '.txt')}`;
+      const screen = path.basename(file, '.txt').split('-')[0];
+      const extract = EXTRACTORS[portal]?.[screen];
+      if (!extract) {
+        console.error(`✗ ${name}: no extractor for screen "${screen}" (known: ${Object.keys(EXTRACTORS[portal] || {}).join(', ') || 'none'})`);
+        failed++;
+        continue;
+      }
+
+      const actual = extract(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const expectedFile = path.join(dir, file.replace(/\.txt$/, '.json'));
+
+      if (update) {
+        fs.writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + '\n');
+        console.log(`✓ ${name} (updated)`);
+        updated++;
+        continue;
+      }
+
+      if (!fs.existsSync(expectedFile)) {
+        console.error(`✗ ${name}: missing ${path.relative(FIXTURES_DIR, expectedFile)} (run npm test -- --update)`);
+        failed++;
+        continue;
+      }
+
+      try {
+        assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(expectedFile, 'utf8')));
+        console.log(`✓ ${name}`);
+        passed++;
+      } catch (error) {
+        console.error(`✗ ${name}\n${error.message}`);
+        failed++;
+      }
+    }
+  }
+
+  if (update) {
+    console.log(`\nUpdated ${updated} expected result(s)`);
+  } else {
+    console.log(`\n${passed} passed, ${failed} failed`);
+  }
+  if (failed) process.exit(1);
+}
+
+main();
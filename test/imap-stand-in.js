@@ -0,0 +1,269 @@
+/**
+ * Local stand-in for the MFA mailbox: a plaintext IMAP server with one INBOX and
+ * one login. It speaks just enough IMAP4rev1 for email-mfa.js (LOGIN, SELECT,
+ * SEARCH SINCE, FETCH of envelopes and body parts); messages are added with
+ * deliver(), e.g. by the mock Alacrity portal when it sends a security code.
+ *
+ * Usage: npm run imap-stand-in   (prints the MFA_IMAP_* settings, Ctrl+C to stop)
+ */
+
+const net = require('net');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// IMAP date-time, e.g. "19-Oct-2026 14:05:09 +0000"
+function imapDateTime(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(date.getUTCDate())}-${MONTHS[date.getUTCMonth()]}-${date.getUTCFullYear()} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+}
+
+function quote(value) {
+  return value == null ? 'NIL' : `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+// "Name <user@host>" → ((name NIL user host))
+function addressList(text) {
+  const [, name, address] = String(text).match(/^\s*(?:"?([^"<]*?)"?\s*)?<([^>]+)>\s*$/) || [null, null, text];
+  const [mailbox, domain] = address.split('@');
+  return `((${quote(name || null)} NIL ${quote(mailbox)} ${quote(domain)}))`;
+}
+
+/**
+ * Split a command's arguments into atoms, quoted strings and parenthesized lists
+ * @param {string} text
+ * @returns {string[]} Quoted strings unquoted; lists kept as written
+ */
+function parseArgs(text) {
+  const args = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\((?:[^()]|\([^()]*\))*\))|(\S+\[[^\]]*\](?:<[\d.]+>)?|\S+)/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    args.push(match[1] != null ? match[1].replace(/\\(.)/g, '$1') : match[2] || match[3]);
+  }
+  return args;
+}
+
+/**
+ * Whether a number is in an IMAP sequence set, e.g. "1:3,7,9:*"
+ * @param {string} set
+ * @param {number} n
+ * @param {number} max - Value of "*"
+ * @returns {boolean}
+ */
+function inSequenceSet(set, n, max) {
+  return set.split(',').some(range => {
+    const [a, b = a] = range.split(':').map(v => (v === '*' ? max : parseInt(v, 10)));
+    return n >= Math.min(a, b) && n <= Math.max(a, b);
+  });
+}
+
+/**
+ * Start the stand-in
+ * @param {Object} [options]
+ * @param {string} [options.host]
+ * @param {number} [options.port] - Free port by default
+ * @param {string} [options.user] - Login to accept
+ * @param {string} [options.password]
+ * @returns {Promise<Object>} { host, port, user, password, messages, deliver(message), close() }
+ *   where deliver takes { from, to?, subject, text | html, date? } and messages lists
+ *   what was delivered, each with `read` set once its body has been fetched
+ */
+function startImapStandIn({ host = '127.0.0.1', port = 0, user = 'stand-in', password = 'stand-in' } = {}) {
+  const messages = [];
+  const sockets = new Set();
+
+  const deliver = ({ from, to = 'codes@stand-in.test', subject, text, html, date = new Date() }) => {
+    const message = {
+      uid: messages.length + 1,
+      from,
+      to,
+      subject,
+      date,
+      contentType: html != null ? 'html' : 'plain',
+      body: (html ?? text ?? '').replace(/\r?\n/g, '\r\n'),
+      read: false
+    };
+    messages.push(message);
+    return message;
+  };
+
+  const envelope = m => `(${quote(m.date.toUTCString())} ${quote(m.subject)} ${addressList(m.from)} ` +
+    `${addressList(m.from)} ${addressList(m.from)} ${addressList(m.to)} NIL NIL NIL ${quote(`<${m.uid}@stand-in.test>`)})`;
+
+  const bodyStructure = m => `("TEXT" ${quote(m.contentType.toUpperCase())} ("CHARSET" "utf-8") NIL NIL "8BIT" ` +
+    `${Buffer.byteLength(m.body)} ${m.body.split('\r\n').length})`;
+
+  const header = m => [
+    `From: ${m.from}`,
+    `To: ${m.to}`,
+    `Subject: ${m.subject}`,
+    `Date: ${m.date.toUTCString()}`,
+    `Message-ID: <${m.uid}@stand-in.test>`,
+    'MIME-Version: 1.0',
+    `Content-Type: text/${m.contentType}; charset=utf-8`,
+    'Content-Transfer-Encoding: 8bit',
+    '', ''
+  ].join('\r\n');
+
+  // A FETCH data item's value, e.g. BODY.PEEK[1] → BODY[1] {n}\r\n<text>
+  const fetchItem = (m, item) => {
+    const name = item.toUpperCase();
+    if (name === 'UID') return `UID ${m.uid}`;
+    if (name === 'FLAGS') return `FLAGS (${m.read ? '\\Seen' : ''})`;
+    if (name === 'INTERNALDATE') return `INTERNALDATE "${imapDateTime(m.date)}"`;
+    if (name === 'RFC822.SIZE') return `RFC822.SIZE ${Buffer.byteLength(header(m) + m.body)}`;
+    if (name === 'ENVELOPE') return `ENVELOPE ${envelope(m)}`;
+    if (name === 'BODYSTRUCTURE' || name === 'BODY') return `${name} ${bodyStructure(m)}`;
+
+    const section = name.match(/^(BODY|BINARY)(?:\.PEEK)?\[([^\]]*)\](?:<(\d+)(?:\.(\d+))?>)?$/);
+    if (!section) return null;
+    const [, kind, part, start, length] = section;
+    let content;
+    if (part === '') content = header(m) + m.body;
+    else if (part === 'HEADER' || part.startsWith('HEADER.FIELDS') || part === '1.MIME') content = header(m);
+    else if (part === 'TEXT' || part === '1') content = m.body;
+    else content = '';
+    if (part !== '1.MIME' && !part.startsWith('HEADER')) m.read = true;
+
+    let bytes = Buffer.from(content);
+    if (start != null) bytes = bytes.subarray(Number(start), length != null ? Number(start) + Number(length) : undefined);
+    return `${kind}[${part}]${start != null ? `<${start}>` : ''} {${bytes.length}}\r\n${bytes.toString('utf8')}`;
+  };
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    const send = line => socket.write(`${line}\r\n`);
+    let buffer = '';
+    let authenticated = false;
+    let selected = false;
+
+    const search = (args, byUid) => {
+      let since = null;
+      for (let i = 0; i < args.length; i++) {
+        if (args[i].toUpperCase() === 'SINCE') {
+          const [day, month, year] = args[i + 1].split('-');
+          since = Date.UTC(Number(year), MONTHS.indexOf(month), Number(day));
+        }
+      }
+      return messages
+        .map((m, index) => ({ m, n: byUid ? m.uid : index + 1 }))
+        .filter(({ m }) => since == null || m.date.getTime() >= since)
+        .map(({ n }) => n);
+    };
+
+    const handle = line => {
+      // "<tag> [UID] <command> <args>"
+      const [, tag, uid, rawCommand = '', argText = ''] = line.match(/^(\S+) (UID )?(\S+) ?(.*)$/i) || [null, line.split(' ')[0]];
+      const command = rawCommand.toUpperCase();
+      const byUid = Boolean(uid);
+      const args = parseArgs(argText);
+      const ok = text => send(`${tag} OK ${text || `${command} completed`}`);
+
+      if (command === 'CAPABILITY') {
+        send('* CAPABILITY IMAP4rev1');
+        return ok();
+      }
+      if (command === 'NOOP') return ok();
+      if (command === 'LOGOUT') {
+        send('* BYE imap-stand-in logging out');
+        ok();
+        return socket.end();
+      }
+      if (command === 'LOGIN') {
+        if (args[0] !== user || args[1] !== password) return send(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials`);
+        authenticated = true;
+        return ok('[CAPABILITY IMAP4rev1] Logged in');
+      }
+      if (!authenticated) return send(`${tag} NO Log in first`);
+
+      if (command === 'SELECT' || command === 'EXAMINE') {
+        if (String(args[0]).toUpperCase() !== 'INBOX') return send(`${tag} NO [NONEXISTENT] No such mailbox`);
+        selected = true;
+        send('* FLAGS (\\Seen)');
+        send(`* ${messages.length} EXISTS`);
+        send('* 0 RECENT');
+        send('* OK [UIDVALIDITY 1] UIDs valid');
+        send(`* OK [UIDNEXT ${messages.length + 1}] Predicted next UID`);
+        return ok(`[${command === 'SELECT' ? 'READ-WRITE' : 'READ-ONLY'}] ${command} completed`);
+      }
+      if (command === 'CLOSE' || command === 'UNSELECT') {
+        selected = false;
+        return ok();
+      }
+      if (command === 'LIST' || command === 'LSUB') {
+        send(`* ${command} (\\HasNoChildren) "/" INBOX`);
+        return ok();
+      }
+      if (!selected) return send(`${tag} NO Select a mailbox first`);
+
+      if (command === 'SEARCH') {
+        send(`* SEARCH${search(args, byUid).map(n => ` ${n}`).join('')}`);
+        return ok();
+      }
+      if (command === 'FETCH') {
+        const [set, itemText = ''] = args;
+        const items = itemText.replace(/^\(|\)$/g, '').match(/[^\s[]+(?:\[[^\]]*\](?:<[\d.]+>)?)?/g) || [];
+        if (byUid && !items.some(item => item.toUpperCase() === 'UID')) items.unshift('UID');
+        messages.forEach((m, index) => {
+          // UIDs are 1..n here, so "*" is messages.length either way
+          if (!inSequenceSet(set, byUid ? m.uid : index + 1, messages.length)) return;
+          const values = items.map(item => fetchItem(m, item)).filter(Boolean);
+          send(`* ${index + 1} FETCH (${values.join(' ')})`);
+        });
+        return ok();
+      }
+
+      send(`${tag} BAD ${rawCommand} is not supported by the stand-in`);
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (line) handle(line);
+      }
+    });
+    socket.on('error', () => {});
+    send('* OK [CAPABILITY IMAP4rev1] imap-stand-in ready');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        host,
+        port: server.address().port,
+        user,
+        password,
+        messages,
+        deliver,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(done);
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startImapStandIn };
+
+if (require.main === module) {
+  startImapStandIn({ port: 4143 })
+    .then(({ host, port, user, password }) => {
+      console.log(`IMAP stand-in listening on ${host}:${port} (Ctrl+C to stop)`);
+      console.log(`  MFA_IMAP_HOST=${host}`);
+      console.log(`  MFA_IMAP_PORT=${port}`);
+      console.log('  MFA_IMAP_SECURE=false');
+      console.log(`  MFA_IMAP_USER=${user}`);
+      console.log(`  MFA_IMAP_PASSWORD=${password}`);
+    })
+    .catch(error => {
+      console.error('Could not start IMAP stand-in:', error.message);
+      process.exit(1);
+    });
+}
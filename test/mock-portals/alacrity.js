@@ -0,0 +1,180 @@
+const {
+  MOCK_ACCOUNT,
+  readFixture,
+  escapeHtml,
+  sendPage,
+  sendText,
+  redirect,
+  notFound,
+  getCookies,
+  readForm
+} = require('./server');
+
+const SYSTEMS = ['EM', 'CAT', 'HVAC'];
+
+function loginPage(res, error) {
+  sendPage(res, 'Alacrity Login', `
+<h1>Alacrity</h1>
+${error ? `<p role="alert">${escapeHtml(error)}</p>` : ''}
+<form method="post" id="LoginRoundPanel">
+  <label for="LoginRoundPanel_SystemDropDownList">Start with</label>
+  <select id="LoginRoundPanel_SystemDropDownList" name="system">
+    ${SYSTEMS.map(system => `<option value="${system}">${system}</option>`).join('')}
+  </select>
+  <label for="LoginRoundPanel_UserNameTextBox">User Name</label>
+  <input id="LoginRoundPanel_UserNameTextBox" name="username" type="text">
+  <label for="LoginRoundPanel_PasswordTextBox">Password</label>
+  <input id="LoginRoundPanel_PasswordTextBox" name="password" type="password">
+  <input type="submit" value="Login">
+</form>`);
+}
+
+/**
+ * The security code challenge: pick email delivery and send the code, then
+ * enter it. Both steps post back to MFAAuth.aspx.
+ */
+function mfaPage(res, { sent, error }) {
+  sendPage(res, 'Alacrity Verification', `
+<h1>Verify your identity</h1>
+${error ? `<p role="alert">${escapeHtml(error)}</p>` : ''}
+<form method="post">
+  ${sent
+    ? `<p>We emailed a security code to the address on file.</p>
+  <label for="SecurityCodeTextBox">Security code</label>
+  <input id="SecurityCodeTextBox" name="code" type="text" inputmode="numeric">
+  <button type="submit" name="action" value="verify">Verify</button>`
+    : `<fieldset>
+    <legend>Where should we send your security code?</legend>
+    <label><input type="radio" name="delivery" value="email"> Email</label>
+    <label><input type="radio" name="delivery" value="sms"> Text message</label>
+  </fieldset>
+  <button type="submit" name="action" value="send">Send code</button>`}
+</form>`);
+}
+
+/**
+ * The CIP report page. The contractor picker imitates the ASP.NET AJAX combobox:
+ * a text field that opens an item table, closed again by an outside click.
+ * View shows "Loading...." while the report is fetched.
+ */
+function cipPage(res, { contractors }) {
+  const items = contractors.map((label, i) => `
+      <tr><td><div title="${escapeHtml(label)}">${escapeHtml(label)}</div><input type="hidden" value="${1001 + i}"></td></tr>`).join('');
+
+  sendPage(res, 'CIP Dashboard', `
+<h1>CIP Dashboard</h1>
+<div id="ContractorCombo">
+  <label for="ctl00_MainContent_ContractorComboBox_TextField">Contractor</label>
+  <input id="ctl00_MainContent_ContractorComboBox_TextField" type="text" readonly value="${escapeHtml(contractors[0])}">
+  <div id="ContractorComboBox_DropDown" hidden>
+    <table id="ContractorComboBox_ItemTable">${items}
+    </table>
+  </div>
+</div>
+<input type="button" id="ViewButton" value="View">
+<div id="Loading" hidden>Loading....</div>
+<pre id="Report" style="font: inherit"></pre>
+<script>
+  const field = document.getElementById('ctl00_MainContent_ContractorComboBox_TextField');
+  const dropDown = document.getElementById('ContractorComboBox_DropDown');
+  field.addEventListener('click', () => { dropDown.hidden = false; });
+  document.addEventListener('click', e => {
+    if (!document.getElementById('ContractorCombo').contains(e.target)) dropDown.hidden = true;
+  });
+  for (const item of dropDown.querySelectorAll('div[title]')) {
+    item.addEventListener('click', () => {
+      field.value = item.title;
+      dropDown.hidden = true;
+    });
+  }
+
+  document.getElementById('ViewButton').addEventListener('click', async () => {
+    const loading = document.getElementById('Loading');
+    const report = document.getElementById('Report');
+    loading.hidden = false;
+    report.textContent = '';
+    const response = await fetch('CIPReport.ashx?contractor=' + encodeURIComponent(field.value));
+    report.textContent = await response.text();
+    setTimeout(() => { loading.hidden = true; }, 500);
+  });
+</script>`);
+}
+
+/**
+ * Alacrity stand-in: Login.aspx ("Start with" system, user name, password), an
+ * optional emailed security code challenge and a CIP report with a ContractorComboBox. Every contractor's report is alacrity/cip.txt.
+ * Point <PREFIX>_LOGIN_URL at <origin>/Login.aspx and <PREFIX>_URL at
+ * <origin>/Reports/CIPDashboard.aspx.
+ * @param {Object} options
+ * @param {string} options.fixturesDir
+ * @param {string[]} [options.contractors] - Entities in the combobox; more than one
+ *   makes the scraper walk through each
+ * @param {Object} [options.mailbox] - IMAP stand-in (test/imap-stand-in.js). When
+ *   given, every login goes through MFAAuth.aspx, which emails a security code to it
+ * @returns {Function} Request handler for startServer
+ */
+function createAlacrityPortal({ fixturesDir, contractors = ['LP First Capital'], mailbox }) {
+  // The latest code sent; like the real portal, sending again replaces it
+  let securityCode = null;
+
+  return async (req, res, url) => {
+    const session = getCookies(req).alacrity_session;
+    const loggedIn = session === 'ok';
+    const returnUrl = url.searchParams.get('ReturnUrl') || '/Home.aspx';
+
+    if (url.pathname === '/Login.aspx') {
+      if (req.method !== 'POST') return loginPage(res);
+
+      const form = await readForm(req);
+      if (!SYSTEMS.includes(form.get('system')) ||
+          form.get('username') !== MOCK_ACCOUNT.username ||
+          form.get('password') !== MOCK_ACCOUNT.password) {
+        return loginPage(res, 'Invalid user name or password.');
+      }
+      if (mailbox) {
+        return redirect(res, `/MFAAuth.aspx?ReturnUrl=${encodeURIComponent(returnUrl)}`, ['alacrity_session=mfa; Path=/']);
+      }
+      return redirect(res, returnUrl, ['alacrity_session=ok; Path=/']);
+    }
+
+    if (url.pathname === '/MFAAuth.aspx' && session === 'mfa') {
+      if (req.method !== 'POST') return mfaPage(res, { sent: false });
+
+      const form = await readForm(req);
+      if (form.get('action') === 'send') {
+        if (form.get('delivery') !== 'email') return mfaPage(res, { sent: false, error: 'Choose how to receive your code.' });
+        securityCode = String(Math.floor(100000 + Math.random() * 900000));
+        mailbox.deliver({
+          from: 'Alacrity <noreply@alacrity.net>',
+          subject: 'Your Alacrity security code',
+          text: `Your security code is ${securityCode}. It expires in 10 minutes.`
+        });
+        return mfaPage(res, { sent: true });
+      }
+      if (!securityCode || form.get('code') !== securityCode) {
+        return mfaPage(res, { sent: true, error: 'The security code is not valid.' });
+      }
+      securityCode = null;
+      return redirect(res, returnUrl, ['alacrity_session=ok; Path=/']);
+    }
+
+    if (!loggedIn) {
+      return redirect(res, `/Login.aspx?ReturnUrl=${encodeURIComponent(url.pathname + url.search)}`);
+    }
+
+    if (url.pathname === '/Home.aspx') {
+      return sendPage(res, 'Home', '<h1>Welcome</h1><a href="/Reports/CIPDashboard.aspx">CIP Dashboard</a>');
+    }
+    if (url.pathname === '/Reports/CIPDashboard.aspx') {
+      return cipPage(res, { contractors });
+    }
+    if (url.pathname === '/Reports/CIPReport.ashx') {
+      if (!contractors.includes(url.searchParams.get('contractor'))) return notFound(res);
+      return sendText(res, readFixture(fixturesDir, 'alacrity', 'cip'));
+    }
+
+    notFound(res);
+  };
+}
+
+module.exports = { createAlacrityPortal };
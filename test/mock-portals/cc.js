@@ -0,0 +1,162 @@
+const { verifySync } = require('otplib');
+const { ASSIGNMENT_TYPES } = require('../../scraper/utils');
+const {
+  MOCK_ACCOUNT,
+  readFixture,
+  escapeHtml,
+  textBlock,
+  sendPage,
+  redirect,
+  notFound,
+  getCookies,
+  readForm
+} = require('./server');
+
+// Medallion cards in page order; each one's table comes from cc/<key>.txt
+const TABS = ['ASSIGNMENTS', 'AVG TIP', 'POMS', 'REINSPECTIONS', 'SURVEYS', 'QA FEEDBACK'];
+
+// The "Select Assignment Type" / "Select POMS Score Type" line in a recorded tab
+const TYPE_DROPDOWN_LABEL = /^Select .*Type$/m;
+
+const FIRST_YEAR = 2020;
+
+function tabKey(tabName) {
+  return tabName.toLowerCase().replace(/\s+/g, '');
+}
+
+/**
+ * Split the recorded summary page into the text of each medallion card
+ * @param {string} summaryText - cc/summary.txt
+ * @returns {Object} { [tabName]: cardText }
+ */
+function splitSummaryCards(summaryText) {
+  const cards = {};
+  let current = null;
+  for (const line of summaryText.split('\n')) {
+    if (TABS.includes(line.trim())) current = line.trim();
+    if (current) cards[current] = cards[current] ? `${cards[current]}\n${line}` : line;
+  }
+  return cards;
+}
+
+function auth0Page(res, title, field, error) {
+  sendPage(res, title, `
+<h1>${escapeHtml(title)}</h1>
+${error ? `<p role="alert">${escapeHtml(error)}</p>` : ''}
+<form method="post">
+  ${field}
+  <button type="submit" name="action" value="default">Continue</button>
+</form>`);
+}
+
+function renderDashboard(res, url, { fixturesDir }) {
+  const currentYear = new Date().getFullYear();
+  const year = url.searchParams.get('year') || String(currentYear);
+  const tab = url.searchParams.get('tab');
+  const type = url.searchParams.get('type') || 'ALL';
+  const cards = splitSummaryCards(readFixture(fixturesDir, 'cc', 'summary'));
+  const link = params => `?${new URLSearchParams({ year, ...params })}`;
+
+  const yearOptions = [];
+  for (let y = currentYear; y >= FIRST_YEAR; y--) {
+    yearOptions.push(`<option value="${y}"${String(y) === year ? ' selected' : ''}>${y}</option>`);
+  }
+
+  let table = '';
+  if (tab) {
+    const tabName = TABS.find(name => tabKey(name) === tab);
+    const text = tabName ? readFixture(fixturesDir, 'cc', tab) : '';
+    const dropdownLabel = text.match(TYPE_DROPDOWN_LABEL);
+
+    // Every type shows the same recorded table; the scraper only has to iterate them
+    const typeDropdown = dropdownLabel ? `
+  <label for="ddlAssignmentType">${escapeHtml(dropdownLabel[0])}</label>
+  <select id="ddlAssignmentType" name="assignmentType" data-base="${escapeHtml(link({ tab }))}">
+    ${['ALL', ...ASSIGNMENT_TYPES].map(t => `<option${t === type ? ' selected' : ''}>${escapeHtml(t)}</option>`).join('\n    ')}
+  </select>` : '';
+
+    table = `
+<div id="Table-Section">
+  ${typeDropdown}
+  ${textBlock(text)}
+</div>`;
+  }
+
+  sendPage(res, 'Contractor Dashboard', `
+<h1>ContractorDashboard</h1>
+<div id="Medallion-Section">
+  <label for="ddlYear">Select Year</label>
+  <select id="ddlYear" name="year">
+    ${yearOptions.join('\n    ')}
+  </select>
+  ${TABS.map(name => `<a class="medallion" href="${escapeHtml(link({ tab: tabKey(name) }))}">${textBlock(cards[name] || name)}</a>`).join('\n  ')}
+</div>
+${table}
+<script>
+  document.getElementById('ddlYear').addEventListener('change', e => {
+    location.search = '?year=' + e.target.value;
+  });
+  const typeSelect = document.getElementById('ddlAssignmentType');
+  if (typeSelect) {
+    typeSelect.addEventListener('change', e => {
+      location.search = typeSelect.dataset.base + '&type=' + encodeURIComponent(e.target.value);
+    });
+  }
+</script>`);
+}
+
+/**
+ * ContractorConnection stand-in: a three-step Auth0 Universal Login (username,
+ * password, TOTP code) in front of the Medallion-Section dashboard. Tables come
+ * from the recorded cc/ fixtures; every year shows the same data.
+ * Point <PREFIX>_BASE_URL at <origin>/ContractorDashboard/Summary.
+ * @param {Object} options
+ * @param {string} options.fixturesDir
+ * @returns {Function} Request handler for startServer
+ */
+function createCCPortal({ fixturesDir }) {
+  return async (req, res, url) => {
+    const cookies = getCookies(req);
+    const step = cookies.cc_auth;
+
+    if (url.pathname.startsWith('/ContractorDashboard')) {
+      if (cookies.cc_session !== 'ok') return redirect(res, '/u/login/identifier?state=mock');
+      return renderDashboard(res, url, { fixturesDir });
+    }
+
+    if (url.pathname === '/u/login/identifier') {
+      const field = '<label for="username">Username or email address</label> <input id="username" name="username" type="text">';
+      if (req.method !== 'POST') return auth0Page(res, 'Log in', field);
+
+      const form = await readForm(req);
+      if (form.get('username') !== MOCK_ACCOUNT.username) return auth0Page(res, 'Log in', field, 'Wrong username');
+      return redirect(res, '/u/login/password?state=mock', ['cc_auth=identified; Path=/']);
+    }
+
+    if (url.pathname === '/u/login/password') {
+      if (step !== 'identified') return redirect(res, '/u/login/identifier?state=mock');
+      const field = '<label for="password">Password</label> <input id="password" name="password" type="password">';
+      if (req.method !== 'POST') return auth0Page(res, 'Enter your password', field);
+
+      const form = await readForm(req);
+      if (form.get('password') !== MOCK_ACCOUNT.password) return auth0Page(res, 'Enter your password', field, 'Wrong password');
+      return redirect(res, '/u/mfa-otp-challenge?state=mock', ['cc_auth=password; Path=/']);
+    }
+
+    if (url.pathname === '/u/mfa-otp-challenge') {
+      if (step !== 'password') return redirect(res, '/u/login/identifier?state=mock');
+      const field = '<label for="code">Enter your one-time code</label> <input id="code" name="code" type="text" inputmode="numeric" autocomplete="one-time-code">';
+      if (req.method !== 'POST') return auth0Page(res, 'Verify your identity', field);
+
+      const form = await readForm(req);
+      const code = form.get('code') || '';
+      const valid = /^\d{6}$/.test(code) && verifySync({ secret: MOCK_ACCOUNT.totpSecret, token: code }).valid;
+      if (!valid) return auth0Page(res, 'Verify your identity', field, 'Wrong code');
+      return redirect(res, '/ContractorDashboard/Summary', ['cc_auth=; Path=/; Max-Age=0', 'cc_session=ok; Path=/']);
+    }
+
+    notFound(res);
+  };
+}
+
+module.exports = { TYPE_DROPDOWN_LABEL, createCCPortal };
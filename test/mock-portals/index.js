@@ -0,0 +1,104 @@
+/**
+ * Local stand-ins for the ContractorConnection, Sedgwick and Alacrity portals,
+ * driven by the recorded page text in test/fixtures/. They accept one account
+ * (MOCK_ACCOUNT) and imitate just enough of each portal's login and navigation
+ * for the real scrapers to run against them.
+ *
+ * Usage: npm run mock-portals   (prints the URLs and credentials, Ctrl+C to stop)
+ * End-to-end scrape against them: npm run test:e2e
+ */
+
+const { MOCK_ACCOUNT, FIXTURES_DIR, startServer } = require('./server');
+const { createCCPortal } = require('./cc');
+const { createSedgwickPortal } = require('./sedgwick');
+const { createAlacrityPortal } = require('./alacrity');
+const { EMAIL_MFA_DEFAULTS } = require('../../scraper/email-mfa');
+
+/**
+ * Start all three mock portals
+ * @param {Object} [options]
+ * @param {string} [options.fixturesDir] - Defaults to test/fixtures
+ * @param {string} [options.host]
+ * @param {Object} [options.ports] - { cc, sedgwick, alacrity }; free ports by default
+ * @param {string[]} [options.alacrityContractors] - Entities in Alacrity's contractor combobox
+ * @param {Object} [options.mfaMailbox] - IMAP stand-in that Alacrity emails a security
+ *   code to on every login; without it Alacrity logins have no MFA challenge
+ * @returns {Promise<Object>} { urls, close() } where urls holds each portal's entry URLs
+ */
+async function startMockPortals({ fixturesDir = FIXTURES_DIR, host, ports = {}, alacrityContractors, mfaMailbox } = {}) {
+  const started = [];
+  try {
+    const cc = await startServer(createCCPortal({ fixturesDir }), { host, port: ports.cc });
+    started.push(cc);
+    const sedgwick = await startServer(createSedgwickPortal({ fixturesDir }), { host, port: ports.sedgwick });
+    started.push(sedgwick);
+    const alacrity = await startServer(createAlacrityPortal({ fixturesDir, contractors: alacrityContractors, mailbox: mfaMailbox }), { host, port: ports.alacrity });
+    started.push(alacrity);
+
+    return {
+      urls: {
+        cc: { baseUrl: `${cc.origin}/ContractorDashboard/Summary` },
+        sedgwick: { url: `${sedgwick.origin}/contractor/s/login/` },
+        alacrity: { loginUrl: `${alacrity.origin}/Login.aspx`, url: `${alacrity.origin}/Reports/CIPDashboard.aspx` }
+      },
+      close: () => Promise.all(started.map(({ server }) => new Promise(resolve => server.close(resolve))))
+    };
+  } catch (error) {
+    started.forEach(({ server }) => server.close());
+    throw error;
+  }
+}
+
+/**
+ * Environment variables that point registry source entries at the mock portals
+ * @param {Object[]} entries - From getSourceEntries
+ * @param {Object} urls - From startMockPortals
+ * @returns {Object} { [name]: value }
+ */
+function mockPortalEnv(entries, urls) {
+  const env = {};
+  for (const entry of entries) {
+    // The first prefix wins in readEnv, so this overrides anything set in .env
+    const prefix = entry.envPrefixes[0];
+    const set = (name, value) => { env[`${prefix}_${name}`] = value; };
+
+    set('USERNAME', MOCK_ACCOUNT.username);
+    set('PASSWORD', MOCK_ACCOUNT.password);
+    if (entry.type === 'cc') {
+      set('2FA_SECRET', MOCK_ACCOUNT.totpSecret);
+      set('BASE_URL', urls.cc.baseUrl);
+    } else if (entry.type === 'sedgwick') {
+      set('URL', urls.sedgwick.url);
+    } else if (entry.type === 'alacrity') {
+      set('URL', urls.alacrity.url);
+      set('LOGIN_URL', urls.alacrity.loginUrl);
+      set('STARTS_WITH', 'EM');
+      // Match the mock's security code emails even if .env narrows them for the real mailbox
+      set('MFA_FROM', EMAIL_MFA_DEFAULTS.alacrity.from);
+      set('MFA_SUBJECT', EMAIL_MFA_DEFAULTS.alacrity.subject);
+    }
+  }
+  return env;
+}
+
+module.exports = {
+  MOCK_ACCOUNT,
+  startMockPortals,
+  mockPortalEnv
+};
+
+// Run the portals on fixed ports for poking at by hand
+if (require.main === module) {
+  startMockPortals({ ports: { cc: 4101, sedgwick: 4102, alacrity: 4103 } })
+    .then(({ urls }) => {
+      console.log('Mock portals running (Ctrl+C to stop):');
+      console.log(`  ContractorConnection  ${urls.cc.baseUrl}`);
+      console.log(`  Sedgwick              ${urls.sedgwick.url}`);
+      console.log(`  Alacrity              ${urls.alacrity.loginUrl} → ${urls.alacrity.url}`);
+      console.log(`Log in as ${MOCK_ACCOUNT.username} / ${MOCK_ACCOUNT.password} (CC TOTP secret ${MOCK_ACCOUNT.totpSecret})`);
+    })
+    .catch(error => {
+      console.error('Could not start mock portals:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,78 @@
+const {
+  MOCK_ACCOUNT,
+  readFixture,
+  escapeHtml,
+  textBlock,
+  sendPage,
+  redirect,
+  notFound,
+  getCookies,
+  readForm
+} = require('./server');
+
+function loginPage(res, error) {
+  sendPage(res, 'Login | Contractor Portal', `
+<h1>Contractor Portal</h1>
+${error ? `<p role="alert">${escapeHtml(error)}</p>` : ''}
+<form method="post">
+  <label for="username">Username</label> <input id="username" name="username" type="text">
+  <label for="password">Password</label> <input id="password" name="password" type="password">
+  <button type="submit">Log In</button>
+</form>`);
+}
+
+/**
+ * The sfxdash iframe. Widgets after "Load more widgets" stay hidden until it is
+ * clicked, like the Salesforce dashboard's lazy-loaded second page.
+ */
+function dashboardFrame(res, { fixturesDir }) {
+  const text = readFixture(fixturesDir, 'sedgwick', 'dashboard');
+  const [first, more] = text.split(/^Load more widgets\n/m);
+
+  sendPage(res, 'Dashboard', more === undefined ? textBlock(first) : `
+${textBlock(first)}
+<button type="button" onclick="document.getElementById('more').hidden = false">Load more widgets</button>
+${textBlock(more, 'id="more" hidden')}`);
+}
+
+/**
+ * Sedgwick stand-in: a Salesforce Experience Cloud login in front of the portal
+ * home page, whose score tables come from sedgwick/main.txt and whose sfxdash
+ * iframe shows sedgwick/dashboard.txt.
+ * Point <PREFIX>_URL at <origin>/contractor/s/login/.
+ * @param {Object} options
+ * @param {string} options.fixturesDir
+ * @returns {Function} Request handler for startServer
+ */
+function createSedgwickPortal({ fixturesDir }) {
+  return async (req, res, url) => {
+    const loggedIn = getCookies(req).sf_session === 'ok';
+    const pathname = url.pathname.replace(/\/$/, '');
+
+    if (pathname === '/contractor/s/login') {
+      if (req.method !== 'POST') return loginPage(res);
+
+      const form = await readForm(req);
+      if (form.get('username') !== MOCK_ACCOUNT.username || form.get('password') !== MOCK_ACCOUNT.password) {
+        return loginPage(res, 'Please check your username and password.');
+      }
+      return redirect(res, '/contractor/s/', ['sf_session=ok; Path=/']);
+    }
+
+    if (pathname === '/contractor/s/sfxdash') {
+      if (!loggedIn) return notFound(res);
+      return dashboardFrame(res, { fixturesDir });
+    }
+
+    if (pathname === '/contractor/s') {
+      if (!loggedIn) return redirect(res, '/contractor/s/login/?startURL=%2Fcontractor%2Fs%2F');
+      return sendPage(res, 'Home', `
+${textBlock(readFixture(fixturesDir, 'sedgwick', 'main'))}
+<iframe name="sfxdash-1700000000000" src="/contractor/s/sfxdash" width="1200" height="900"></iframe>`);
+    }
+
+    notFound(res);
+  };
+}
+
+module.exports = { createSedgwickPortal };
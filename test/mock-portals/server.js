@@ -0,0 +1,132 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// The one account every mock portal accepts. The TOTP secret is any valid base32 string.
+const MOCK_ACCOUNT = {
+  username: 'mock-user',
+  password: 'mock-password',
+  totpSecret: 'MOCKPORTALTOTPSECRETMOCKPORTAL23'
+};
+
+/**
+ * Read a portal screen's recorded innerText, e.g. readFixture(dir, 'cc', 'poms')
+ * @param {string} fixturesDir
+ * @param {string} portal
+ * @param {string} screen
+ * @returns {string}
+ */
+function readFixture(fixturesDir, portal, screen) {
+  return fs.readFileSync(path.join(fixturesDir, portal, `${screen}.txt`), 'utf8');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render recorded innerText so the browser reads it back unchanged
+ * @param {string} text
+ * @param {string} [attributes] - Extra attributes for the <pre>, e.g. 'id="more" hidden'
+ * @returns {string}
+ */
+function textBlock(text, attributes = '') {
+  return `<pre${attributes ? ` ${attributes}` : ''} style="font: inherit; margin: 0">${escapeHtml(text)}</pre>`;
+}
+
+function sendPage(res, title, body, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body>
+${body}
+</body>
+</html>
+`);
+}
+
+function sendText(res, text) {
+  res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {string} location
+ * @param {string[]} [cookies] - Set-Cookie values
+ */
+function redirect(res, location, cookies = []) {
+  res.writeHead(302, { Location: location, 'Set-Cookie': cookies });
+  res.end();
+}
+
+function notFound(res) {
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Not found');
+}
+
+function getCookies(req) {
+  return Object.fromEntries((req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name]) => name)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+}
+
+/**
+ * Read an application/x-www-form-urlencoded POST body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<URLSearchParams>}
+ */
+async function readForm(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return new URLSearchParams(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Start an HTTP server for a portal's request handler
+ * @param {Function} handler - async (req, res, url) => void
+ * @param {Object} [options]
+ * @param {string} [options.host]
+ * @param {number} [options.port] - 0 picks a free port
+ * @returns {Promise<{server: http.Server, origin: string}>}
+ */
+function startServer(handler, { host = '127.0.0.1', port = 0 } = {}) {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    Promise.resolve(handler(req, res, url)).catch(error => {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(error.stack);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({ server, origin: `http://${host}:${server.address().port}` });
+    });
+  });
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  MOCK_ACCOUNT,
+  readFixture,
+  escapeHtml,
+  textBlock,
+  sendPage,
+  sendText,
+  redirect,
+  notFound,
+  getCookies,
+  readForm,
+  startServer
+};
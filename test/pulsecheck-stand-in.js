@@ -0,0 +1,116 @@
+/**
+ * Local stand-in for the Pulsecheck ingest API: POST /api/ingest answers 202
+ * with a batch id, and GET /api/ingest/:id reports "queued", then
+ * "processing", then the final status.
+ *
+ * Usage: npm run pulsecheck-stand-in [-- failed|completed_with_errors]
+ * Then e.g. PULSECHECK_URL=http://127.0.0.1:4120 PULSECHECK_TOKEN=stand-in npm run pulsecheck
+ */
+
+const http = require('http');
+
+/**
+ * Start the stand-in
+ * @param {Object} [options]
+ * @param {string} [options.host]
+ * @param {number} [options.port] - Free port by default
+ * @param {string} [options.token] - Bearer token to require
+ * @param {string} [options.finalStatus] - completed, failed or completed_with_errors
+ * @param {Object[]} [options.errors] - Returned with a non-completed final status
+ * @param {number} [options.pollsUntilDone] - Status polls before the final status
+ * @param {number} [options.failRequests] - Answer this many requests with 503 first
+ * @param {Function} [options.onIngest] - ({ id, body }) => void, called per accepted batch
+ * @returns {Promise<Object>} { origin, batches, requests, close() } where batches
+ *   maps id → { body, polls } and requests lists "METHOD /path"
+ */
+function startPulsecheckStandIn({
+  host = '127.0.0.1',
+  port = 0,
+  token = 'stand-in',
+  finalStatus = 'completed',
+  errors = [{ path: 'companies.moyers.sedgwick', message: 'sample ingest error' }],
+  pollsUntilDone = 2,
+  failRequests = 0,
+  onIngest = () => {}
+} = {}) {
+  const batches = new Map();
+  const requests = [];
+  let failuresLeft = failRequests;
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      requests.push(`${req.method} ${req.url}`);
+
+      if (req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: 'unauthorized' });
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        return send(res, 503, { error: 'stand-in unavailable' });
+      }
+
+      if (req.method === 'POST' && req.url === '/api/ingest') {
+        let body;
+        try {
+          body = JSON.parse(data);
+        } catch {
+          return send(res, 400, { error: 'invalid JSON' });
+        }
+        const id = `batch-${batches.size + 1}`;
+        batches.set(id, { body, polls: 0 });
+        onIngest({ id, body });
+        return send(res, 202, { id, status: 'queued' });
+      }
+
+      const match = req.method === 'GET' && req.url.match(/^\/api\/ingest\/([^/]+)$/);
+      const batch = match && batches.get(decodeURIComponent(match[1]));
+      if (!batch) return send(res, 404, { error: 'not found' });
+
+      batch.polls++;
+      if (batch.polls <= pollsUntilDone) {
+        return send(res, 200, { id: match[1], status: batch.polls === 1 ? 'queued' : 'processing' });
+      }
+      return send(res, 200, {
+        id: match[1],
+        status: finalStatus,
+        errors: finalStatus === 'completed' ? [] : errors
+      });
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        origin: `http://${host}:${server.address().port}`,
+        batches,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startPulsecheckStandIn };
+
+if (require.main === module) {
+  const finalStatus = process.argv[2] || 'completed';
+  startPulsecheckStandIn({
+    port: 4120,
+    finalStatus,
+    onIngest: ({ id, body }) => console.log(`Batch ${id}: ${JSON.stringify(body).length} bytes, companies: ${Object.keys(body.companies || {}).join(', ')}`)
+  })
+    .then(({ origin }) => {
+      console.log(`Pulsecheck stand-in listening on ${origin}, batches end as "${finalStatus}" (Ctrl+C to stop)`);
+      console.log(`  PULSECHECK_URL=${origin}`);
+      console.log('  PULSECHECK_TOKEN=stand-in');
+    })
+    .catch(error => {
+      console.error('Could not start Pulsecheck stand-in:', error.message);
+      process.exit(1);
+    });
+}
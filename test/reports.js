@@ -0,0 +1,120 @@
+/**
+ * Offline tests for the reports built from stored stats (export, email, monthly).
+ *
+ * Usage: npm test
+ *
+ * Each test builds a small stats object in memory, so no portal or stats file
+ * is needed. Alacrity data comes from the extractor fixture, stored both as a
+ * single-entity stream and as one with contractors.
+ */
+
+const assert = require('assert');
+const { loadRegistry, getSourceEntries } = require('../scraper/registry');
+const { exportRows } = require('../scraper/export');
+const { buildEmailReport } = require('../scraper/email-report');
+const { buildMonthlyReport } = require('../scraper/monthly-report');
+
+const CIP = require('./fixtures/alacrity/cip.json');
+
+/**
+ * A snapshot stream with one Alacrity snapshot per date
+ * @param {string[]} dates - YYYY-MM-DD
+ * @returns {Object} { dailySnapshots }
+ */
+function alacrityStream(dates) {
+  return { dailySnapshots: dates.map(date => ({ date, dashboard: CIP })) };
+}
+
+// Moyers stores a single-entity stream, AAction one per contractor
+function buildStats() {
+  return {
+    schemaVersion: 2,
+    lastUpdated: '2025-06-02T12:00:00.000Z',
+    companies: {
+      aaction: {
+        alacrity: {
+          contractors: {
+            'AAction North': alacrityStream(['2025-06-01', '2025-06-02'])
+          }
+        }
+      },
+      moyers: {
+        alacrity: alacrityStream(['2025-06-01', '2025-06-02'])
+      }
+    }
+  };
+}
+
+const alacrityEntries = company => getSourceEntries()
+  .filter(entry => entry.company === company && entry.type === 'alacrity');
+
+const registryCompany = key => loadRegistry().find(company => company.key === key);
+
+const TESTS = {
+  'export: single-entity Alacrity stream': () => {
+    const rows = exportRows(buildStats(), { entries: alacrityEntries('moyers') });
+    assert.ok(rows.length > 0, 'no rows exported');
+    assert.deepStrictEqual([...new Set(rows.map(row => row.date))], ['2025-06-01', '2025-06-02']);
+    assert.ok(rows.every(row => row.dataset === 'alacrity' && row.scope === ''));
+    assert.ok(rows.some(row => row.metric === 'totalCIPScore' && row.value === CIP.totalCIPScore));
+  },
+
+  'export: Alacrity contractors': () => {
+    const rows = exportRows(buildStats(), { entries: alacrityEntries('aaction') });
+    assert.ok(rows.length > 0, 'no rows exported');
+    assert.ok(rows.every(row => row.scope === 'AAction North'));
+  },
+
+  'email: single-entity Alacrity stream': () => {
+    const report = buildEmailReport(buildStats(), registryCompany('moyers'), alacrityEntries('moyers'), { today: '2025-06-02' });
+    assert.strictEqual(report.sections.length, 1);
+    const [overview, ...sections] = report.sections[0].tables;
+    assert.strictEqual(overview.heading, 'Dashboard');
+    assert.strictEqual(overview.date, '2025-06-02');
+    assert.strictEqual(overview.rows[0].value, CIP.totalCIPScore);
+    assert.deepStrictEqual(sections.map(table => table.heading), ['Emergency', 'Non-Emergency']);
+  },
+
+  'email: Alacrity contractors': () => {
+    const report = buildEmailReport(buildStats(), registryCompany('aaction'), alacrityEntries('aaction'), { today: '2025-06-02' });
+    assert.strictEqual(report.sections.length, 1);
+    assert.ok(report.sections[0].tables.every(table => table.heading.startsWith('AAction North')));
+  },
+
+  'monthly: single-entity Alacrity stream': () => {
+    const report = buildMonthlyReport(buildStats(), registryCompany('moyers'), '2025-06', alacrityEntries('moyers'));
+    assert.strictEqual(report.sections.length, 1);
+    const [comparison, ...rest] = report.sections[0].comparisons;
+    assert.strictEqual(rest.length, 0);
+    assert.strictEqual(comparison.scope, null);
+    assert.strictEqual(comparison.startDate, '2025-06-01');
+    assert.strictEqual(comparison.endDate, '2025-06-02');
+    assert.ok(comparison.rows.length > 0, 'no metric rows');
+  },
+
+  'monthly: Alacrity contractors': () => {
+    const report = buildMonthlyReport(buildStats(), registryCompany('aaction'), '2025-06', alacrityEntries('aaction'));
+    assert.deepStrictEqual(report.sections[0].comparisons.map(c => c.scope), ['AAction North']);
+  }
+};
+
+function main() {
+  let passed = 0;
+  let failed = 0;
+
+  for (const [name, test] of Object.entries(TESTS)) {
+    try {
+      test();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}\n${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exit(1);
+}
+
+main();
@@ -0,0 +1,86 @@
+/**
+ * Local stand-in for an S3-compatible bucket: PUT /<bucket>/<key> stores the
+ * object and GET returns it. Requests must be SigV4-signed with the stand-in
+ * access key, but signatures are not checked.
+ *
+ * Usage: npm run s3-stand-in   (prints each object, Ctrl+C to stop)
+ * Then point an s3 sink at it with "endpoint": "http://127.0.0.1:4130" and
+ * <envPrefix>_ACCESS_KEY_ID=stand-in, <envPrefix>_SECRET_ACCESS_KEY=stand-in
+ */
+
+const http = require('http');
+
+/**
+ * Start the stand-in
+ * @param {Object} [options]
+ * @param {string} [options.host]
+ * @param {number} [options.port] - Free port by default
+ * @param {string} [options.accessKeyId] - Access key to require
+ * @param {Function} [options.onPut] - ({ bucket, key, body }) => void, called per stored object
+ * @returns {Promise<Object>} { origin, objects, close() } where objects maps
+ *   "<bucket>/<key>" → { body, contentType }
+ */
+function startS3StandIn({ host = '127.0.0.1', port = 0, accessKeyId = 'stand-in', onPut = () => {} } = {}) {
+  const objects = new Map();
+
+  const send = (res, status, code) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' })
+      .end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`);
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (!(req.headers.authorization || '').includes(`Credential=${accessKeyId}/`)) {
+        return send(res, 403, 'InvalidAccessKeyId');
+      }
+
+      const { pathname } = new URL(req.url, 'http://stand-in');
+      const [bucket, ...keyParts] = pathname.slice(1).split('/').map(decodeURIComponent);
+      const key = keyParts.join('/');
+      if (!bucket || !key) return send(res, 400, 'InvalidRequest');
+
+      if (req.method === 'PUT') {
+        const body = Buffer.concat(chunks).toString('utf8');
+        objects.set(`${bucket}/${key}`, { body, contentType: req.headers['content-type'] });
+        onPut({ bucket, key, body });
+        return res.writeHead(200, { ETag: `"${objects.size}"` }).end();
+      }
+
+      const object = req.method === 'GET' && objects.get(`${bucket}/${key}`);
+      if (!object) return send(res, 404, 'NoSuchKey');
+      res.writeHead(200, { 'Content-Type': object.contentType || 'application/octet-stream' }).end(object.body);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        origin: `http://${host}:${server.address().port}`,
+        objects,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startS3StandIn };
+
+if (require.main === module) {
+  startS3StandIn({
+    port: 4130,
+    onPut: ({ bucket, key, body }) => console.log(`PUT ${bucket}/${key} (${body.length} bytes)`)
+  })
+    .then(({ origin }) => {
+      console.log(`S3 stand-in listening on ${origin} (Ctrl+C to stop)`);
+      console.log(`  "endpoint": "${origin}"`);
+      console.log('  <envPrefix>_ACCESS_KEY_ID=stand-in');
+      console.log('  <envPrefix>_SECRET_ACCESS_KEY=stand-in');
+    })
+    .catch(error => {
+      console.error('Could not start S3 stand-in:', error.message);
+      process.exit(1);
+    });
+}
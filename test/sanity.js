@@ -0,0 +1,103 @@
+/**
+ * Offline tests for the sanity checks that quarantine suspicious scrape results,
+ * and for how a quarantined source gets out again.
+ *
+ * Usage: npm test
+ */
+
+const assert = require('assert');
+const { checkComparisons, countQuarantinedRuns, isSettledChange } = require('../scraper/sanity');
+const { compareSource } = require('../scraper/sources');
+
+const cc = { company: 'aaction', source: 'cc', type: 'cc', stats: 'companies.aaction', checks: {} };
+const sedgwick = { company: 'aaction', source: 'sedgwick', type: 'sedgwick', stats: 'companies.aaction.sedgwick', checks: {} };
+
+const ccYear = (jobsSold, avgJobTip) => ({
+  assignments: { byType: { Water: { jobsSold, jobsNotComplete: 40 } } },
+  avgtip: { data: { avgJobTip } }
+});
+
+const sedgwickData = dashboard => ({ dashboard, currentScores: [] });
+
+const run = status => ({ startedAt: '2025-06-01T11:00:00.000Z', mode: 'daily', sources: [{ company: 'aaction', source: 'sedgwick', status }] });
+
+// Stats whose stored Sedgwick snapshot has 120 open claims and 15 closed
+function buildStats(runs = [], quarantine = []) {
+  return {
+    schemaVersion: 2,
+    companies: {
+      aaction: {
+        years: { 2025: ccYear(12, 5.5) },
+        sedgwick: { dailySnapshots: [{ date: '2025-06-01', dashboard: { openClaims: 120, closedClaims: 15 } }] }
+      }
+    },
+    runs,
+    quarantine
+  };
+}
+
+const compareTo = (stats, entry) => data => compareSource(stats, entry, data);
+
+const TESTS = {
+  'lets year-to-date counts grow by any amount': () => {
+    const issues = checkComparisons(compareSource(buildStats(), cc, { 2025: ccYear(60, 5.5) }));
+    assert.deepStrictEqual(issues, []);
+  },
+
+  'still flags other CC metrics that jump': () => {
+    const issues = checkComparisons(compareSource(buildStats(), cc, { 2025: ccYear(12, 55) }));
+    assert.deepStrictEqual(issues.map(i => `${i.scope} ${i.metric} ${i.problem}`), ['2025 avgtip.data.avgJobTip jump']);
+  },
+
+  'still flags year-to-date counts that drop': () => {
+    const stats = buildStats();
+    stats.companies.aaction.years[2025] = ccYear(90, 5.5);
+    const issues = checkComparisons(compareSource(stats, cc, { 2025: ccYear(12, 5.5) }));
+    assert.deepStrictEqual(issues.map(i => i.problem), ['jump']);
+  },
+
+  'counts quarantined runs in a row': () => {
+    const runs = [run('quarantined'), run('ok'), run('quarantined'), run('failed'), run('skipped'), run('quarantined')];
+    assert.strictEqual(countQuarantinedRuns(runs, sedgwick), 2);
+    assert.strictEqual(countQuarantinedRuns([], sedgwick), 0);
+  },
+
+  'keeps quarantining until the same data comes back enough times': () => {
+    const removed = sedgwickData({ openClaims: 121 });
+    const held = { date: '2025-06-02', company: 'aaction', source: 'sedgwick', issues: [], data: sedgwickData({ openClaims: 119 }) };
+
+    const once = buildStats([run('quarantined')], [held]);
+    assert.strictEqual(isSettledChange(once, sedgwick, removed, compareTo(once, sedgwick)), false);
+
+    const twice = buildStats([run('quarantined'), run('quarantined')], [held]);
+    assert.strictEqual(isSettledChange(twice, sedgwick, removed, compareTo(twice, sedgwick)), true);
+  },
+
+  'keeps quarantining data that disagrees with the last quarantined result': () => {
+    const held = { date: '2025-06-02', company: 'aaction', source: 'sedgwick', issues: [], data: sedgwickData({ openClaims: 119 }) };
+    const stats = buildStats([run('quarantined'), run('quarantined')], [held]);
+    const data = sedgwickData({ openClaims: 0 });
+    assert.strictEqual(isSettledChange(stats, sedgwick, data, compareTo(stats, sedgwick)), false);
+  }
+};
+
+function main() {
+  let passed = 0;
+  let failed = 0;
+
+  for (const [name, test] of Object.entries(TESTS)) {
+    try {
+      test();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}\n${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exit(1);
+}
+
+main();
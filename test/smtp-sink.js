@@ -0,0 +1,116 @@
+/**
+ * Local SMTP sink: accepts every message (any AUTH PLAIN login, no TLS) and
+ * keeps it instead of delivering it.
+ *
+ * Usage: npm run smtp-sink   (prints each message, Ctrl+C to stop)
+ * Then e.g. SMTP_HOST=127.0.0.1 SMTP_PORT=2525 MOYERS_REPORT_TO=ops@example.com npm run report:email
+ */
+
+const net = require('net');
+
+/**
+ * Start the sink
+ * @param {Object} [options]
+ * @param {string} [options.host]
+ * @param {number} [options.port] - Free port by default
+ * @param {Function} [options.onMessage] - ({ from, to, raw }) => void, called per message
+ * @returns {Promise<Object>} { host, port, received, close() } where received lists { from, to, raw }
+ */
+function startSmtpSink({ host = '127.0.0.1', port = 0, onMessage = () => {} } = {}) {
+  const received = [];
+
+  const server = net.createServer(socket => {
+    const reply = line => socket.write(`${line}\r\n`);
+    let buffer = '';
+    let message = null;
+    let data = null;
+
+    const handle = line => {
+      // Inside DATA everything up to a lone "." is message content
+      if (data !== null) {
+        if (line === '.') {
+          const done = { ...message, raw: data.join('\r\n') };
+          received.push(done);
+          onMessage(done);
+          data = null;
+          message = null;
+          reply('250 OK: queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        return;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO') {
+        reply('250-smtp-sink');
+        reply('250-8BITMIME');
+        reply('250 AUTH PLAIN');
+      } else if (command === 'HELO' || command === 'NOOP') {
+        reply('250 OK');
+      } else if (command === 'AUTH') {
+        reply('235 Authentication successful');
+      } else if (command === 'MAIL') {
+        message = { from: (line.match(/<([^>]*)>/) || [])[1] || '', to: [] };
+        reply('250 OK');
+      } else if (command === 'RCPT') {
+        if (!message) return reply('503 MAIL first');
+        message.to.push((line.match(/<([^>]*)>/) || [])[1]);
+        reply('250 OK');
+      } else if (command === 'DATA') {
+        if (!message?.to.length) return reply('503 RCPT first');
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET') {
+        message = null;
+        reply('250 OK');
+      } else if (command === 'QUIT') {
+        reply('221 Bye');
+        socket.end();
+      } else {
+        reply('502 Command not implemented');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        handle(buffer.slice(0, index));
+        buffer = buffer.slice(index + 2);
+      }
+    });
+    socket.on('error', () => {});
+    reply('220 smtp-sink ESMTP');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        host,
+        port: server.address().port,
+        received,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startSmtpSink };
+
+if (require.main === module) {
+  startSmtpSink({
+    port: 2525,
+    onMessage: ({ from, to, raw }) => console.log(`\nMessage from ${from} to ${to.join(', ')}\n${raw}`)
+  })
+    .then(({ host, port }) => {
+      console.log(`SMTP sink listening on ${host}:${port} (Ctrl+C to stop)`);
+      console.log(`  SMTP_HOST=${host}`);
+      console.log(`  SMTP_PORT=${port}`);
+    })
+    .catch(error => {
+      console.error('Could not start SMTP sink:', error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,95 @@
+/**
+ * Offline tests for the stats file itself: schema migrations and the v1
+ * layout stats.json.enc is published in.
+ *
+ * Usage: npm test
+ */
+
+const assert = require('assert');
+const { getSchemaErrors } = require('../scraper/schema');
+const { migrateStats, toLegacyLayout } = require('../scraper/migrations');
+
+const snapshot = (date, extra = {}) => ({ date, diff: null, previousDate: null, ...extra });
+
+// Current-version stats touching every kind of stream and stats-level key
+function buildStats() {
+  return {
+    schemaVersion: 2,
+    lastUpdated: '2025-06-02T12:00:00.000Z',
+    companies: {
+      aaction: {
+        years: { 2025: { assignments: { byType: {} } } },
+        dailySnapshots: [snapshot('2025-06-02')],
+        rollups: { weekly: [], monthly: [] },
+        sedgwick: { dailySnapshots: [snapshot('2025-06-02')] },
+        alacrity: { contractors: { 'AAction North': { dailySnapshots: [snapshot('2025-06-02')] } } }
+      },
+      icon: {
+        locations: { lansing: { dailySnapshots: [snapshot('2025-06-02')] } }
+      },
+      moyers: {
+        alacrity: { dailySnapshots: [snapshot('2025-06-02')] }
+      },
+      acme: {
+        sedgwick: { dailySnapshots: [snapshot('2025-06-02')] }
+      }
+    },
+    runs: [{ startedAt: '2025-06-02T11:00:00.000Z', mode: 'daily', sources: [] }],
+    quarantine: [],
+    alerts: []
+  };
+}
+
+const TESTS = {
+  'migrates a v1 file': () => {
+    const { stats, applied } = migrateStats({
+      lastUpdated: '2025-01-01T00:00:00.000Z',
+      years: {},
+      dailySnapshots: [snapshot('2025-01-01')],
+      sedgwick: { dailySnapshots: [] },
+      moyers: { dailySnapshots: [] },
+      icon: { locations: {} }
+    });
+    assert.deepStrictEqual(applied.map(m => m.version), [2]);
+    assert.deepStrictEqual(Object.keys(stats.companies), ['aaction', 'icon', 'moyers']);
+    assert.deepStrictEqual(Object.keys(stats.companies.aaction), ['years', 'dailySnapshots', 'sedgwick']);
+    assert.deepStrictEqual(getSchemaErrors(stats), []);
+  },
+
+  'publishes the v1 layout': () => {
+    const legacy = toLegacyLayout(buildStats());
+    assert.strictEqual(legacy.schemaVersion, undefined);
+    assert.strictEqual(legacy.dailySnapshots[0].date, '2025-06-02');
+    assert.ok(legacy.alacrity.contractors['AAction North']);
+    assert.ok(legacy.icon.locations.lansing);
+    assert.ok(legacy.moyers.alacrity);
+    assert.deepStrictEqual(Object.keys(legacy.companies), ['acme']);
+  },
+
+  'reads the published layout back unchanged': () => {
+    const { stats } = migrateStats(toLegacyLayout(buildStats()));
+    assert.deepStrictEqual(stats, buildStats());
+    assert.deepStrictEqual(getSchemaErrors(stats), []);
+  }
+};
+
+function main() {
+  let passed = 0;
+  let failed = 0;
+
+  for (const [name, test] of Object.entries(TESTS)) {
+    try {
+      test();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.error(`✗ ${name}\n${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n${passed} passed, ${failed} failed`);
+  if (failed) process.exit(1);
+}
+
+main();
@@ -0,0 +1,78 @@
+/**
+ * Local stand-in for Slack/Teams incoming webhooks: records every JSON body
+ * POSTed to it. Paths starting with /fail answer 500, for exercising errors.
+ *
+ * Usage: npm run webhook-stand-in   (prints each payload, Ctrl+C to stop)
+ * Then e.g. NOTIFY_SLACK_WEBHOOKS=http://127.0.0.1:4110/slack npm run scrape:daily
+ */
+
+const http = require('http');
+
+/**
+ * Start the stand-in
+ * @param {Object} [options]
+ * @param {string} [options.host]
+ * @param {number} [options.port] - Free port by default
+ * @param {Function} [options.onPost] - ({ path, headers, body }) => void, called per request
+ * @returns {Promise<Object>} { origin, received, close() } where received lists { path, headers, body }
+ */
+function startWebhookStandIn({ host = '127.0.0.1', port = 0, onPost = () => {} } = {}) {
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(data);
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end('invalid JSON');
+        return;
+      }
+
+      const post = { path: req.url, headers: req.headers, body };
+      received.push(post);
+      onPost(post);
+      if (req.url.startsWith('/fail')) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' }).end('stand-in failure');
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/plain' }).end('ok');
+      }
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        origin: `http://${host}:${server.address().port}`,
+        received,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startWebhookStandIn };
+
+if (require.main === module) {
+  startWebhookStandIn({
+    port: 4110,
+    onPost: ({ path, body }) => console.log(`\nPOST ${path}\n${JSON.stringify(body, null, 2)}`)
+  })
+    .then(({ origin }) => {
+      console.log(`Webhook stand-in listening on ${origin} (Ctrl+C to stop)`);
+      console.log(`  NOTIFY_SLACK_WEBHOOKS=${origin}/slack`);
+      console.log(`  NOTIFY_TEAMS_WEBHOOKS=${origin}/teams`);
+    })
+    .catch(error => {
+      console.error('Could not start webhook stand-in:', error.message);
+      process.exit(1);
+    });
+}